@@ -0,0 +1,105 @@
+// Batch scans: discover every git repository below a parent directory and scan them with bounded
+// parallelism. The panel shows a roll-up of the per-repository counts with drill-down into each one.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_DEPTH = 4; // Directory levels below the parent searched for repositories
+const MAX_CONCURRENCY = 8;
+// Directories that never contain repositories worth scanning on their own
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'vendor', 'bower_components', '__pycache__']);
+
+/**
+ * Git repositories at or below a directory. A directory with a `.git` entry (a directory, or a file for
+ * worktrees and submodules) is a repository; its subdirectories are not searched further.
+ * @param {string} rootDir
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=4]
+ * @returns {string[]} Absolute repository paths, sorted
+ */
+function findGitRepositories(rootDir, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const repositories = [];
+    const visit = (dir, depth) => {
+        if (fs.existsSync(path.join(dir, '.git'))) {
+            repositories.push(dir);
+            return;
+        }
+        if (depth >= maxDepth) {
+            return;
+        }
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            return; // Unreadable directories are skipped
+        }
+        for (const entry of entries) {
+            // Symlinks are not followed, so links back up the tree cannot loop
+            if (entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+                visit(path.join(dir, entry.name), depth + 1);
+            }
+        }
+    };
+    visit(path.resolve(rootDir), 0);
+    return repositories.sort();
+}
+
+/**
+ * Run `worker` for every item with at most `concurrency` calls in flight. Once a call rejects, no further
+ * items are started and the first error is thrown after the running calls settle.
+ * @param {Array} items
+ * @param {number} concurrency - Clamped to 1..8
+ * @param {function(*, number): Promise<*>} worker - Called with the item and its index
+ * @returns {Promise<Array>} Worker results in item order
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const limit = Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(concurrency) || 1));
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+    const runNext = async () => {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    if (failure) {
+        throw failure;
+    }
+    return results;
+}
+
+/**
+ * Roll-up counts of one repository's unsuppressed results.
+ * @param {Array<Object>} results
+ * @returns {{total: number, high: number, medium: number, low: number, other: number, history: number}}
+ */
+function summarizeResults(results) {
+    const summary = { total: 0, high: 0, medium: 0, low: 0, other: 0, history: 0 };
+    for (const result of results) {
+        if (result.suppressed) {
+            continue;
+        }
+        summary.total++;
+        if (['high', 'medium', 'low'].includes(result.severity)) {
+            summary[result.severity]++;
+        } else {
+            summary.other++;
+        }
+        if (result.isGitHistory) {
+            summary.history++;
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    MAX_CONCURRENCY,
+    findGitRepositories,
+    mapWithConcurrency,
+    summarizeResults
+};
@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// Executable for the `leak-lock` CLI, see cli.js.
+const { run, EXIT_ERROR } = require('../cli');
+
+// The scanner logs diagnostics with console.log; keep stdout for the report
+console.log = console.error;
+console.info = console.error;
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`leak-lock: ${error.stack || error.message}`);
+    process.exitCode = EXIT_ERROR;
+});
@@ -0,0 +1,335 @@
+// `leak-lock` command line interface for CI pipelines, built on the same scanning core as the extension.
+//
+//   leak-lock scan <dir> [--format json|sarif|text] [--fail-on high|medium|low|none] [--output <file>]
+//                        [--engine auto|noseyparker|native] [--secrets redact|mask|include]
+//                        [--dependency-handling warning|exclude|normal] [--timeout <minutes>] [--staged]
+//                        [--image <reference>] [--scope full|working-tree|history]
+//
+// The report goes to stdout (or --output), progress and the summary to stderr. Findings suppressed by the
+// repository's .leaklockignore never fail the run.
+const fs = require('fs');
+const path = require('path');
+
+const { SCAN_TIMEOUT, ScanCancelledError, SecretScanner } = require('./scan-core');
+const { DOCKER_IMAGE } = require('./config');
+const { buildSarifLog } = require('./sarif-export');
+const { buildReport, formatSecret, resolveSecret, SECRET_MODES } = require('./report-export');
+const { describeScannerCheck } = require('./scanner-image');
+
+const EXIT_OK = 0; // No unsuppressed findings at or above the --fail-on severity
+const EXIT_FINDINGS = 1; // Findings at or above the --fail-on severity
+const EXIT_ERROR = 2; // Invalid usage or the scan could not run
+
+const FORMATS = ['json', 'sarif', 'text'];
+const ENGINES = ['auto', 'noseyparker', 'native'];
+const DEPENDENCY_HANDLING = ['warning', 'exclude', 'normal'];
+// --scope values and their scan scope modes (scan-scope.js)
+const SCOPES = { full: 'full', 'working-tree': 'workingTree', history: 'history' };
+
+// Severities that fail the run for each --fail-on value. Dependency findings ('warning') only fail at 'low'.
+const FAIL_ON_SEVERITIES = {
+    high: ['high'],
+    medium: ['high', 'medium'],
+    low: ['high', 'medium', 'low', 'warning'],
+    none: []
+};
+
+const USAGE = `Usage: leak-lock scan <dir> [options]
+
+Scan a directory (working tree and full git history by default) for secrets.
+
+Options:
+  --staged                                    Only scan staged changes (the index), e.g. from a pre-commit hook
+  --scope <full|working-tree|history>         Scan the working tree and git history, only the working tree, or
+                                              only the git history (default: full)
+  --format <json|sarif|text>                  Report format; text is a readable list of findings (default: json)
+  --output <file>                             Write the report to a file instead of stdout
+  --fail-on <high|medium|low|none>            Exit with code 1 when unsuppressed findings of this severity
+                                              or higher exist (default: high)
+  --engine <auto|noseyparker|native>          Scan engine; auto falls back to the built-in rules when Docker
+                                              is unavailable (default: auto)
+  --secrets <redact|mask|include>             How secret values appear in the report (default: redact)
+  --dependency-handling <warning|exclude|normal>
+                                              Classification of findings in dependency directories (default: warning)
+  --timeout <minutes>                         Stop a Nosey Parker scan after this many minutes, 0 for no limit
+                                              (default: ${SCAN_TIMEOUT / 60000})
+  --image <reference>                         Nosey Parker image, ideally pinned by digest (repository@sha256:...)
+                                              (default: ${DOCKER_IMAGE})
+  -h, --help                                  Show this help
+  -v, --version                               Show the version
+
+Exit codes: 0 no findings at or above --fail-on, 1 findings at or above --fail-on, 2 usage or scan error.
+`;
+
+/**
+ * Error caused by invalid command line arguments.
+ */
+class UsageError extends Error { }
+
+function requireChoice(option, value, choices) {
+    if (!choices.includes(value)) {
+        throw new UsageError(`Invalid value for ${option}: ${value === undefined ? '(missing)' : value} (expected ${choices.join(', ')})`);
+    }
+    return value;
+}
+
+/**
+ * Parse command line arguments (without the node executable and script path).
+ * @param {string[]} argv
+ * @returns {Object} `{ command, directory, format, output, failOn, engine, secrets, dependencyHandling, timeout, staged,
+ *   image, scope }` where `scope` is a scan scope mode of scan-scope.js,
+ *   or `{ command: 'help' | 'version' }`
+ * @throws {UsageError}
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        directory: null,
+        format: 'json',
+        output: null,
+        failOn: 'high',
+        engine: 'auto',
+        secrets: 'redact',
+        dependencyHandling: 'warning',
+        timeout: SCAN_TIMEOUT / 60000, // Minutes
+        staged: false,
+        image: null, // Default image of scanner-image.js
+        scope: 'full'
+    };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            return { command: 'help' };
+        }
+        if (arg === '-v' || arg === '--version') {
+            return { command: 'version' };
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        if (arg === '--staged') {
+            options.staged = true;
+            continue;
+        }
+        // Accept both `--option value` and `--option=value`
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg : arg.slice(0, separator);
+        const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+        switch (name) {
+            case '--format':
+                options.format = requireChoice(name, value, FORMATS);
+                break;
+            case '--output':
+                if (!value) {
+                    throw new UsageError('Missing file for --output');
+                }
+                options.output = value;
+                break;
+            case '--fail-on':
+                options.failOn = requireChoice(name, value, Object.keys(FAIL_ON_SEVERITIES));
+                break;
+            case '--engine':
+                options.engine = requireChoice(name, value, ENGINES);
+                break;
+            case '--secrets':
+                options.secrets = requireChoice(name, value, SECRET_MODES);
+                break;
+            case '--dependency-handling':
+                options.dependencyHandling = requireChoice(name, value, DEPENDENCY_HANDLING);
+                break;
+            case '--timeout':
+                options.timeout = Number(value);
+                if (value === undefined || value === '' || !Number.isFinite(options.timeout) || options.timeout < 0) {
+                    throw new UsageError(`Invalid value for --timeout: ${value === undefined ? '(missing)' : value} (expected minutes, 0 for no limit)`);
+                }
+                break;
+            case '--image':
+                if (!value || !value.trim()) {
+                    throw new UsageError('Missing image reference for --image');
+                }
+                if (value.trim().startsWith('-')) {
+                    throw new UsageError(`Invalid value for --image: ${value}`);
+                }
+                options.image = value.trim();
+                break;
+            case '--scope':
+                options.scope = SCOPES[requireChoice(name, value, Object.keys(SCOPES))];
+                break;
+            default:
+                throw new UsageError(`Unknown option: ${name}`);
+        }
+    }
+
+    const [command, directory, ...extra] = positional;
+    if (command !== 'scan') {
+        throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+    if (!directory) {
+        throw new UsageError('Missing directory to scan');
+    }
+    if (extra.length > 0) {
+        throw new UsageError(`Unexpected argument: ${extra[0]}`);
+    }
+    if (options.staged && options.scope !== 'full') {
+        throw new UsageError('--scope cannot be combined with --staged');
+    }
+    return { ...options, command, directory };
+}
+
+/**
+ * Unsuppressed results whose severity fails the run for the given --fail-on value.
+ * @param {Array<Object>} results
+ * @param {'high'|'medium'|'low'|'none'} failOn
+ */
+function getFailingResults(results, failOn) {
+    const severities = FAIL_ON_SEVERITIES[failOn] || [];
+    return results.filter(result => !result.suppressed && severities.includes(result.severity));
+}
+
+/**
+ * Readable list of findings, one per line, e.g. for a blocked commit.
+ * @param {Array<Object>} results - Reported (unsuppressed) results
+ * @param {Object} [options]
+ * @param {'redact'|'mask'|'include'} [options.secrets='redact']
+ * @param {Map<string, string>} [options.secretValues] - Full secret values by result id (SecretScanner#secretValues)
+ * @param {boolean} [options.staged=false]
+ */
+function formatTextReport(results, { secrets = 'redact', secretValues, staged = false } = {}) {
+    const scope = staged ? 'staged changes' : 'the scanned directory';
+    if (results.length === 0) {
+        return `No secrets found in ${scope}.\n`;
+    }
+    const lines = [`${results.length} potential secret(s) found in ${scope}:`, ''];
+    for (const result of results) {
+        const location = `${result.path || result.file}:${result.line}${result.column ? `:${result.column}` : ''}`;
+        const notes = [
+            result.isGitHistory ? `git history${result.commitId ? ` ${result.commitId.slice(0, 12)}` : ''}` : null,
+            result.isDependency ? 'dependency' : null
+        ].filter(Boolean);
+        lines.push(`  ${String(result.severity).toUpperCase().padEnd(8)}${location}  ${result.rule || 'Secret detected'}  ` +
+            `${formatSecret(resolveSecret(result, secretValues), secrets)}${notes.length > 0 ? `  (${notes.join(', ')})` : ''}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function describeSeverities(results) {
+    const counts = {};
+    results.forEach(result => {
+        counts[result.severity] = (counts[result.severity] || 0) + 1;
+    });
+    return Object.entries(counts).map(([severity, count]) => `${count} ${severity}`).join(', ');
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr]
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        stderr.write(`leak-lock: ${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    if (options.command === 'help') {
+        stdout.write(USAGE);
+        return EXIT_OK;
+    }
+    if (options.command === 'version') {
+        stdout.write(`${require('./package.json').version}\n`);
+        return EXIT_OK;
+    }
+
+    const scanPath = path.resolve(options.directory);
+    if (!fs.existsSync(scanPath) || !fs.statSync(scanPath).isDirectory()) {
+        stderr.write(`leak-lock: Not a directory: ${scanPath}\n`);
+        return EXIT_ERROR;
+    }
+
+    let scan;
+    const scanner = new SecretScanner({
+        scanEngine: options.engine,
+        dependencyHandling: options.dependencyHandling,
+        image: options.image,
+        displayRoot: scanPath,
+        scanTimeout: options.timeout * 60 * 1000
+    });
+    // Ctrl+C stops the scan container instead of leaving it running
+    const onInterrupt = () => scanner.cancel();
+    process.once('SIGINT', onInterrupt);
+    try {
+        const onProgress = (progress) => stderr.write(`leak-lock: ${progress.message}\n`);
+        scan = options.staged
+            ? await scanner.scanStaged(scanPath, { onProgress })
+            : await scanner.scan(scanPath, { onProgress, scope: { mode: options.scope } });
+    } catch (error) {
+        stderr.write(error instanceof ScanCancelledError ? 'leak-lock: Scan cancelled\n' : `leak-lock: Scan failed: ${error.message}\n`);
+        return EXIT_ERROR;
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+    if (scan.fallbackReason) {
+        stderr.write(`leak-lock: Docker not available (${scan.fallbackReason}), scanned with the built-in rules\n`);
+    }
+    scan.warnings.forEach(warning => stderr.write(`leak-lock: ${warning}\n`));
+    const imageProblem = scan.scannerImage && describeScannerCheck(scan.scannerImage);
+    if (imageProblem) {
+        stderr.write(`leak-lock: ${imageProblem}\n`);
+    }
+
+    // SARIF keeps suppressed results (marked as suppressed); JSON and text list reported findings only
+    const reportOptions = {
+        toolVersion: require('./package.json').version,
+        repoRoot: scanner.repoRoot || scanPath,
+        secrets: options.secrets,
+        secretValues: scanner.secretValues
+    };
+    const reported = scan.results.filter(result => !result.suppressed);
+    let report;
+    if (options.format === 'sarif') {
+        report = JSON.stringify(buildSarifLog(scan.results, reportOptions), null, 2) + '\n';
+    } else if (options.format === 'text') {
+        report = formatTextReport(reported, { secrets: options.secrets, secretValues: scanner.secretValues, staged: options.staged });
+    } else {
+        report = buildReport('json', reported, reportOptions);
+    }
+    try {
+        if (options.output) {
+            fs.writeFileSync(options.output, report);
+        } else {
+            stdout.write(report);
+        }
+    } catch (error) {
+        stderr.write(`leak-lock: Could not write the report: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+
+    const failing = getFailingResults(scan.results, options.failOn);
+    const suppressedCount = scan.results.length - reported.length;
+    stderr.write(`leak-lock: ${reported.length} finding(s)${reported.length > 0 ? ` (${describeSeverities(reported)})` : ''}` +
+        `${suppressedCount > 0 ? `, ${suppressedCount} suppressed` : ''}` +
+        `${options.failOn !== 'none' ? `; ${failing.length} at or above '${options.failOn}'` : ''}\n`);
+    return failing.length > 0 ? EXIT_FINDINGS : EXIT_OK;
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_FINDINGS,
+    EXIT_ERROR,
+    USAGE,
+    UsageError,
+    parseArgs,
+    getFailingResults,
+    formatTextReport,
+    run
+};
@@ -9,6 +9,7 @@ module.exports = {
     BFG_DOWNLOAD_URL: 'https://repo1.maven.org/maven2/com/madgag/bfg/1.14.0/bfg-1.14.0.jar',
     
     // Docker Configuration
+    // Default of `leakLock.noseyParker.image`; "Leak Lock: Update Scanner" pins the setting to a digest
     DOCKER_IMAGE: 'ghcr.io/praetorian-inc/noseyparker:latest',
     DOCKER_PULL_TIMEOUT: 120000, // 2 minutes
     
@@ -17,33 +18,34 @@ module.exports = {
     SCAN_TIMEOUT: 300000, // 5 minutes
     REPORT_TIMEOUT: 60000, // 1 minute
     
-    // File and Directory Patterns
+    // Dependency and build output directories (trailing `/`) or file names whose findings are reported
+    // according to `dependencyHandling`; `.leaklock.json` can add paths with `dependencies.paths`
     DEPENDENCY_PATTERNS: [
-        'node_modules',
-        'vendor',
-        '.git',
-        'dist',
-        'build',
-        'target',
-        'out',
-        'bin',
-        '.vscode',
-        '.idea',
-        '__pycache__',
-        'venv',
-        'env',
-        '.env',
-        'site-packages',
-        'packages',
-        '.m2',
-        '.gradle',
-        '.cargo',
-        'Pods',
-        '.DS_Store',
-        'Thumbs.db'
+        'node_modules/', 'npm-cache/', '.npm/',
+        'venv/', 'env/', '.venv/', '__pycache__/', '.tox/', 'site-packages/',
+        'dist/', 'build/', '*.egg-info/',
+        'target/', '.m2/', 'lib/', 'libs/',
+        'vendor/', '.bundle/', 'gems/', 'composer/',
+        'go.sum', 'Cargo.lock',
+        'packages/', 'bin/', 'obj/', 'nuget/',
+        '.git/', '.svn/', '.hg/',
+        'out/', 'tmp/', 'temp/',
+        'cache/', '.cache/', 'logs/', '.logs/',
+        '.vscode/', '.idea/', '.eclipse/', '.settings/'
+    ],
+
+    // Git-ignored files that are still scanned with `leakLock.gitIgnored.reportCredentialFiles`
+    CREDENTIAL_FILE_PATTERNS: [
+        '.env', '.env.*', '*.env',
+        '*.pem', '*.key', '*.p12', '*.pfx', '*.jks', '*.keystore',
+        'id_rsa*', 'id_dsa*', 'id_ecdsa*', 'id_ed25519*',
+        'credentials', 'credentials.*', 'secrets.*', '*secret*.json', 'service-account*.json',
+        '.npmrc', '.pypirc', '.netrc', '.git-credentials', '.htpasswd'
     ],
     
-    // Default Replacement Values
+    // Default Replacement Values: by keyword of the rule name (e.g. "AWS API Key" -> api_key), otherwise
+    // DEFAULT_REPLACEMENT. `.leaklock.json` can set both per repository.
+    DEFAULT_REPLACEMENT: '*****',
     DEFAULT_REPLACEMENTS: {
         'api_key': '***REMOVED_API_KEY***',
         'password': '***REMOVED_PASSWORD***',
@@ -59,10 +61,11 @@ module.exports = {
     // Severity Configuration
     SEVERITY_COLORS: {
         high: '#ff6b6b',
-        medium: '#ffa726', 
+        medium: '#ffa726',
         low: '#66bb6a',
+        safe: '#4caf50',
         info: '#42a5f5',
-        dependency: '#9e9e9e'
+        warning: '#ff9800'
     },
     
     // Command Configuration
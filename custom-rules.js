@@ -0,0 +1,306 @@
+// Repository-specific detection rules, e.g. for internal token formats. Rules live in
+// `.leaklock/rules/*.yml` in Nosey Parker's rule file format:
+//
+//   rules:
+//     - name: ACME Live Service Key
+//       id: acme.live.1
+//       pattern: '\b(acme_live_[A-Za-z0-9]{32})\b'
+//       examples:
+//         - 'ACME_KEY=acme_live_...'
+//
+// Nosey Parker loads the directory with `--rules-path` and runs the rules through a ruleset naming them
+// (serializeRuleset); the built-in engine compiles the same patterns to JavaScript regular expressions.
+// The first capture group (or the whole match) is the secret.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const { scanText } = require('./native-scanner');
+
+const CUSTOM_RULES_DIR = path.join('.leaklock', 'rules');
+const RULE_FILE_PATTERN = /\.ya?ml$/i;
+// Nosey Parker ruleset enabling the repository's rules next to its `default` ruleset
+const CUSTOM_RULESET_ID = 'leak-lock.custom';
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// Leading inline flags of a Rust regex, e.g. `(?i)` or `(?xi)`
+const INLINE_FLAGS_PATTERN = /^\(\?([imsx]+)\)/;
+
+/**
+ * Directory holding a repository's rule files.
+ * @param {string} repoRoot
+ */
+function getCustomRulesDirectory(repoRoot) {
+    return path.join(repoRoot, CUSTOM_RULES_DIR);
+}
+
+/**
+ * Whether a repository-relative path is a rule file; their examples would otherwise be reported as findings.
+ * @param {string} relativePath
+ */
+function isCustomRulesPath(relativePath) {
+    const normalized = String(relativePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+    return normalized.startsWith('.leaklock/rules/');
+}
+
+/**
+ * Rules of a rule file.
+ * @param {string} text - Rule file contents
+ * @returns {Array<Object>} Rule definitions as written (name, id, pattern, examples, negative_examples, ...)
+ * @throws {Error} When the file is not a rule file
+ */
+function parseRuleFile(text) {
+    let document;
+    try {
+        document = yaml.load(String(text));
+    } catch (error) {
+        throw new Error(error.mark ? `Line ${error.mark.line + 1}: ${error.reason}` : error.message);
+    }
+    if (document === undefined || document === null) {
+        return [];
+    }
+    if (!document || Array.isArray(document) || !Array.isArray(document.rules)) {
+        throw new Error('Expected a top-level "rules" list');
+    }
+    return document.rules;
+}
+
+/**
+ * Remove the whitespace and `#` comments of an extended-mode (`x`) pattern, outside character classes.
+ * @param {string} source
+ */
+function stripExtendedSyntax(source) {
+    let result = '';
+    let inClass = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '\\') {
+            result += source.slice(i, i + 2);
+            i++;
+        } else if (inClass) {
+            result += ch;
+            inClass = ch !== ']';
+        } else if (ch === '[') {
+            result += ch;
+            inClass = true;
+            // A `]` right after `[` or `[^` is a literal
+            const literal = source.slice(i + 1).match(/^\^?\]/);
+            if (literal) {
+                result += literal[0];
+                i += literal[0].length;
+            }
+        } else if (ch === '#') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
+        } else if (!/\s/.test(ch)) {
+            result += ch;
+        }
+    }
+    return result;
+}
+
+/**
+ * Compile a rule definition for the built-in engine. Rust regex syntax is translated where JavaScript
+ * differs: leading inline flags, `(?P<name>`, `\A` and `\z`.
+ * @param {Object} definition - Rule as written in a rule file
+ * @returns {{id: string, name: string, pattern: RegExp, custom: true}}
+ * @throws {Error} When a field is missing or the pattern is not supported
+ */
+function compileRule(definition) {
+    const name = typeof definition?.name === 'string' ? definition.name.trim() : '';
+    const id = typeof definition?.id === 'string' ? definition.id.trim() : '';
+    const pattern = typeof definition?.pattern === 'string' ? definition.pattern.trim() : '';
+    if (!name) {
+        throw new Error('Rule needs a name');
+    }
+    if (!RULE_ID_PATTERN.test(id)) {
+        throw new Error(`Rule "${name}" needs an id made of letters, digits, ".", "_" and "-"`);
+    }
+    if (!pattern) {
+        throw new Error(`Rule "${name}" needs a pattern`);
+    }
+
+    let source = pattern;
+    let flags = 'g';
+    const inline = INLINE_FLAGS_PATTERN.exec(source);
+    if (inline) {
+        source = source.slice(inline[0].length);
+        if (inline[1].includes('x')) {
+            source = stripExtendedSyntax(source);
+        }
+        flags += [...new Set(inline[1].replace('x', ''))].join('');
+    }
+    if (/\(\?[a-zA-Z-]+[:)]/.test(source.replace(/\\./g, ''))) {
+        throw new Error(`Rule "${name}": inline flags are only supported at the start of the pattern`);
+    }
+    source = source
+        .replace(/\(\?P</g, '(?<')
+        .replace(/(^|[^\\])\\A/g, '$1^')
+        .replace(/(^|[^\\])\\z/g, '$1$');
+    try {
+        return { id, name, pattern: new RegExp(source, flags), custom: true };
+    } catch (error) {
+        throw new Error(`Rule "${name}": ${error.message}`);
+    }
+}
+
+/**
+ * Load and compile the rule files of a repository. Invalid files or rules are reported, not thrown.
+ * @param {string|null} repoRoot
+ * @returns {{directory: string|null, files: string[], definitions: Array<Object>, rules: Array<Object>,
+ *   errors: Array<{file: string, message: string}>, hash: string|null}} `hash` changes whenever a rule
+ *   file changes (null without rule files), so incremental scans can be invalidated
+ */
+function loadCustomRules(repoRoot) {
+    const loaded = { directory: null, files: [], definitions: [], rules: [], errors: [], hash: null };
+    if (!repoRoot) {
+        return loaded;
+    }
+    const directory = getCustomRulesDirectory(repoRoot);
+    let names;
+    try {
+        names = fs.readdirSync(directory).filter(name => RULE_FILE_PATTERN.test(name)).sort();
+    } catch {
+        return loaded; // No rules directory
+    }
+    const hash = crypto.createHash('sha256');
+    const seenIds = new Set();
+    for (const name of names) {
+        const filePath = path.join(directory, name);
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            loaded.errors.push({ file: name, message: error.message });
+            continue;
+        }
+        hash.update(`${name}\0${text}\0`);
+        loaded.files.push(filePath);
+        let definitions;
+        try {
+            definitions = parseRuleFile(text);
+        } catch (error) {
+            loaded.errors.push({ file: name, message: error.message });
+            continue;
+        }
+        for (const definition of definitions) {
+            try {
+                const rule = compileRule(definition);
+                if (seenIds.has(rule.id)) {
+                    throw new Error(`Duplicate rule id ${rule.id}`);
+                }
+                seenIds.add(rule.id);
+                loaded.rules.push(rule);
+                loaded.definitions.push({ ...definition, file: name });
+            } catch (error) {
+                loaded.errors.push({ file: name, message: error.message });
+            }
+        }
+    }
+    loaded.directory = loaded.files.length > 0 ? directory : null;
+    loaded.hash = loaded.files.length > 0 ? hash.digest('hex').slice(0, 16) : null;
+    return loaded;
+}
+
+/**
+ * Run a rule against sample text and its own examples, like `noseyparker rules check`.
+ * @param {Object} definition - Rule as written in a rule file
+ * @param {string} [sample] - Text to scan
+ * @returns {{matches: Array<{secret: string, line: number, column: number}>, failedExamples: string[],
+ *   matchedNegativeExamples: string[]}}
+ * @throws {Error} When the rule does not compile
+ */
+function testRule(definition, sample = '') {
+    const rule = compileRule(definition);
+    const matchesOf = (text) => scanText(String(text), { rules: [rule] });
+    const list = (value) => (Array.isArray(value) ? value : []).filter(item => typeof item === 'string' && item !== '');
+    return {
+        matches: matchesOf(sample).map(({ secret, line, column }) => ({ secret, line, column })),
+        failedExamples: list(definition.examples).filter(example => matchesOf(example).length === 0),
+        matchedNegativeExamples: list(definition.negative_examples).filter(example => matchesOf(example).length > 0)
+    };
+}
+
+// YAML scalar written by serializeRuleFile: single-quoted, or a literal block for multi-line text
+function formatScalar(value, indent) {
+    const text = String(value);
+    if (!text.includes('\n')) {
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+    const padding = ' '.repeat(indent);
+    return `|${text.endsWith('\n') ? '' : '-'}\n${text.replace(/\n$/, '').split('\n').map(line => (line ? padding + line : '')).join('\n')}`;
+}
+
+/**
+ * Nosey Parker ruleset file enabling rules by id. Rules loaded with `--rules-path` only run when an enabled
+ * ruleset includes them, so scans load this file as well and pass `--ruleset default --ruleset leak-lock.custom`.
+ * @param {string[]} ruleIds
+ * @returns {string}
+ */
+function serializeRuleset(ruleIds) {
+    return yaml.dump({
+        rulesets: [{ id: CUSTOM_RULESET_ID, name: 'Leak Lock custom rules', include_rule_ids: ruleIds }]
+    });
+}
+
+/**
+ * Rule file text for rule definitions, readable by parseRuleFile and Nosey Parker.
+ * @param {Array<Object>} definitions - Rules with name, id, pattern and optional example lists
+ */
+function serializeRuleFile(definitions) {
+    const lines = ['# Leak Lock custom rules (Nosey Parker rule format)', 'rules:'];
+    for (const definition of definitions) {
+        lines.push(`  - name: ${formatScalar(definition.name, 6)}`);
+        lines.push(`    id: ${formatScalar(definition.id, 6)}`);
+        lines.push(`    pattern: ${formatScalar(definition.pattern, 6)}`);
+        for (const key of ['examples', 'negative_examples', 'references']) {
+            const values = (definition[key] || []).filter(value => typeof value === 'string' && value !== '');
+            if (values.length > 0) {
+                lines.push(`    ${key}:`);
+                values.forEach(value => lines.push(`      - ${formatScalar(value, 8)}`));
+            }
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Save one rule to `.leaklock/rules/<id>.yml`, replacing a rule with the same id in that file.
+ * @param {string} repoRoot
+ * @param {Object} definition - Rule with name, id, pattern and optional examples / negative_examples
+ * @returns {string} Path of the rule file
+ * @throws {Error} When the rule does not compile or its id is defined in another rule file
+ */
+function saveCustomRule(repoRoot, definition) {
+    const rule = compileRule(definition);
+    const fileName = `${rule.id}.yml`;
+    const existing = loadCustomRules(repoRoot).definitions
+        .find(candidate => candidate.id === rule.id && candidate.file !== fileName);
+    if (existing) {
+        throw new Error(`Rule id ${rule.id} is already defined in ${existing.file}; edit that file instead`);
+    }
+    const directory = getCustomRulesDirectory(repoRoot);
+    const filePath = path.join(directory, fileName);
+    let definitions = [];
+    if (fs.existsSync(filePath)) {
+        definitions = parseRuleFile(fs.readFileSync(filePath, 'utf8')).filter(candidate => candidate.id !== rule.id);
+    }
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(filePath, serializeRuleFile([...definitions, { ...definition, name: rule.name, id: rule.id }]));
+    return filePath;
+}
+
+module.exports = {
+    CUSTOM_RULES_DIR,
+    CUSTOM_RULESET_ID,
+    getCustomRulesDirectory,
+    isCustomRulesPath,
+    parseRuleFile,
+    compileRule,
+    loadCustomRules,
+    testRule,
+    serializeRuleFile,
+    serializeRuleset,
+    saveCustomRule
+};
@@ -22,4 +22,39 @@ export default [{
         "constructor-super": "warn",
         "valid-typeof": "warn",
     },
+}, {
+    // Scanning core shared by the extension, the CLI and the pre-commit hook, which run without VS Code
+    files: [
+        "batch-scan.js",
+        "cli.js",
+        "config.js",
+        "custom-rules.js",
+        "finding-fingerprint.js",
+        "finding-groups.js",
+        "finding-provenance.js",
+        "glob-match.js",
+        "native-scanner.js",
+        "pre-commit-hook.js",
+        "project-config.js",
+        "replace-text.js",
+        "report-export.js",
+        "results-view.js",
+        "sarif-export.js",
+        "scan-core.js",
+        "scan-history.js",
+        "scan-ignore.js",
+        "scan-scope.js",
+        "scan-store.js",
+        "scanner-image.js",
+        "secret-preview.js",
+        "suppressions.js",
+        "bin/**/*.js",
+    ],
+
+    rules: {
+        "no-restricted-syntax": ["error", {
+            selector: "CallExpression[callee.name='require'][arguments.0.value='vscode']",
+            message: "This module also runs outside VS Code (CLI, pre-commit hook) and must not use the VS Code API.",
+        }],
+    },
 }];
\ No newline at end of file
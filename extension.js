@@ -5,13 +5,29 @@ const vscode = require('vscode');
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
 
-const dockerImage = 'ghcr.io/praetorian-inc/noseyparker:latest';
+// Nosey Parker image reference from `leakLock.noseyParker.image`, see scanner-image.js
+function getConfiguredScannerImage() {
+	return require('./scanner-image').getScannerImage(vscode.workspace.getConfiguration('leakLock').get('noseyParker.image'));
+}
 
 // Panel initialization delays (in milliseconds)
 // These timeouts ensure the webview panel is fully initialized before calling methods on it
 const PANEL_INIT_DELAY_MS = 50; // Delay for showRemoveFilesUI initialization
 const PANEL_SCAN_INIT_DELAY_MS = 100; // Delay for startScanFromSidebar initialization
 
+/**
+ * Folder for commands run without a selected directory: the only workspace folder, or the one the user picks
+ * in a multi-root workspace
+ */
+async function pickWorkspaceFolderPath(placeHolder) {
+	const workspaceFolders = vscode.workspace.workspaceFolders || [];
+	if (workspaceFolders.length <= 1) {
+		return workspaceFolders[0]?.uri.fsPath;
+	}
+	const folder = await vscode.window.showWorkspaceFolderPick({ placeHolder });
+	return folder?.uri.fsPath;
+}
+
 /**
  * Check if dependencies are already installed
  */
@@ -36,8 +52,8 @@ async function checkDependencies() {
 		dependencies.docker = true;
 		
 		// Check Nosey Parker image
-		await execAsync('docker image inspect ghcr.io/praetorian-inc/noseyparker:latest');
-		dependencies.noseyparker = true;
+		const { status } = await require('./scanner-image').checkScannerImage(getConfiguredScannerImage());
+		dependencies.noseyparker = status === 'pinned' || status === 'unpinned';
 	} catch (error) {
 		console.log('Docker or Nosey Parker not available');
 	}
@@ -59,6 +75,59 @@ async function checkDependencies() {
 	return dependencies;
 }
 
+/**
+ * Pin an unconfigured install to the digest of the default Nosey Parker image it pulled, so scans keep using
+ * that exact image until "Leak Lock: Update Scanner" moves the pin.
+ */
+async function pinDefaultScannerImage() {
+	const scannerImage = require('./scanner-image');
+	const config = vscode.workspace.getConfiguration('leakLock');
+	const setting = config.inspect('noseyParker.image');
+	if (setting?.globalValue || setting?.workspaceValue || setting?.workspaceFolderValue) {
+		return;
+	}
+	try {
+		const check = await scannerImage.checkScannerImage(getConfiguredScannerImage());
+		if (check.status !== 'unpinned' || !check.digest) {
+			return;
+		}
+		await config.update('noseyParker.image', scannerImage.pinReference(check.image, check.digest), vscode.ConfigurationTarget.Global);
+		vscode.window.showInformationMessage(`Leak Lock pinned the Nosey Parker image to ${scannerImage.shortDigest(check.digest)}. Run "Leak Lock: Update Scanner" to move to a newer release.`);
+	} catch (error) {
+		console.warn('Could not pin the Nosey Parker image:', error.message);
+	}
+}
+
+// Options of the pre-commit hook from the current settings, see pre-commit-hook.js
+function getPreCommitHookOptions(cliPath) {
+	const config = vscode.workspace.getConfiguration('leakLock');
+	return {
+		cliPath,
+		engine: config.get('scanEngine') || 'auto',
+		failOn: config.get('preCommitHook.failOn') || 'high',
+		image: config.get('noseyParker.image') || null
+	};
+}
+
+/**
+ * Point Leak Lock pre-commit hooks in the workspace folders at this version's CLI. The hook blocks commits
+ * once the extension directory it was installed from is gone, so hooks of an earlier version are updated.
+ * @param {string} cliPath - Absolute path of bin/leak-lock.js
+ */
+async function updateOutdatedPreCommitHooks(cliPath) {
+	const preCommitHook = require('./pre-commit-hook');
+	for (const folder of vscode.workspace.workspaceFolders || []) {
+		try {
+			if ((await preCommitHook.getHookStatus(folder.uri.fsPath, cliPath)).state === 'outdated') {
+				await preCommitHook.installHook(folder.uri.fsPath, getPreCommitHookOptions(cliPath));
+				console.log(`Updated the Leak Lock pre-commit hook of ${folder.uri.fsPath}`);
+			}
+		} catch {
+			// Not a git repository, or hooks are disabled
+		}
+	}
+}
+
 /**
  * Install the dependencies required for the extension.
  */
@@ -76,6 +145,7 @@ async function installDependencies(forceReinstall = false) {
 			
 			if (missing.length === 0) {
 				console.log('All dependencies already installed');
+				await pinDefaultScannerImage();
 				return true;
 			}
 			
@@ -125,7 +195,7 @@ async function installDependencies(forceReinstall = false) {
 			
 			// Pull Nosey Parker Docker image
 			try {
-				await execAsync('docker pull ghcr.io/praetorian-inc/noseyparker:latest');
+				await require('./scanner-image').pullImage(getConfiguredScannerImage());
 				progress.report({ increment: 0, message: "Nosey Parker image ready ✓" });
 			} catch (error) {
 				console.error('Failed to pull Nosey Parker image:', error);
@@ -134,6 +204,7 @@ async function installDependencies(forceReinstall = false) {
 		});
 		
 		vscode.window.showInformationMessage('✅ Leak Lock dependencies installed successfully!');
+		await pinDefaultScannerImage();
 		return true;
 		
 	} catch (error) {
@@ -164,9 +235,11 @@ function activate(context) {
 	
 	// Install dependencies on first activation
 	installDependencies();
+	updateOutdatedPreCommitHooks(require('path').join(context.extensionUri.fsPath, 'bin', 'leak-lock.js'));
 
 	// Import the LeakLockPanel
 	const LeakLockPanel = require('./leakLockPanel');
+	LeakLockPanel.extensionContext = context;
 
 	// Import and register the sidebar provider
 	const { LeakLockSidebarProvider } = require('./leakLockSidebarProvider');
@@ -235,12 +308,194 @@ function activate(context) {
 			// Use a slight delay to ensure panel is fully initialized
 			setTimeout(() => {
 				if (LeakLockPanel.currentPanel) {
-					LeakLockPanel.currentPanel.startScanFromSidebar(options.directory, options.dependenciesReady);
+					LeakLockPanel.currentPanel.startScanFromSidebar(options.directory, options.dependenciesReady, options.scope);
 				}
 			}, PANEL_SCAN_INIT_DELAY_MS);
 		}
 	});
 
+	// Register full rescan command: drops the persistent datastore and scans the selected repository again
+	const fullRescanCommand = vscode.commands.registerCommand('leak-lock.fullRescan', function () {
+		LeakLockPanel.createOrShow(context.extensionUri);
+		setTimeout(() => {
+			if (LeakLockPanel.currentPanel) {
+				LeakLockPanel.currentPanel.fullRescan(sidebarProvider.selectedDirectory);
+			}
+		}, PANEL_SCAN_INIT_DELAY_MS);
+	});
+
+	// Register staged scan command; from the Source Control title menu the argument is the git SourceControl
+	const scanStagedCommand = vscode.commands.registerCommand('leak-lock.scanStaged', async function (sourceControl) {
+		const directory = sourceControl?.rootUri?.fsPath
+			|| sidebarProvider.selectedDirectory
+			|| await pickWorkspaceFolderPath('Repository whose staged changes to scan');
+		if (!directory) {
+			vscode.window.showErrorMessage('No git repository found. Please open a folder first.');
+			return;
+		}
+		LeakLockPanel.createOrShow(context.extensionUri);
+		setTimeout(() => {
+			if (LeakLockPanel.currentPanel) {
+				LeakLockPanel.currentPanel.scanStagedChanges(directory);
+			}
+		}, PANEL_SCAN_INIT_DELAY_MS);
+	});
+
+	// Register workspace folders scan command: scans several folders of a multi-root workspace into one result list
+	const scanWorkspaceFoldersCommand = vscode.commands.registerCommand('leak-lock.scanWorkspaceFolders', async function (options) {
+		let folders = options?.folders;
+		if (!folders) {
+			const workspaceFolders = vscode.workspace.workspaceFolders || [];
+			if (workspaceFolders.length === 0) {
+				vscode.window.showErrorMessage('No workspace folder found. Please open a folder first.');
+				return;
+			}
+			const picks = await vscode.window.showQuickPick(
+				workspaceFolders.map(folder => ({ label: folder.name, description: folder.uri.fsPath, picked: true, folder })),
+				{ canPickMany: true, placeHolder: 'Workspace folders to scan' }
+			);
+			if (!picks || picks.length === 0) {
+				return;
+			}
+			folders = picks.map(pick => pick.folder.uri.fsPath);
+		}
+		LeakLockPanel.createOrShow(context.extensionUri);
+		setTimeout(() => {
+			if (LeakLockPanel.currentPanel) {
+				LeakLockPanel.currentPanel.scanWorkspaceFolders(folders, options?.scope || sidebarProvider.scanScope);
+			}
+		}, PANEL_SCAN_INIT_DELAY_MS);
+	});
+
+	// Register batch scan command: scans every git repository below a directory and shows a roll-up
+	const batchScanCommand = vscode.commands.registerCommand('leak-lock.batchScan', async function (options) {
+		let directory = options?.directory;
+		if (!directory) {
+			const selection = await vscode.window.showOpenDialog({
+				canSelectFolders: true,
+				canSelectFiles: false,
+				canSelectMany: false,
+				openLabel: 'Scan Repositories in This Directory'
+			});
+			directory = selection?.[0]?.fsPath;
+		}
+		if (!directory) {
+			return;
+		}
+		LeakLockPanel.createOrShow(context.extensionUri);
+		setTimeout(() => {
+			if (LeakLockPanel.currentPanel) {
+				LeakLockPanel.currentPanel.scanBatch(directory, options?.scope || sidebarProvider.scanScope);
+			}
+		}, PANEL_SCAN_INIT_DELAY_MS);
+	});
+
+	// Keep the sidebar's repository detection in sync with added and removed workspace folders
+	const workspaceFoldersListener = vscode.workspace.onDidChangeWorkspaceFolders(() => sidebarProvider.refreshWorkspaceFolders());
+
+	// Register scan history command: saved scans and diffs between them
+	const showScanHistoryCommand = vscode.commands.registerCommand('leak-lock.showScanHistory', function () {
+		LeakLockPanel.createOrShow(context.extensionUri);
+		setTimeout(() => {
+			if (LeakLockPanel.currentPanel) {
+				LeakLockPanel.currentPanel.showHistoryUI();
+			}
+		}, PANEL_INIT_DELAY_MS);
+	});
+
+	// Register custom rules command: rule editor and tester for .leaklock/rules
+	const editCustomRulesCommand = vscode.commands.registerCommand('leak-lock.editCustomRules', function (options) {
+		LeakLockPanel.createOrShow(context.extensionUri);
+		setTimeout(() => {
+			if (LeakLockPanel.currentPanel) {
+				LeakLockPanel.currentPanel.showRulesUI(options?.directory || sidebarProvider.selectedDirectory);
+			}
+		}, PANEL_INIT_DELAY_MS);
+	});
+
+	// Register SARIF export command for the results of the last scan
+	const exportSarifCommand = vscode.commands.registerCommand('leak-lock.exportSarif', function () {
+		if (!LeakLockPanel.currentPanel) {
+			vscode.window.showWarningMessage('No scan results to export. Run a scan first.');
+			return;
+		}
+		return LeakLockPanel.currentPanel.exportSarif();
+	});
+
+	// Register pre-commit hook command: installs the hook in the selected repository, or updates / removes it
+	const installPreCommitHookCommand = vscode.commands.registerCommand('leak-lock.installPreCommitHook', async function (options) {
+		const path = require('path');
+		const preCommitHook = require('./pre-commit-hook');
+		const repoPath = options?.directory || sidebarProvider.selectedDirectory || await pickWorkspaceFolderPath('Repository for the pre-commit hook');
+		if (!repoPath) {
+			vscode.window.showErrorMessage('No directory selected. Please select a git repository first.');
+			return;
+		}
+		const cliPath = path.join(context.extensionUri.fsPath, 'bin', 'leak-lock.js');
+		try {
+			const status = await preCommitHook.getHookStatus(repoPath, cliPath);
+			if (status.state === 'foreign') {
+				vscode.window.showErrorMessage(`A pre-commit hook not managed by Leak Lock already exists (${status.hookPath}). Call "node ${cliPath} scan . --staged --format text" from it instead.`);
+				return;
+			}
+			let action = 'install';
+			if (status.state !== 'missing') {
+				const choice = await vscode.window.showQuickPick([
+					{ label: '$(sync) Reinstall', description: 'Update the hook to this Leak Lock version and settings', action: 'install' },
+					{ label: '$(trash) Uninstall', description: 'Stop scanning staged changes before commits', action: 'uninstall' }
+				], { placeHolder: `Leak Lock pre-commit hook is installed in ${path.basename(repoPath)}` });
+				if (!choice) {
+					return;
+				}
+				action = choice.action;
+			}
+			if (action === 'uninstall') {
+				await preCommitHook.uninstallHook(repoPath);
+				vscode.window.showInformationMessage(`Leak Lock pre-commit hook removed from ${path.basename(repoPath)}.`);
+			} else {
+				await preCommitHook.installHook(repoPath, getPreCommitHookOptions(cliPath));
+				vscode.window.showInformationMessage(`Leak Lock pre-commit hook installed in ${path.basename(repoPath)}: commits with secrets in staged changes are blocked.`);
+			}
+		} catch (error) {
+			vscode.window.showErrorMessage(`Pre-commit hook: ${error.message}`);
+		} finally {
+			sidebarProvider.refreshHookStatus();
+		}
+	});
+
+	// Register update scanner command: pulls the newest Nosey Parker release and offers to pin the setting to its digest
+	const updateScannerCommand = vscode.commands.registerCommand('leak-lock.updateScanner', async function () {
+		const scannerImage = require('./scanner-image');
+		try {
+			const current = getConfiguredScannerImage();
+			const update = await vscode.window.withProgress({
+				location: vscode.ProgressLocation.Notification,
+				title: 'Leak Lock: Updating the Nosey Parker image...',
+				cancellable: false
+			}, () => scannerImage.updateScannerImage(current));
+			const version = update.version ? ` (${update.version})` : '';
+			if (!update.changed) {
+				vscode.window.showInformationMessage(`Nosey Parker image is up to date${version}: ${update.reference}`);
+				return;
+			}
+			const choices = vscode.workspace.workspaceFolders?.length ? ['Pin for Workspace', 'Pin for User'] : ['Pin for User'];
+			const choice = await vscode.window.showInformationMessage(
+				`Pulled Nosey Parker ${scannerImage.shortDigest(update.digest)}${version}. Pin leakLock.noseyParker.image to this digest so every scan uses it?`,
+				...choices
+			);
+			if (!choice) {
+				return;
+			}
+			const target = choice === 'Pin for Workspace' ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+			await vscode.workspace.getConfiguration('leakLock').update('noseyParker.image', update.reference, target);
+			vscode.window.showInformationMessage(`Nosey Parker image pinned to ${update.reference}`);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Failed to update the Nosey Parker image: ${error.message}`);
+		} finally {
+			sidebarProvider.refreshDependencies();
+		}
+	});
+
 	// Register cleanup command for manual cleanup
 	const cleanupCommand = vscode.commands.registerCommand('leak-lock.cleanup', async function () {
 		const result = await vscode.window.showWarningMessage(
@@ -256,6 +511,8 @@ function activate(context) {
 				cancellable: false
 			}, async () => {
 				await cleanupDependencies();
+				// Persistent scan datastores are only removed on explicit cleanup, not on deactivation
+				require('./scan-store').removeAllStores(context.globalStorageUri.fsPath);
 			});
 			vscode.window.showInformationMessage('Leak Lock cleanup completed!');
 		}
@@ -265,6 +522,14 @@ function activate(context) {
 	const projectScan = require('./project-scan');
 	projectScan.activate(context);
 
+	// Per-file diagnostics on save and via the File Scan command
+	const fileScan = require('./file-scan');
+	fileScan.activate(context);
+
+	// Read-only file contents at a commit, for git-history findings
+	const gitRevisionContent = require('./git-revision-content');
+	gitRevisionContent.activate(context);
+
 	// Add all commands to subscriptions
 	context.subscriptions.push(
 		disposable,
@@ -274,6 +539,16 @@ function activate(context) {
 		openRemoveFilesCommand,
 		updateRemoveFilesRepoCommand,
 		startScanCommand,
+		fullRescanCommand,
+		scanStagedCommand,
+		scanWorkspaceFoldersCommand,
+		batchScanCommand,
+		workspaceFoldersListener,
+		showScanHistoryCommand,
+		editCustomRulesCommand,
+		exportSarifCommand,
+		installPreCommitHookCommand,
+		updateScannerCommand,
 		cleanupCommand,
 		icon
 	);
@@ -311,7 +586,7 @@ async function cleanupDependencies() {
 		// 1. Remove Nosey Parker Docker image
 		try {
 			console.log('Removing Nosey Parker Docker image...');
-			await execAsync('docker rmi ghcr.io/praetorian-inc/noseyparker:latest');
+			await util.promisify(require('child_process').execFile)('docker', ['rmi', getConfiguredScannerImage()]);
 			console.log('✓ Nosey Parker Docker image removed');
 		} catch (error) {
 			console.log('Nosey Parker Docker image not found or already removed');
@@ -1,73 +1,185 @@
-// Security scan in the currently edited file. 
-// Scan using Praetorian Docker image and store results into a data store named by the currently edited filename (use the filename as the key). Convert any spaces into underscores.
-// In the currently edited file, show the results of the security scan as a decoration on the line number where the issue was found. The decoration should be a red squiggly underline.
-// The decoration should be shown only when the file is saved.
-// The decoration should be removed when the file is closed.
+// Security scan of the currently edited file.
+// The document contents are copied into a temporary directory and scanned with the same engine
+// (Nosey Parker or the built-in rules, per `leakLock.scanEngine`) used by the main panel. Findings are published as diagnostics on the exact match ranges,
+// refreshed whenever the file is saved (or on demand) and cleared when the file is closed. Scans on save use
+// `leakLock.scanOnSaveEngine`, the built-in rules by default, so saving does not start a container.
 const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
 
-const dockerImage = 'ghcr.io/praetorian-inc/noseyparker:latest';
+const { SecretScanner } = require('./scan-core');
+const suppressions = require('./suppressions');
+
+const DIAGNOSTIC_SOURCE = 'Leak Lock';
+
+// Map Leak Lock severities onto VS Code diagnostic severities
+const DIAGNOSTIC_SEVERITY = {
+    high: vscode.DiagnosticSeverity.Error,
+    medium: vscode.DiagnosticSeverity.Warning,
+    warning: vscode.DiagnosticSeverity.Warning,
+    low: vscode.DiagnosticSeverity.Information,
+    info: vscode.DiagnosticSeverity.Information,
+    safe: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Path of the document relative to its workspace folder, so dependency classification
+ * (node_modules, vendor, ...) behaves the same as in a repository scan.
+ * @param {vscode.TextDocument} document
+ */
+function getScanRelativePath(document) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+    if (workspaceFolder) {
+        const relative = path.relative(workspaceFolder.uri.fsPath, document.uri.fsPath);
+        if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+            return relative;
+        }
+    }
+    return path.basename(document.uri.fsPath);
+}
+
+/**
+ * Convert a scan result into a diagnostic covering the matched text.
+ * @param {vscode.TextDocument} document
+ * @param {Object} result - Result object produced by SecretScanner (scan-core.js)
+ */
+function createDiagnostic(document, result) {
+    const lastLine = Math.max(document.lineCount - 1, 0);
+    const startLine = Math.min(Math.max((result.line || 1) - 1, 0), lastLine);
+    let range;
+    if (result.column && result.endColumn) {
+        const endLine = Math.min(Math.max((result.endLine || result.line || 1) - 1, startLine), lastLine);
+        range = document.validateRange(new vscode.Range(startLine, result.column - 1, endLine, result.endColumn));
+    } else {
+        range = document.lineAt(startLine).range;
+    }
+
+    const ruleName = result.rule || 'Secret detected';
+    const diagnostic = new vscode.Diagnostic(
+        range,
+        `${result.description} [${ruleName}]`,
+        DIAGNOSTIC_SEVERITY[result.severity] ?? vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = ruleName;
+    return diagnostic;
+}
+
+/**
+ * Scan the document contents and return the parsed findings.
+ * @param {vscode.TextDocument} document
+ * @param {'auto'|'noseyparker'|'native'} scanEngine
+ */
+async function scanDocument(document, scanEngine) {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-file-'));
+    try {
+        const sourceDir = path.join(tempRoot, 'src');
+        const targetFile = path.join(sourceDir, getScanRelativePath(document));
+        fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+        fs.writeFileSync(targetFile, document.getText());
+
+        const config = vscode.workspace.getConfiguration('leakLock');
+        const scanner = new SecretScanner({
+            scanEngine,
+            dependencyHandling: config.get('dependencyHandling') || 'warning',
+            scanTimeout: Math.max(0, config.get('scanTimeoutMinutes') ?? 5) * 60 * 1000,
+            exclude: config.get('exclude') || [],
+            severityOverrides: config.get('severityOverrides') || {},
+            dependencyPaths: config.get('dependencyPaths') || [],
+            image: config.get('noseyParker.image')
+        });
+        // Apply the workspace's .leaklock.json, custom rules and .leaklockignore, like repository scans do
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+        scanner.useProjectConfig(workspaceFolder ? workspaceFolder.uri.fsPath : null);
+        scanner.useCustomRules(workspaceFolder ? workspaceFolder.uri.fsPath : null);
+        const results = await scanner.scanDirectory(sourceDir, path.join(tempRoot, 'datastore'));
+
+        const entries = workspaceFolder ? suppressions.loadSuppressions(workspaceFolder.uri.fsPath) : [];
+        return results.filter(result => !suppressions.findSuppression(result, entries));
+    } finally {
+        fs.rmSync(tempRoot, { recursive: true, force: true });
+    }
+}
 
 /**
  * Perform Security Scan on the currently edited file.
  * @param {vscode.ExtensionContext} context
  */
 function activate(context) {
-    let disposable = vscode.commands.registerCommand('leak-lock.fileScan', function () {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
+    const diagnostics = vscode.languages.createDiagnosticCollection('leak-lock');
+    // Scans in flight, keyed by document URI. A save during a running scan queues one rescan.
+    const pendingScans = new Map();
+
+    // `onSave`: scan with leakLock.scanOnSaveEngine instead of leakLock.scanEngine
+    async function refreshDiagnostics(document, { notify = false, onSave = false } = {}) {
+        if (document.uri.scheme !== 'file') {
             return;
         }
-        const document = editor.document;
-        const filename = document.fileName;
-        // Replace any spaces with underscores, forward slashes with underscores, dots with underscores, and colons with underscores.
-        const key = filename.replace(/\s/g, '_').replace(/\//g, '_').replace(/\./g, '_').replace(/:/g, '_');
-        const spawn = require('child_process').spawn;
-        const date = new Date().toISOString().replace(/[:.]/g, '-');
-        const args = ['run', '--rm', '-v', `${filename}:/scan/${key}`, dockerImage, 'report', '--datastore', `np.${key}`, '--format', 'json'];
-        const docker = spawn('docker', args);
-        docker.stdout.on('data', (data) => {
-            console.log
-            vscode.window.showInformationMessage(data.toString());
+        const key = document.uri.toString();
+        const state = pendingScans.get(key);
+        if (state) {
+            state.rescan = true;
+            return;
         }
-        );
-        docker.stderr.on('data', (data) => {
-            console.error(data.toString());
-        });
-        docker.on('close', (code) => {
-            console.log(`child process exited with code ${code}`);
-        });
-    }
-    );
-    context.subscriptions.push(disposable);
+        pendingScans.set(key, { rescan: false });
 
-    const decorationType = vscode.window.createTextEditorDecorationType({
-        textDecoration: 'underline wavy red'
-    });
+        try {
+            const config = vscode.workspace.getConfiguration('leakLock');
+            const scanEngine = (onSave ? config.get('scanOnSaveEngine') || 'native' : config.get('scanEngine')) || 'auto';
+            const results = await scanDocument(document, scanEngine);
+            // The document may have been closed while the scan was running
+            if (document.isClosed) {
+                diagnostics.delete(document.uri);
+                return;
+            }
+            diagnostics.set(document.uri, results.map(result => createDiagnostic(document, result)));
+
+            if (notify) {
+                if (results.length > 0) {
+                    vscode.window.showWarningMessage(`Leak Lock found ${results.length} potential secrets in ${path.basename(document.fileName)}.`);
+                } else {
+                    vscode.window.showInformationMessage(`No secrets found in ${path.basename(document.fileName)}.`);
+                }
+            }
+        } catch (error) {
+            console.error('File scan failed:', error);
+            if (notify) {
+                vscode.window.showErrorMessage(`File scan failed: ${error.message}`);
+            }
+        } finally {
+            const finished = pendingScans.get(key);
+            pendingScans.delete(key);
+            if (finished?.rescan && !document.isClosed) {
+                refreshDiagnostics(document, { onSave: true });
+            }
+        }
+    }
 
-    vscode.workspace.onDidSaveTextDocument((document) => {
+    const fileScanCommand = vscode.commands.registerCommand('leak-lock.fileScan', function () {
         const editor = vscode.window.activeTextEditor;
         if (!editor) {
+            vscode.window.showWarningMessage('Open a file to scan it for secrets.');
             return;
         }
-        const filename = document.fileName;
-        const key = filename.replace(/\s/g, '_');
-        const data = context.globalState.get(key);
-        if (data) {
-            data.forEach((issue) => {
-                const range = new vscode.Range(issue.line - 1, 0, issue.line - 1, 0);
-                const decoration = { range, hoverMessage: issue.description };
-                editor.setDecorations(decorationType, [decoration]);
-            });
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Window,
+            title: 'Leak Lock: scanning file...'
+        }, () => refreshDiagnostics(editor.document, { notify: true }));
+    });
+
+    const saveListener = vscode.workspace.onDidSaveTextDocument((document) => {
+        const config = vscode.workspace.getConfiguration('leakLock');
+        if (config.get('scanOnSave', true)) {
+            refreshDiagnostics(document, { onSave: true });
         }
-    }
-    );
+    });
 
-    vscode.workspace.onDidCloseTextDocument((document) => {
-        const filename = document.fileName;
-        const key = filename.replace(/\s/g, '_');
-        context.globalState.update(key, undefined);
-    }
-    );
+    const closeListener = vscode.workspace.onDidCloseTextDocument((document) => {
+        diagnostics.delete(document.uri);
+    });
+
+    context.subscriptions.push(diagnostics, fileScanCommand, saveListener, closeListener);
 }
 
 module.exports = {
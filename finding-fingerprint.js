@@ -0,0 +1,113 @@
+// Stable identifiers for findings.
+// A fingerprint identifies one secret at one location (rule + file + secret value) independently of the
+// line number, so a finding keeps its identity across scans while the surrounding code moves.
+// Fingerprints and secret hashes are HMAC-SHA256 digests keyed with a per-repository salt (see
+// suppressions.getRepositorySalt): a plain digest of a weak secret could be reversed by hashing candidates.
+// Grouping the same secret across repositories uses a separate key that lives only as long as the process.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FINGERPRINT_LENGTH = 20; // Hex characters kept from the digest
+// Random per-user salt from which local repository salts are derived
+const USER_SALT_FILE = path.join(os.homedir(), '.leak-lock', 'salt');
+const SALT_PATTERN = /^[0-9a-f]{64}$/;
+// Key of secretGroupKey; random per process and never written anywhere
+const SESSION_KEY = crypto.randomBytes(32);
+
+function readUserSalt() {
+    try {
+        const salt = fs.readFileSync(USER_SALT_FILE, 'utf8').trim();
+        return SALT_PATTERN.test(salt) ? salt : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Salt of a directory whose suppression file has none, derived from the per-user salt (created on first
+ * use) and the directory's path. It is stable across scans, differs between repositories and reveals
+ * nothing about the per-user salt when it is committed.
+ * @param {string} root - Repository root or scanned directory
+ * @returns {string} Hex salt
+ */
+function deriveLocalSalt(root) {
+    let userSalt = readUserSalt();
+    if (!userSalt) {
+        try {
+            fs.mkdirSync(path.dirname(USER_SALT_FILE), { recursive: true, mode: 0o700 });
+            // `wx`: another process creating the file first wins
+            fs.writeFileSync(USER_SALT_FILE, `${crypto.randomBytes(32).toString('hex')}\n`, { mode: 0o600, flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                console.warn(`Could not save ${USER_SALT_FILE}, fingerprints change with every scan:`, error.message);
+            }
+        }
+        userSalt = readUserSalt() || crypto.randomBytes(32).toString('hex');
+    }
+    return crypto.createHmac('sha256', userSalt).update(path.resolve(root)).digest('hex');
+}
+
+/**
+ * Keyed digest of a secret value. Lets files and storage refer to a secret without containing it.
+ * @param {string} secret
+ * @param {string} salt - Repository salt
+ * @returns {string}
+ */
+function hashSecret(secret, salt) {
+    return crypto.createHmac('sha256', salt).update(String(secret || '')).digest('hex');
+}
+
+/**
+ * Digest of a secret value that is equal in every repository scanned by this process, for grouping findings
+ * and matching them across workspace folders. Unlike hashSecret it must not be persisted: it changes with
+ * every process and would not match a suppression entry.
+ * @param {string} secret
+ * @returns {string}
+ */
+function secretGroupKey(secret) {
+    return crypto.createHmac('sha256', SESSION_KEY).update(String(secret || '')).digest('hex');
+}
+
+/**
+ * Fingerprint of a finding.
+ * @param {Object} finding
+ * @param {string} finding.rule - Rule name
+ * @param {string} finding.file - Path relative to the scanned directory
+ * @param {string} finding.secret - Full secret value
+ * @param {string} salt - Repository salt
+ * @returns {string}
+ */
+function fingerprintFinding({ rule, file, secret }, salt) {
+    return crypto.createHmac('sha256', salt)
+        .update(`${rule || ''}\0${file || ''}\0${secret || ''}`)
+        .digest('hex')
+        .slice(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * Identifier of one occurrence of a finding: its fingerprint plus line, column and commit. Stable across
+ * scans of unchanged content, so the UI can refer to a finding without holding its secret.
+ * @param {Object} occurrence
+ * @param {string} occurrence.fingerprint - See fingerprintFinding
+ * @param {number} [occurrence.line]
+ * @param {number} [occurrence.column]
+ * @param {string} [occurrence.commitId] - Commit of a git history finding
+ * @returns {string}
+ */
+function occurrenceId({ fingerprint, line, column, commitId }) {
+    return crypto.createHash('sha256')
+        .update(`${fingerprint}\0${line || 0}\0${column || 0}\0${commitId || ''}`)
+        .digest('hex')
+        .slice(0, FINGERPRINT_LENGTH);
+}
+
+module.exports = {
+    SALT_PATTERN,
+    deriveLocalSalt,
+    hashSecret,
+    secretGroupKey,
+    fingerprintFinding,
+    occurrenceId
+};
@@ -0,0 +1,50 @@
+// Grouping of findings by secret: the same token leaked in several files or commits becomes one issue
+// with all of its locations, so it is reviewed and replaced once. Findings are keyed by a digest of the
+// secret value (`secretGroup`, equal across repositories unlike the salted `secretHash`), never by the value itself.
+const { SEVERITY_ORDER } = require('./report-export');
+
+/**
+ * Group findings that share a secret.
+ * @param {Array<Object>} results - Results produced by SecretScanner (scan-core.js)
+ * @returns {Array<{key: string, results: Array<Object>, severity: string, rules: string[], fileCount: number,
+ *   historyCount: number, workingTreeCount: number, suppressed: boolean, isDependency: boolean}>}
+ *   Groups in order of their first finding; a group's severity is the highest of its unsuppressed findings
+ */
+function groupFindingsBySecret(results) {
+    const groups = new Map();
+    for (const result of results) {
+        // Results without a digest (e.g. produced by older versions) stay on their own
+        const key = result.secretGroup || `id:${result.id}`;
+        if (!groups.has(key)) {
+            groups.set(key, { key, results: [] });
+        }
+        groups.get(key).results.push(result);
+    }
+    return [...groups.values()].map(({ key, results: members }) => {
+        const reported = members.filter(result => !result.suppressed);
+        const ranked = (reported.length > 0 ? reported : members)
+            .map(result => result.severity)
+            .sort((a, b) => severityRank(a) - severityRank(b));
+        return {
+            key,
+            results: members,
+            severity: ranked[0],
+            rules: [...new Set(members.map(result => result.rule).filter(Boolean))],
+            fileCount: new Set(members.map(result => `${result.folder || ''}\0${result.path || result.file}`)).size,
+            historyCount: members.filter(result => result.isGitHistory).length,
+            workingTreeCount: members.filter(result => !result.isGitHistory).length,
+            suppressed: reported.length === 0,
+            isDependency: members.every(result => result.isDependency)
+        };
+    });
+}
+
+// Position in SEVERITY_ORDER; unknown severities sort last
+function severityRank(severity) {
+    const index = SEVERITY_ORDER.indexOf(severity);
+    return index === -1 ? SEVERITY_ORDER.length : index;
+}
+
+module.exports = {
+    groupFindingsBySecret
+};
@@ -0,0 +1,61 @@
+// Provenance of git-history findings: the commit that introduced a secret (id, author, date, message)
+// and the path of the blob within it, read from Nosey Parker's `git_repo` provenance. The built-in
+// engine reports the same shape.
+
+const COMMIT_ID_PATTERN = /^[0-9a-f]{7,64}$/i;
+// `time` crate's human-readable format used by some Nosey Parker versions: "2023-04-25 15:23:48.0 -07:00:00"
+const HUMAN_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}) (\d{1,2}):(\d{2}):(\d{2})(?:\.\d+)? ([+-]\d{1,2}):(\d{2})(?::\d{2})?$/;
+
+/**
+ * Normalize a commit timestamp to an ISO 8601 string. Unknown formats are returned unchanged.
+ * @param {string|number|null} value - ISO / RFC 3339 text, the `time` crate format or Unix seconds
+ * @returns {string|null}
+ */
+function normalizeTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return new Date(value * 1000).toISOString();
+    }
+    const text = String(value).trim();
+    const human = HUMAN_TIMESTAMP_PATTERN.exec(text);
+    const candidate = human
+        ? `${human[1]}T${human[2].padStart(2, '0')}:${human[3]}:${human[4]}${human[5][0]}${human[5].slice(1).padStart(2, '0')}:${human[6]}`
+        : text;
+    const parsed = Date.parse(candidate);
+    return Number.isNaN(parsed) ? text : new Date(parsed).toISOString();
+}
+
+/**
+ * Provenance of a match found in git history.
+ * @param {Object} match - Nosey Parker match (or built-in engine match) with a `provenance` array
+ * @returns {{commitId: string|null, author: string|null, authorEmail: string|null, date: string|null,
+ *   message: string|null, blobPath: string|null}|null} Null when the match is not from git history;
+ *   `message` is the first line of the commit message
+ */
+function getHistoryProvenance(match) {
+    const provenance = Array.isArray(match?.provenance) ? match.provenance : [];
+    const gitEntry = provenance.find(prov => prov && prov.kind === 'git_repo');
+    if (!gitEntry) {
+        return null;
+    }
+    const firstCommit = gitEntry.first_commit || {};
+    const metadata = firstCommit.commit_metadata || {};
+    const commitId = COMMIT_ID_PATTERN.test(metadata.commit_id || '') ? metadata.commit_id : null;
+    const message = String(metadata.message || '').split(/\r?\n/)[0].trim();
+    return {
+        commitId,
+        author: metadata.author_name || metadata.committer_name || null,
+        authorEmail: metadata.author_email || metadata.committer_email || null,
+        date: normalizeTimestamp(metadata.author_timestamp ?? metadata.committer_timestamp ?? null),
+        message: message || null,
+        blobPath: firstCommit.blob_path || null
+    };
+}
+
+module.exports = {
+    COMMIT_ID_PATTERN,
+    normalizeTimestamp,
+    getHistoryProvenance
+};
@@ -0,0 +1,67 @@
+// Read-only documents with a file's contents at a git revision, used to show where a git-history
+// finding was introduced. `leak-lock-git:` URIs carry the repository and revision in their query and are
+// resolved with `git show <revision>:<path>`.
+const vscode = require('vscode');
+const { execFile } = require('child_process');
+const util = require('util');
+
+const execFileAsync = util.promisify(execFile);
+
+const SCHEME = 'leak-lock-git';
+// A commit id, optionally followed by `^` for its first parent
+const REVISION_PATTERN = /^[0-9a-f]{7,64}\^?$/i;
+
+/**
+ * URI of a file at a revision of a repository.
+ * @param {string} repoRoot - Repository working tree
+ * @param {string} revision - Commit id, optionally suffixed with `^`
+ * @param {string} filePath - Repository-relative path
+ * @returns {vscode.Uri}
+ */
+function createRevisionUri(repoRoot, revision, filePath) {
+    if (!REVISION_PATTERN.test(revision)) {
+        throw new Error(`Invalid commit id: ${revision}`);
+    }
+    return vscode.Uri.from({
+        scheme: SCHEME,
+        path: '/' + filePath.replace(/\\/g, '/').replace(/^\/+/, ''),
+        query: JSON.stringify({ repo: repoRoot, revision })
+    });
+}
+
+/**
+ * Contents of a `leak-lock-git:` document. Paths missing at the revision (the file was added by the
+ * commit) yield an empty document.
+ * @param {vscode.Uri} uri
+ */
+async function provideRevisionContent(uri) {
+    const { repo, revision } = JSON.parse(uri.query);
+    if (!REVISION_PATTERN.test(revision)) {
+        return '';
+    }
+    try {
+        const { stdout } = await execFileAsync('git', ['-C', repo, 'show', `${revision}:${uri.path.slice(1)}`], {
+            maxBuffer: 50 * 1024 * 1024
+        });
+        return stdout;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Register the `leak-lock-git:` content provider.
+ * @param {vscode.ExtensionContext} context
+ */
+function activate(context) {
+    const provider = vscode.workspace.registerTextDocumentContentProvider(SCHEME, {
+        provideTextDocumentContent: provideRevisionContent
+    });
+    context.subscriptions.push(provider);
+}
+
+module.exports = {
+    SCHEME,
+    createRevisionUri,
+    activate
+};
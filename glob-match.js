@@ -0,0 +1,88 @@
+// Minimal gitignore-style glob matching for repository-relative paths.
+// Supports `*`, `?`, `**`, character classes, leading `/` (anchor to the root) and trailing `/` (directories).
+// A pattern without a slash matches at any depth, and a pattern matching a directory matches everything below it.
+
+/**
+ * Translate the body of a glob into a regular expression source.
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegExpSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = end;
+            }
+        } else {
+            source += ch.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Normalize a path for matching: forward slashes, no leading `./` or `/`.
+ * @param {string} filePath
+ */
+function normalizePath(filePath) {
+    return String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+/**
+ * Check whether a repository-relative path matches a gitignore-style pattern.
+ * @param {string} filePath - Path relative to the repository root
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(filePath, pattern) {
+    let glob = String(pattern || '').trim();
+    if (!glob) {
+        return false;
+    }
+    const directoryOnly = glob.endsWith('/');
+    if (directoryOnly) {
+        glob = glob.replace(/\/+$/, '');
+    }
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\/+/, '');
+
+    const prefix = anchored ? '' : '(?:.*/)?';
+    const suffix = directoryOnly ? '/.*' : '(?:/.*)?';
+    return new RegExp(`^${prefix}${globToRegExpSource(glob)}${suffix}$`).test(normalizePath(filePath));
+}
+
+/**
+ * Check whether a path matches any of the patterns.
+ * @param {string} filePath
+ * @param {string[]} patterns
+ */
+function matchesAnyGlob(filePath, patterns) {
+    return (patterns || []).some(pattern => matchesGlob(filePath, pattern));
+}
+
+module.exports = {
+    matchesGlob,
+    matchesAnyGlob,
+    normalizePath
+};
@@ -4,96 +4,35 @@ const vscode = require('vscode');
 const { exec, spawn, execFile } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const scanStore = require('./scan-store');
+const scanHistory = require('./scan-history');
+const {
+    validatePath,
+    validateDockerPath,
+    applySuppressions,
+    unstageFiles,
+    ScanCancelledError,
+    SecretScanner
+} = require('./scan-core');
+const suppressions = require('./suppressions');
+const { buildSarifLog } = require('./sarif-export');
+const { buildReport, REPORT_FORMATS, SEVERITY_ORDER } = require('./report-export');
+const { writeReplaceTextFile, removeReplaceTextFile } = require('./replace-text');
+const { buildSecretPreview } = require('./secret-preview');
+const { normalizeScanScope, isFullScope, describeScanScope } = require('./scan-scope');
+const { findGitRepositories, mapWithConcurrency, summarizeResults } = require('./batch-scan');
+const { createRevisionUri } = require('./git-revision-content');
+const { groupFindingsBySecret } = require('./finding-groups');
+const { RESULT_KINDS, normalizeResultsView, describeForView, matchesResultsView, compareForView, applyResultsView } = require('./results-view');
+const customRules = require('./custom-rules');
+const projectConfig = require('./project-config');
+const scannerImage = require('./scanner-image');
+const { SEVERITY_COLORS } = require('./config');
 
 // Configuration constants
-const MAX_PATH_LENGTH = 4096; // Maximum allowed path length to prevent DoS attacks
-const MAX_VOLUME_NAME_LENGTH = 255; // Maximum Docker volume name length
-const DOCKER_PULL_TIMEOUT = 120000; // Docker pull timeout in milliseconds (2 minutes)
-const SCAN_TIMEOUT = 300000; // Scan timeout in milliseconds (5 minutes)
-const SECRET_TRUNCATE_LENGTH = 50; // Length to truncate secrets for display
+const SCAN_HISTORY_KEY = 'leakLock.scanHistory'; // Workspace storage key for persisted scans
 const REMOTE_HEAD_FILTER_PATTERN = /\bHEAD$/; // Pattern to filter out remote HEAD refs
 
-// Cross-platform sensitive system directories
-const SENSITIVE_DIRECTORIES = {
-    // Unix-like systems (Linux, macOS, etc.)
-    unix: [
-        '/etc',
-        '/usr/bin',
-        '/bin',
-        '/sbin',
-        '/root',
-        '/var/run',
-        '/var/log',
-        '/sys',
-        '/proc',
-        '/boot',
-        '/dev'
-    ],
-    // Windows systems
-    windows: [
-        'C:\\Windows',
-        'C:\\Program Files',
-        'C:\\Program Files (x86)',
-        'C:\\ProgramData',
-        'C:\\System Volume Information',
-        'C:\\Boot',
-        'C:\\Recovery',
-        'C:\\$Recycle.Bin',
-        'C:\\hiberfil.sys',
-        'C:\\pagefile.sys',
-        // Common system user directories
-        'C:\\Users\\Administrator',
-        'C:\\Users\\Default',
-        'C:\\Users\\Public'
-    ]
-};
-
-// Helper function to safely escape shell arguments
-function escapeShellArg(arg) {
-    if (typeof arg !== 'string') {
-        throw new Error('Shell argument must be a string');
-    }
-    // Escape single quotes by ending the current quote, adding an escaped quote, and starting a new quote
-    return "'" + arg.replace(/'/g, "'\\''") + "'";
-}
-
-// Helper function to safely construct Docker commands using spawn instead of exec
-function runDockerCommand(args, options = {}) {
-    return new Promise((resolve, reject) => {
-        const dockerProcess = spawn('docker', args, {
-            stdio: ['ignore', 'pipe', 'pipe'],
-            ...options
-        });
-
-        let stdout = '';
-        let stderr = '';
-
-        dockerProcess.stdout?.on('data', (data) => {
-            stdout += data.toString();
-        });
-
-        dockerProcess.stderr?.on('data', (data) => {
-            stderr += data.toString();
-        });
-
-        dockerProcess.on('close', (code) => {
-            if (code === 0) {
-                resolve({ stdout, stderr, code });
-            } else {
-                const error = new Error(`Docker command failed with code ${code}`);
-                error.code = code;
-                error.stdout = stdout;
-                error.stderr = stderr;
-                reject(error);
-            }
-        });
-
-        dockerProcess.on('error', (error) => {
-            reject(error);
-        });
-    });
-}
-
 // HTML escaping function to prevent XSS
 function escapeHtml(unsafe) {
     if (typeof unsafe !== 'string') {
@@ -112,157 +51,12 @@ function escapeJsonAttribute(obj) {
     return escapeHtml(JSON.stringify(obj));
 }
 
-// Get platform-appropriate sensitive directories
-function getSensitiveDirectories() {
-    const isWindows = process.platform === 'win32';
-
-    if (isWindows) {
-        // On Windows, also check for case variations and different drive letters
-        const windowsDirs = [...SENSITIVE_DIRECTORIES.windows];
-
-        // Add variations for other common drive letters
-        const driveLetters = ['D:', 'E:', 'F:'];
-        driveLetters.forEach(drive => {
-            windowsDirs.push(
-                `${drive}\\Windows`,
-                `${drive}\\Program Files`,
-                `${drive}\\Program Files (x86)`,
-                `${drive}\\ProgramData`
-            );
-        });
-
-        return windowsDirs;
-    } else {
-        // Unix-like systems (Linux, macOS, etc.)
-        return SENSITIVE_DIRECTORIES.unix;
-    }
-}
-
-// Security validation functions
-function validatePath(inputPath) {
-    if (!inputPath || typeof inputPath !== 'string') {
-        throw new Error('Path must be a non-empty string');
-    }
-
-    // Check for dangerous characters in the original input BEFORE normalization
-    if (inputPath.includes('\0')) {
-        throw new Error('Path contains null bytes');
-    }
-
-    // Check for path length limits
-    if (inputPath.length > MAX_PATH_LENGTH) {
-        throw new Error(`Path is too long (max ${MAX_PATH_LENGTH} characters)`);
-    }
-
-    // Check for suspicious patterns in the original input
-    const suspiciousPatterns = [
-        /\.\.[/\\]/,     // ../ or ..\
-        /^\.\.$/,        // exactly ".."
-        /[/\\]\.\.$/,    // ends with /.. or \..
-        /^\.\.(?:[/\\]|$)/, // starts with ../ or ..\ or is just ".."
-        /[/\\]\.\.(?:[/\\]|$)/, // contains /../ or \..\
-    ];
-
-    for (const pattern of suspiciousPatterns) {
-        if (pattern.test(inputPath)) {
-            throw new Error(`Path contains directory traversal attempt: ${inputPath}`);
-        }
-    }
-
-    // Normalize the path to resolve any relative components
-    const normalizedPath = path.resolve(inputPath);
-
-    // Instead of restricting to current working directory, protect against
-    // access to sensitive system directories only
-    if (path.isAbsolute(normalizedPath)) {
-        const sensitiveDirectories = getSensitiveDirectories();
-        const isWindows = process.platform === 'win32';
-
-        const isSensitive = sensitiveDirectories.some(sensitiveDir => {
-            // Normalize both paths for comparison
-            const normalizedSensitiveDir = path.resolve(sensitiveDir);
-
-            if (isWindows) {
-                // Case-insensitive comparison for Windows
-                const normalizedPathLower = normalizedPath.toLowerCase();
-                const sensitivePathLower = normalizedSensitiveDir.toLowerCase();
-
-                return normalizedPathLower === sensitivePathLower ||
-                    normalizedPathLower.startsWith(sensitivePathLower + path.sep);
-            } else {
-                // Case-sensitive comparison for Unix-like systems
-                return normalizedPath === normalizedSensitiveDir ||
-                    normalizedPath.startsWith(normalizedSensitiveDir + path.sep);
-            }
-        });
-
-        if (isSensitive) {
-            throw new Error(`Access to sensitive system directory not allowed: ${normalizedPath}`);
-        }
-    }
-
-    return normalizedPath;
-}
-
-function validateDockerPath(inputPath, allowedBasePaths = []) {
-    const validatedPath = validatePath(inputPath);
-
-    // Ensure the path exists and is accessible
-    if (!fs.existsSync(validatedPath)) {
-        // For directories that don't exist yet, check if parent exists
-        const parentDir = path.dirname(validatedPath);
-        if (!fs.existsSync(parentDir)) {
-            throw new Error(`Parent directory does not exist: ${parentDir}`);
-        }
-    }
-
-    // If allowed base paths are specified, ensure the path is within them
-    if (allowedBasePaths.length > 0) {
-        const isAllowed = allowedBasePaths.some(basePath => {
-            try {
-                // Resolve both paths to handle symlinks and relative paths properly
-                const normalizedBase = path.resolve(basePath);
-                const normalizedValidated = path.resolve(validatedPath);
-
-                // Use path.relative to check containment more robustly
-                const relativePath = path.relative(normalizedBase, normalizedValidated);
-
-                // If relative path is empty, it's the same directory (allowed)
-                // If it doesn't start with .., it's within the base path (allowed)
-                // If it starts with .., it's outside the base path (not allowed)
-                return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
-            } catch (error) {
-                // If path resolution fails, deny access
-                return false;
-            }
-        });
-
-        if (!isAllowed) {
-            throw new Error(`Path is outside allowed directories: ${validatedPath}`);
-        }
-    }
-
-    return validatedPath;
-}
-
-function sanitizeDockerVolumeName(name) {
-    if (!name || typeof name !== 'string') {
-        throw new Error('Volume name must be a non-empty string');
-    }
-
-    // Allow only alphanumeric characters, hyphens, underscores, and dots
-    // This prevents command injection through volume names
-    const sanitized = name.replace(/[^a-zA-Z0-9._-]/g, '');
-
-    if (sanitized !== name) {
-        throw new Error(`Volume name contains invalid characters: ${name}`);
-    }
-
-    if (sanitized.length === 0 || sanitized.length > MAX_VOLUME_NAME_LENGTH) {
-        throw new Error(`Volume name is invalid length: ${sanitized.length}`);
-    }
-
-    return sanitized;
+// JSON embedded in a <script type="application/json"> element; `<` cannot close the element
+function escapeJsonScript(obj) {
+    return JSON.stringify(obj)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
 }
 
 // Webview panel provider for main area display
@@ -274,21 +68,42 @@ class LeakLockPanel {
         this._selectedDirectory = null;
         this._isScanning = false;
         this._scanProgress = null;
-        this._scanPath = null;
-        this._scanRepoRoot = null;
-        this._trackedFiles = null;
+        this._activeScanner = null; // SecretScanner of the running scan, for cancellation
+        this._scanCancelled = false; // The last scan was cancelled before it produced results
+        this._scanFolders = []; // { name, path, repoRoot } per folder of the last scan, see _createScanFolders
+        this._requestedScanFolders = null; // Workspace folders to scan instead of the selected directory
+        this._secretValues = new Map(); // Full secret values of the last scan by result id; never sent to the webview
         this._scanCleanup = {
             preparedCommand: null,
             preparedMode: null, // 'bfg' | 'git'
-            replacements: null,
-            replacementsFile: null,
+            replacements: null, // Replacement groups per repository, see _resolveReplacements
+            replacementsFiles: null,
             preparing: false,
             running: false
         };
         this._dependenciesInstalled = false;
+        this._scanEngine = null; // 'noseyparker' | 'native' for the last scan
+        this._scanStoreInfo = null; // { incremental, previousScanAt } for the last scan
+        this._scanMode = 'repository'; // 'repository' | 'staged' (index only) | 'batch' (roll-up) for the last scan
+        this._batchScan = null; // { root, scope, repos, cancelled } of the last batch scan, see _scanBatch()
+        this._batchRepoIndex = null; // Repository of the batch scan shown in the results table
+        this._batchScanners = new Set(); // Scanners of the running batch scan, for cancellation
+        this._stagedFiles = []; // Repository-relative paths scanned by the last staged scan
+        this._requestedScanScope = {}; // Scope chosen in the sidebar for the next repository scan
+        this._lastScanScope = null; // Normalized scope of the last repository scan
+        this._engineVersions = {}; // Cached engine version strings, keyed by engine (image for Nosey Parker)
+        this._scannerImageWarned = false; // Unpinned/differing scanner image reported, see _reportScannerImage()
+        this._historyState = { baseId: null, compareId: null };
+        this._rulesState = { repoRoot: null }; // Repository whose .leaklock/rules the rules view edits
+        this._showSuppressed = false; // Show results suppressed by .leaklockignore
+        this._groupBySecret = false; // One row per unique secret with its locations underneath, see finding-groups.js
+        this._resultsView = normalizeResultsView(); // Sort, filters and search of the results table, set by the webview
         this._panel = null;
+        this._renderedRegions = null; // Scan view regions in the webview, see _updateWebviewContent
+        this._webviewReady = false; // The scan view's script has loaded and accepts region updates
+        this._needsRegionSync = false; // Regions changed before the webview was ready
 
-        // View mode: 'scan' | 'removeFiles'
+        // View mode: 'scan' | 'removeFiles' | 'history' | 'rules'
         this._viewMode = 'scan';
         this._removalState = {
             repoDir: null,
@@ -306,6 +121,15 @@ class LeakLockPanel {
         };
     }
 
+    // Extension context, set on activation; provides global storage for persistent datastores
+    static get extensionContext() {
+        return LeakLockPanel._extensionContext;
+    }
+
+    static set extensionContext(context) {
+        LeakLockPanel._extensionContext = context;
+    }
+
     static get currentPanel() {
         return LeakLockPanel._currentPanel;
     }
@@ -333,40 +157,110 @@ class LeakLockPanel {
             {
                 enableScripts: true,
                 localResourceRoots: [extensionUri],
-                retainContextWhenHidden: true
+                // The webview keeps its input in getState()/setState() instead of staying alive while hidden
+                retainContextWhenHidden: false
             }
         );
 
         LeakLockPanel.currentPanel = new LeakLockPanel(extensionUri);
         LeakLockPanel.currentPanel._panel = panel;
         LeakLockPanel.currentPanel._setupPanelListeners();
-        LeakLockPanel.currentPanel._panel.webview.html = LeakLockPanel.currentPanel._getHtmlForWebview();
+        LeakLockPanel.currentPanel._renderWebview();
 
         // Handle messages from the webview
         panel.webview.onDidReceiveMessage(
             message => {
                 switch (message.command) {
                     case 'fix':
-                        LeakLockPanel.currentPanel._generateFixCommand(message.replacements);
+                        LeakLockPanel.currentPanel._generateFixCommand(LeakLockPanel.currentPanel._resolveReplacements(message.replacements));
                         break;
                     case 'runBFG':
-                        LeakLockPanel.currentPanel._runBFGCommand(message.replacements);
+                        LeakLockPanel.currentPanel._runBFGCommand(LeakLockPanel.currentPanel._resolveReplacements(message.replacements));
+                        break;
+                    case 'webview.ready':
+                        LeakLockPanel.currentPanel._onWebviewReady();
                         break;
                     case 'openFile':
-                        LeakLockPanel.currentPanel._openFile(message.file, message.line);
+                        LeakLockPanel.currentPanel._openFile(message.file, message.line, message.id);
                         break;
                     case 'requestNewScan':
                         // Trigger new scan via command
                         vscode.commands.executeCommand('leak-lock.startScan');
                         break;
+                    case 'fullRescan':
+                        LeakLockPanel.currentPanel.fullRescan();
+                        break;
+                    case 'scan.cancel':
+                        LeakLockPanel.currentPanel.cancelScan();
+                        break;
+                    case 'batch.showRepo':
+                        LeakLockPanel.currentPanel._showBatchRepository(message.index);
+                        break;
+                    case 'batch.overview':
+                        LeakLockPanel.currentPanel._showBatchOverview();
+                        break;
+                    case 'batch.rescan':
+                        LeakLockPanel.currentPanel.scanBatch(LeakLockPanel.currentPanel._batchScan?.root);
+                        break;
+                    case 'staged.rescan':
+                        LeakLockPanel.currentPanel.scanStagedChanges();
+                        break;
+                    case 'staged.unstage':
+                        LeakLockPanel.currentPanel._unstageAffectedFiles();
+                        break;
+                    case 'history.show':
+                        LeakLockPanel.currentPanel.showHistoryUI();
+                        break;
+                    case 'history.back':
+                        LeakLockPanel.currentPanel.showScanUI();
+                        break;
+                    case 'history.compare':
+                        LeakLockPanel.currentPanel._selectHistoryScans(message.baseId, message.compareId);
+                        break;
+                    case 'history.clear':
+                        LeakLockPanel.currentPanel._clearScanHistory();
+                        break;
+                    case 'rules.show':
+                        LeakLockPanel.currentPanel.showRulesUI();
+                        break;
+                    case 'rules.back':
+                        LeakLockPanel.currentPanel.showScanUI();
+                        break;
+                    case 'rules.test':
+                        LeakLockPanel.currentPanel._testCustomRule(message.rule, message.sample);
+                        break;
+                    case 'rules.save':
+                        LeakLockPanel.currentPanel._saveCustomRule(message.rule);
+                        break;
+                    case 'rules.openFile':
+                        LeakLockPanel.currentPanel._openCustomRulesFile(message.file);
+                        break;
+                    case 'suppress.add':
+                        LeakLockPanel.currentPanel._ignoreResult(message.index, message.kind);
+                        break;
+                    case 'secret.reveal':
+                        LeakLockPanel.currentPanel._revealSecret(message.id);
+                        break;
+                    case 'suppress.toggle':
+                        LeakLockPanel.currentPanel._toggleSuppressed();
+                        break;
+                    case 'results.toggleGrouping':
+                        LeakLockPanel.currentPanel._toggleGroupBySecret();
+                        break;
+                    case 'results.view':
+                        LeakLockPanel.currentPanel._resultsView = normalizeResultsView(message.view);
+                        break;
+                    case 'export.results':
+                        LeakLockPanel.currentPanel.exportResults(message.format);
+                        break;
                     case 'openSecurityGuide':
                         LeakLockPanel.currentPanel._openSecurityGuide();
                         break;
                     case 'scan.prepareBfg':
-                        LeakLockPanel.currentPanel._prepareScanBfgCommand(message.replacements);
+                        LeakLockPanel.currentPanel._prepareScanBfgCommand(LeakLockPanel.currentPanel._resolveReplacements(message.replacements));
                         break;
                     case 'scan.prepareGit':
-                        LeakLockPanel.currentPanel._prepareScanGitCommand(message.replacements);
+                        LeakLockPanel.currentPanel._prepareScanGitCommand(LeakLockPanel.currentPanel._resolveReplacements(message.replacements));
                         break;
                     case 'scan.runBfg':
                         LeakLockPanel.currentPanel._runPreparedScanCleanup('bfg');
@@ -418,13 +312,19 @@ class LeakLockPanel {
         );
     }
 
-    _getHtmlForWebview() {
-        const hasResults = this._scanResults.length > 0;
-
+    // Full document of the current view. The scan view is made of regions that later updates replace in
+    // place, see _updateWebviewContent.
+    _getHtmlForWebview(regions = this._getScanViewRegions()) {
         // If in Remove Files mode, render that UI instead
         if (this._viewMode === 'removeFiles') {
             return this._getRemoveFilesHtml();
         }
+        if (this._viewMode === 'history') {
+            return this._getHistoryHtml();
+        }
+        if (this._viewMode === 'rules') {
+            return this._getRulesHtml();
+        }
 
         return `
             <!DOCTYPE html>
@@ -516,6 +416,61 @@ class LeakLockPanel {
                     .results-table th {
                         background-color: var(--vscode-editor-selectionBackground);
                     }
+                    .results-scroll {
+                        max-height: 70vh;
+                        overflow-y: auto;
+                        margin-top: 10px;
+                    }
+                    .results-scroll .results-table {
+                        margin-top: 0;
+                    }
+                    .results-scroll thead th {
+                        position: sticky;
+                        top: 0;
+                        z-index: 1;
+                    }
+                    .sort-link {
+                        cursor: pointer;
+                        user-select: none;
+                    }
+                    .sort-link.active {
+                        color: var(--vscode-textLink-foreground);
+                    }
+                    .results-toolbar {
+                        display: flex;
+                        flex-wrap: wrap;
+                        align-items: center;
+                        gap: 8px;
+                    }
+                    .results-toolbar input[type="search"] {
+                        min-width: 200px;
+                        background-color: var(--vscode-input-background);
+                        color: var(--vscode-input-foreground);
+                        border: 1px solid var(--vscode-input-border);
+                        padding: 4px;
+                    }
+                    .chip-group {
+                        display: inline-flex;
+                        flex-wrap: wrap;
+                        gap: 4px;
+                    }
+                    .filter-chip {
+                        padding: 2px 8px;
+                        border-radius: 10px;
+                        border: 1px solid var(--vscode-panel-border);
+                        background: transparent;
+                        color: var(--vscode-foreground);
+                        font-size: 0.8em;
+                        cursor: pointer;
+                    }
+                    .filter-chip.active {
+                        background: var(--vscode-button-background);
+                        color: var(--vscode-button-foreground);
+                        border-color: var(--vscode-button-background);
+                    }
+                    .chip-count {
+                        opacity: 0.7;
+                    }
                     .replacement-input {
                         width: 100%;
                         background-color: var(--vscode-input-background);
@@ -707,46 +662,308 @@ class LeakLockPanel {
                     .secondary-button:hover {
                         background: var(--vscode-button-secondaryHoverBackground);
                     }
+
+                    .row-action {
+                        background: var(--vscode-button-secondaryBackground);
+                        color: var(--vscode-button-secondaryForeground);
+                        border: none;
+                        padding: 2px 6px;
+                        border-radius: 3px;
+                        cursor: pointer;
+                        font-size: 0.8em;
+                    }
+
+                    .row-action:hover {
+                        background: var(--vscode-button-secondaryHoverBackground);
+                    }
                 </style>
             </head>
             <body>
-                <div class="main-container">
-                    <div class="scan-header">
-                        <h2>🛡️ Security Scan Results</h2>
-                        <p style="color: var(--vscode-descriptionForeground); margin: 5px 0 15px 0; font-size: 0.9em;">
-                            Use the <strong>Control Panel</strong> in the sidebar to install dependencies and select directories to scan.
-                        </p>
-                        ${this._isScanning ? `
-                            <div class="scanning-indicator">
-                                <div class="spinner" style="margin-right: 10px;"></div>
-                                <span>🔍 Scanning in progress... Please wait.</span>
-                            </div>
-                        ` : ''}
-                    </div>
-                </div>
-                
-                ${this._getScanResultsSection()}
-                
+                <div id="region-header">${regions.header}</div>
+                <div id="region-batchNav">${regions.batchNav}</div>
+                <div id="region-results">${regions.results}</div>
                 <script>
                     const vscode = acquireVsCodeApi();
                     
                     // Dependency installation and directory selection 
                     // is now handled by the sidebar panel
                     
+                    // Replacements keyed by finding id; the extension maps ids to the full secret values. Only rows
+                    // matching the table's filters and search are included.
                     function collectReplacements() {
                         const replacements = {};
-                        const checkboxes = document.querySelectorAll('.secret-checkbox:checked');
-                        
-                        checkboxes.forEach(checkbox => {
-                            const row = checkbox.closest('tr');
-                            const secretValue = row.dataset.secret;
-                            const replacementInput = row.querySelector('.replacement-input');
-                            replacements[secretValue] = replacementInput.value || '*****';
+                        resultsTable.visibleEntries.forEach(entry => {
+                            if (!isEntryChecked(entry)) {
+                                return;
+                            }
+                            // Grouped rows apply one replacement to every location of their secret
+                            entry.ids.forEach(findingId => {
+                                replacements[findingId] = resultsTable.replacements.get(entry.key) || entry.replacement;
+                            });
                         });
-                        
                         return replacements;
                     }
 
+                    // Results table: the extension sends every row; sorting, filtering and search happen here and
+                    // only the rows around the visible part of the scroll container are in the DOM
+                    const RESULTS_OVERSCAN = 15; // Rows rendered above and below the visible ones
+                    // Written by saveState(); restores input when the document is re-created after the panel was hidden
+                    const savedState = vscode.getState() || {};
+                    const resultsTable = {
+                        entries: [],
+                        view: null,
+                        visibleEntries: [],
+                        checked: new Map(savedState.checked || []), // Row key -> checkbox state changed by the user
+                        replacements: new Map(savedState.replacements || []), // Row key -> replacement typed by the user
+                        expanded: new Set(savedState.expanded || []), // Keys of expanded secret groups
+                        rowHeight: 60, // Estimate until rows are measured
+                        measured: false,
+                        renderedRange: null
+                    };
+
+                    // Rows sent with the results region; false when it shows no results table
+                    function loadResultsData() {
+                        const element = document.getElementById('results-data');
+                        const data = element ? JSON.parse(element.textContent) : null;
+                        resultsTable.entries = data ? data.entries : [];
+                        resultsTable.view = data ? data.view : null;
+                        resultsTable.visibleEntries = [];
+                        resultsTable.renderedRange = null;
+                        return Boolean(data);
+                    }
+
+                    // Selections, replacements, expanded groups and scroll positions. Revealed secret values are
+                    // never saved.
+                    let saveTimer = null;
+                    function saveState() {
+                        clearTimeout(saveTimer);
+                        saveTimer = setTimeout(() => {
+                            const scroll = document.getElementById('results-scroll');
+                            vscode.setState({
+                                checked: [...resultsTable.checked],
+                                replacements: [...resultsTable.replacements],
+                                expanded: [...resultsTable.expanded],
+                                resultsScrollTop: scroll ? scroll.scrollTop : 0,
+                                pageScrollY: window.scrollY
+                            });
+                        }, 100);
+                    }
+
+                    function isEntryChecked(entry) {
+                        return resultsTable.checked.has(entry.key) ? resultsTable.checked.get(entry.key) : entry.checked;
+                    }
+
+                    // Filtering and sorting rules of results-view.js, so the table and exports agree
+                    ${matchesResultsView.toString()}
+
+                    ${compareForView.toString()}
+
+                    // Re-filter and re-sort after a view change and tell the extension, so exports follow the table
+                    function applyResultsView(notify) {
+                        const view = resultsTable.view;
+                        const visible = resultsTable.entries.filter(entry => matchesResultsView(entry.row, view));
+                        const compare = compareForView(view);
+                        if (compare) {
+                            visible.sort((a, b) => compare(a.row, b.row));
+                        }
+                        resultsTable.visibleEntries = visible;
+
+                        const count = document.getElementById('results-count');
+                        if (count) {
+                            count.textContent = visible.length === resultsTable.entries.length
+                                ? resultsTable.entries.length + ' rows'
+                                : 'Showing ' + visible.length + ' of ' + resultsTable.entries.length + ' rows';
+                        }
+                        document.querySelectorAll('.sort-link').forEach(link => {
+                            const active = link.dataset.sort === view.sort;
+                            link.classList.toggle('active', active);
+                            link.querySelector('.sort-indicator').textContent = active ? (view.direction === 'desc' ? ' ▼' : ' ▲') : '';
+                        });
+                        document.querySelectorAll('.filter-chip').forEach(chip => {
+                            chip.classList.toggle('active', view[chip.dataset.filter].includes(chip.dataset.value));
+                        });
+
+                        const scroll = document.getElementById('results-scroll');
+                        if (scroll && notify) {
+                            scroll.scrollTop = 0;
+                        }
+                        resultsTable.renderedRange = null;
+                        renderResultsWindow();
+                        if (notify) {
+                            vscode.postMessage({ command: 'results.view', view: view });
+                        }
+                    }
+
+                    function spacerRow(height, columns) {
+                        return height > 0 ? '<tr class="results-spacer"><td colspan="' + columns + '" style="height: ' + height + 'px; padding: 0; border: none;"></td></tr>' : '';
+                    }
+
+                    function renderResultsWindow() {
+                        const scroll = document.getElementById('results-scroll');
+                        const body = document.getElementById('results-body');
+                        if (!scroll || !body) {
+                            return;
+                        }
+                        const entries = resultsTable.visibleEntries;
+                        const rowHeight = resultsTable.rowHeight;
+                        const start = Math.max(0, Math.floor(scroll.scrollTop / rowHeight) - RESULTS_OVERSCAN);
+                        const end = Math.min(entries.length, Math.ceil((scroll.scrollTop + scroll.clientHeight) / rowHeight) + RESULTS_OVERSCAN);
+                        const range = start + ':' + end;
+                        if (resultsTable.renderedRange === range) {
+                            return;
+                        }
+                        resultsTable.renderedRange = range;
+
+                        const columns = Number(body.dataset.columns);
+                        body.innerHTML = spacerRow(start * rowHeight, columns)
+                            + entries.slice(start, end).map(entry => entry.html).join('')
+                            + spacerRow((entries.length - end) * rowHeight, columns)
+                            + (entries.length === 0 ? '<tr><td colspan="' + columns + '" style="text-align: center; color: var(--vscode-descriptionForeground);">No results match the filters.</td></tr>' : '');
+
+                        // Rows are re-created while scrolling; restore what the user changed in them
+                        body.querySelectorAll('tr[data-finding-id]').forEach(row => {
+                            const key = row.dataset.findingId;
+                            const checkbox = row.querySelector('.secret-checkbox');
+                            if (checkbox && resultsTable.checked.has(key)) {
+                                checkbox.checked = resultsTable.checked.get(key);
+                            }
+                            const input = row.querySelector('.replacement-input');
+                            if (input && resultsTable.replacements.has(key)) {
+                                input.value = resultsTable.replacements.get(key);
+                            }
+                        });
+                        body.querySelectorAll('tr.finding-group').forEach(row => {
+                            setGroupExpanded(row, resultsTable.expanded.has(row.dataset.group));
+                        });
+
+                        // Measure once rows are rendered so the spacers match the real row height
+                        const rendered = [...body.querySelectorAll('tr[data-finding-id]:not(.group-member)')];
+                        if (rendered.length > 0 && !resultsTable.measured) {
+                            resultsTable.measured = true;
+                            const measured = rendered.reduce((sum, row) => sum + row.getBoundingClientRect().height, 0) / rendered.length;
+                            if (measured > 0) {
+                                resultsTable.rowHeight = measured;
+                                resultsTable.renderedRange = null;
+                                renderResultsWindow();
+                            }
+                        }
+                    }
+
+                    // Event delegation, so the handlers keep working when a region is replaced
+                    document.addEventListener('change', event => {
+                        if (event.target.classList.contains('secret-checkbox')) {
+                            resultsTable.checked.set(event.target.closest('tr').dataset.findingId, event.target.checked);
+                            saveState();
+                        }
+                    });
+                    let searchTimer = null;
+                    document.addEventListener('input', event => {
+                        if (event.target.classList.contains('replacement-input')) {
+                            resultsTable.replacements.set(event.target.closest('tr').dataset.findingId, event.target.value);
+                            saveState();
+                        } else if (event.target.id === 'results-search' && resultsTable.view) {
+                            clearTimeout(searchTimer);
+                            searchTimer = setTimeout(() => {
+                                resultsTable.view.search = event.target.value.trim();
+                                applyResultsView(true);
+                            }, 150);
+                        }
+                    });
+                    // Scroll events do not bubble; listen in the capture phase
+                    document.addEventListener('scroll', event => {
+                        if (event.target.id === 'results-scroll') {
+                            window.requestAnimationFrame(renderResultsWindow);
+                        }
+                        saveState();
+                    }, true);
+                    document.addEventListener('click', event => {
+                        const view = resultsTable.view;
+                        const sortLink = event.target.closest('.sort-link');
+                        const chip = event.target.closest('.filter-chip');
+                        if (!view || (!sortLink && !chip)) {
+                            return;
+                        }
+                        if (sortLink) {
+                            // Ascending, descending, then back to scan order
+                            if (view.sort !== sortLink.dataset.sort) {
+                                view.sort = sortLink.dataset.sort;
+                                view.direction = 'asc';
+                            } else if (view.direction === 'asc') {
+                                view.direction = 'desc';
+                            } else {
+                                view.sort = 'default';
+                                view.direction = 'asc';
+                            }
+                        } else {
+                            const values = view[chip.dataset.filter];
+                            const index = values.indexOf(chip.dataset.value);
+                            if (index === -1) {
+                                values.push(chip.dataset.value);
+                            } else {
+                                values.splice(index, 1);
+                            }
+                        }
+                        applyResultsView(true);
+                    });
+
+                    function restoreResultsScroll(scrollTop) {
+                        const scroll = document.getElementById('results-scroll');
+                        if (scroll && scrollTop) {
+                            scroll.scrollTop = scrollTop;
+                            renderResultsWindow();
+                        }
+                    }
+
+                    // Regions changed by the extension, see _updateWebviewContent. The results table keeps the
+                    // user's selections, replacements, scroll position and any search text being typed.
+                    window.addEventListener('message', event => {
+                        const message = event.data;
+                        if (message.command !== 'regions.update') {
+                            return;
+                        }
+                        const scroll = document.getElementById('results-scroll');
+                        const resultsScrollTop = scroll ? scroll.scrollTop : 0;
+                        const active = document.activeElement;
+                        const focused = active && active.id
+                            ? { id: active.id, value: active.value, start: active.selectionStart, end: active.selectionEnd }
+                            : null;
+
+                        Object.entries(message.regions).forEach(([name, html]) => {
+                            const region = document.getElementById('region-' + name);
+                            if (region) {
+                                region.innerHTML = html;
+                            }
+                        });
+
+                        const search = document.getElementById('results-search');
+                        if (focused && focused.id === 'results-search' && search) {
+                            search.value = focused.value;
+                        }
+                        if ('results' in message.regions && loadResultsData()) {
+                            if (search) {
+                                resultsTable.view.search = search.value.trim();
+                            }
+                            applyResultsView(false);
+                            restoreResultsScroll(resultsScrollTop);
+                        }
+                        const refocus = focused && document.getElementById(focused.id);
+                        if (refocus && refocus !== document.activeElement) {
+                            refocus.focus();
+                            if (typeof focused.start === 'number' && refocus.setSelectionRange) {
+                                refocus.setSelectionRange(focused.start, focused.end);
+                            }
+                        }
+                    });
+
+                    if (loadResultsData()) {
+                        applyResultsView(false);
+                        restoreResultsScroll(savedState.resultsScrollTop);
+                    }
+                    if (savedState.pageScrollY) {
+                        window.scrollTo(0, savedState.pageScrollY);
+                    }
+                    vscode.postMessage({ command: 'webview.ready' });
+
                     function prepareBfgCommand() {
                         vscode.postMessage({
                             command: 'scan.prepareBfg',
@@ -787,14 +1004,27 @@ class LeakLockPanel {
                         } catch (e) {}
                     }
                     
-                    function openFile(file, line) {
+                    function openFile(file, line, id) {
                         vscode.postMessage({ 
                             command: 'openFile', 
                             file: file, 
-                            line: line 
+                            line: line,
+                            id: id
                         });
                     }
                     
+                    function showBatchRepo(index) {
+                        vscode.postMessage({ command: 'batch.showRepo', index });
+                    }
+                    
+                    function showBatchOverview() {
+                        vscode.postMessage({ command: 'batch.overview' });
+                    }
+                    
+                    function rescanBatch() {
+                        vscode.postMessage({ command: 'batch.rescan' });
+                    }
+                    
                     function requestNewScan() {
                         vscode.postMessage({
                             command: 'requestNewScan'
@@ -809,6 +1039,81 @@ class LeakLockPanel {
                     function refetchNow() {
                         vscode.postMessage({ command: 'removeFiles.refetch' });
                     }
+                    function fullRescan() {
+                        vscode.postMessage({ command: 'fullRescan' });
+                    }
+                    function revealSecret(id) {
+                        vscode.postMessage({ command: 'secret.reveal', id: id });
+                    }
+                    // Full values arrive only after the reveal is confirmed and are never kept in the page state
+                    window.addEventListener('message', event => {
+                        const message = event.data;
+                        if (message.command !== 'secret.revealed') {
+                            return;
+                        }
+                        document.querySelectorAll('tr[data-finding-id]').forEach(row => {
+                            if (row.dataset.findingId !== message.id) {
+                                return;
+                            }
+                            const preview = row.querySelector('.secret-preview');
+                            preview.textContent = message.value;
+                            preview.style.whiteSpace = 'pre-wrap';
+                            preview.style.wordBreak = 'break-all';
+                            const button = row.querySelector('.reveal-action');
+                            if (button) {
+                                button.remove();
+                            }
+                        });
+                    });
+                    function cancelScan() {
+                        vscode.postMessage({ command: 'scan.cancel' });
+                    }
+                    function rescanStaged() {
+                        vscode.postMessage({ command: 'staged.rescan' });
+                    }
+                    function unstageAffected() {
+                        vscode.postMessage({ command: 'staged.unstage' });
+                    }
+                    function showHistory() {
+                        vscode.postMessage({ command: 'history.show' });
+                    }
+                    function showRules() {
+                        vscode.postMessage({ command: 'rules.show' });
+                    }
+                    function ignoreResult(index, kind) {
+                        vscode.postMessage({ command: 'suppress.add', index, kind });
+                    }
+                    function toggleSuppressed() {
+                        vscode.postMessage({ command: 'suppress.toggle' });
+                    }
+                    function toggleGrouping() {
+                        vscode.postMessage({ command: 'results.toggleGrouping' });
+                    }
+                    function toggleGroup(row) {
+                        const expanded = !resultsTable.expanded.has(row.dataset.group);
+                        if (expanded) {
+                            resultsTable.expanded.add(row.dataset.group);
+                        } else {
+                            resultsTable.expanded.delete(row.dataset.group);
+                        }
+                        setGroupExpanded(row, expanded);
+                        saveState();
+                    }
+                    function setGroupExpanded(row, expanded) {
+                        row.querySelector('.group-toggle').textContent = expanded ? '▾' : '▸';
+                        document.querySelectorAll('tr.group-member').forEach(member => {
+                            if (member.dataset.group === row.dataset.group) {
+                                member.style.display = expanded ? '' : 'none';
+                            }
+                        });
+                    }
+                    function exportResults(select) {
+                        const format = select.value;
+                        select.value = '';
+                        if (format) {
+                            vscode.postMessage({ command: 'export.results', format });
+                        }
+                    }
                     
                     // Safe event delegation for file links
                     document.addEventListener('click', function(event) {
@@ -816,9 +1121,10 @@ class LeakLockPanel {
                             const link = event.target.closest('.file-link');
                             const file = link.getAttribute('data-file');
                             const line = parseInt(link.getAttribute('data-line'));
+                            const row = link.closest('tr');
                             
                             if (file && line) {
-                                openFile(file, line);
+                                openFile(file, line, row ? row.getAttribute('data-finding-id') : null);
                             }
                         }
                     });
@@ -838,15 +1144,13 @@ class LeakLockPanel {
                 this._removalState.repoDir = validated;
             } catch { }
         }
-        // Fallback: workspace repo if available
+        // Fallback: first workspace folder that is a git repository
         if (!this._removalState.repoDir) {
             try {
-                const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+                const workspaceFolder = (vscode.workspace.workspaceFolders || [])
+                    .find(folder => fs.existsSync(path.join(folder.uri.fsPath, '.git')));
                 if (workspaceFolder) {
-                    const candidate = workspaceFolder.uri.fsPath;
-                    if (fs.existsSync(path.join(candidate, '.git'))) {
-                        this._removalState.repoDir = candidate;
-                    }
+                    this._removalState.repoDir = workspaceFolder.uri.fsPath;
                 }
             } catch { }
         }
@@ -859,15 +1163,441 @@ class LeakLockPanel {
         this._updateWebviewContent();
     }
 
-    _getRemoveFilesHtml() {
-        const repoDir = this._removalState.repoDir ? escapeHtml(this._removalState.repoDir) : 'No repository selected';
-        const targets = this._removalState.targets;
-        const hasTargets = targets.length > 0;
-        const prepared = this._removalState.preparedCommand;
-        const lastFetchISO = this._removalState.lastFetchAt;
-        const isStale = this._isFetchStale(lastFetchISO);
-        const fetchColor = isStale ? 'var(--vscode-inputValidation-warningForeground)' : 'var(--vscode-descriptionForeground)';
-        const fetchNote = isStale ? ' (stale)' : '';
+    // Public: switch to Scan History UI
+    showHistoryUI() {
+        this._viewMode = 'history';
+        this._updateWebviewContent();
+    }
+
+    _selectHistoryScans(baseId, compareId) {
+        this._historyState = { baseId: baseId || null, compareId: compareId || null };
+        this._updateWebviewContent();
+    }
+
+    async _clearScanHistory() {
+        const workspaceState = LeakLockPanel.extensionContext?.workspaceState;
+        if (!workspaceState) {
+            return;
+        }
+        const confirm = await vscode.window.showWarningMessage(
+            'Delete all saved scans for this workspace?',
+            { modal: true },
+            'Delete History'
+        );
+        if (confirm !== 'Delete History') {
+            return;
+        }
+        await workspaceState.update(SCAN_HISTORY_KEY, []);
+        this._historyState = { baseId: null, compareId: null };
+        this._updateWebviewContent();
+    }
+
+    // Default comparison: the newest scan against the previous scan of the same repository
+    _getDefaultHistorySelection(history) {
+        const latest = history[0];
+        if (!latest) {
+            return { baseId: null, compareId: null };
+        }
+        const previous = history.slice(1).find(record => record.repoRoot === latest.repoRoot);
+        return { baseId: previous ? previous.id : null, compareId: latest.id };
+    }
+
+    _getHistoryHtml() {
+        const history = this._getScanHistory();
+        const defaults = this._getDefaultHistorySelection(history);
+        const baseId = history.some(record => record.id === this._historyState.baseId) ? this._historyState.baseId : defaults.baseId;
+        const compareId = history.some(record => record.id === this._historyState.compareId) ? this._historyState.compareId : defaults.compareId;
+        const baseScan = history.find(record => record.id === baseId);
+        const compareScan = history.find(record => record.id === compareId);
+
+        const describeScan = (record) => `${new Date(record.timestamp).toLocaleString()} — ${path.basename(record.repoRoot)} — ${record.findings.length} findings`;
+        const scanOptions = (selectedId) => history.map(record => `
+            <option value="${escapeHtml(record.id)}" ${record.id === selectedId ? 'selected' : ''}>${escapeHtml(describeScan(record))}</option>
+        `).join('');
+
+        const historyRows = history.map(record => `
+            <tr>
+                <td>${escapeHtml(new Date(record.timestamp).toLocaleString())}</td>
+                <td title="${escapeHtml(record.repoRoot)}">${escapeHtml(path.basename(record.repoRoot))}</td>
+                <td><code>${record.headCommit ? escapeHtml(record.headCommit.slice(0, 10)) : 'n/a'}</code></td>
+                <td>${escapeHtml(record.engineVersion || record.engine || 'unknown')}</td>
+                <td>${record.findings.length}</td>
+            </tr>
+        `).join('');
+
+        let diffHtml = '<div class="hint">Run at least two scans of a repository to compare them.</div>';
+        if (baseScan && compareScan) {
+            const { newFindings, fixedFindings, unchangedFindings } = scanHistory.diffScans(baseScan, compareScan);
+            const statusBadge = (status) => `<span class="badge badge-${status}">${status.toUpperCase()}</span>`;
+            const diffRows = [
+                ...newFindings.map(finding => ({ status: 'new', finding })),
+                ...fixedFindings.map(finding => ({ status: 'fixed', finding })),
+                ...unchangedFindings.map(finding => ({ status: 'unchanged', finding }))
+            ].map(({ status, finding }) => `
+                <tr>
+                    <td>${statusBadge(status)}</td>
+                    <td>${escapeHtml(finding.severity || '')}</td>
+                    <td>${escapeHtml(finding.rule || '')}</td>
+                    <td><code>${escapeHtml(finding.file || '')}</code>:${escapeHtml(String(finding.line || ''))}</td>
+                    <td><code>${escapeHtml(String(finding.fingerprint || '').slice(0, 12))}</code></td>
+                </tr>
+            `).join('');
+            const differentRepos = baseScan.repoRoot !== compareScan.repoRoot
+                ? '<div class="hint warning">The selected scans are from different directories.</div>'
+                : '';
+            diffHtml = `
+                ${differentRepos}
+                <div style="margin: 8px 0;">
+                    ${statusBadge('new')} ${newFindings.length}
+                    ${statusBadge('fixed')} ${fixedFindings.length}
+                    ${statusBadge('unchanged')} ${unchangedFindings.length}
+                </div>
+                ${diffRows ? `
+                    <table>
+                        <thead><tr><th>Status</th><th>Severity</th><th>Rule</th><th>Location</th><th>Fingerprint</th></tr></thead>
+                        <tbody>${diffRows}</tbody>
+                    </table>
+                ` : '<div class="hint">Neither scan reported any findings.</div>'}
+            `;
+        }
+
+        return `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Leak Lock - Scan History</title>
+                <style>
+                    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); background-color: var(--vscode-editor-background); padding: 20px; margin: 0; }
+                    .section { border: 1px solid var(--vscode-panel-border); border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+                    .h1 { font-size: 1.3em; margin: 0 0 10px 0; }
+                    .button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 8px 14px; border-radius: 4px; cursor: pointer; }
+                    .button:hover { background: var(--vscode-button-hoverBackground); }
+                    .secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+                    .hint { color: var(--vscode-descriptionForeground); font-size: 0.9em; }
+                    .warning { color: var(--vscode-inputValidation-warningForeground); }
+                    select { background: var(--vscode-dropdown-background); color: var(--vscode-dropdown-foreground); border: 1px solid var(--vscode-dropdown-border); padding: 4px; max-width: 100%; }
+                    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+                    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--vscode-panel-border); font-size: 0.9em; }
+                    .badge { color: #fff; padding: 2px 8px; border-radius: 10px; font-size: 0.8em; font-weight: bold; }
+                    .badge-new { background: #d32f2f; }
+                    .badge-fixed { background: #388e3c; }
+                    .badge-unchanged { background: #757575; }
+                    .compare-row { display: flex; gap: 12px; flex-wrap: wrap; align-items: center; }
+                </style>
+            </head>
+            <body>
+                <div class="section">
+                    <div class="h1">📜 Scan History</div>
+                    <div class="hint">Saved scans for this workspace. Compare two scans to verify that remediation worked.</div>
+                    <div style="margin-top: 8px; display:flex; gap:8px;">
+                        <button class="button secondary" onclick="backToScan()">⬅ Back to scan</button>
+                        <button class="button secondary" onclick="clearHistory()" ${history.length === 0 ? 'disabled' : ''}>🗑️ Clear history</button>
+                    </div>
+                </div>
+
+                <div class="section">
+                    <div class="h1">Compare Scans</div>
+                    ${history.length > 0 ? `
+                        <div class="compare-row">
+                            <label>Base <select id="base-scan" onchange="compareScans()">${scanOptions(baseId)}</select></label>
+                            <label>Compare <select id="compare-scan" onchange="compareScans()">${scanOptions(compareId)}</select></label>
+                        </div>
+                    ` : ''}
+                    ${diffHtml}
+                </div>
+
+                <div class="section">
+                    <div class="h1">Saved Scans</div>
+                    ${history.length > 0 ? `
+                        <table>
+                            <thead><tr><th>Date</th><th>Repository</th><th>HEAD</th><th>Engine</th><th>Findings</th></tr></thead>
+                            <tbody>${historyRows}</tbody>
+                        </table>
+                    ` : '<div class="hint">No scans saved yet.</div>'}
+                </div>
+
+                <script>
+                    const vscode = acquireVsCodeApi();
+                    function backToScan() { vscode.postMessage({ command: 'history.back' }); }
+                    function clearHistory() { vscode.postMessage({ command: 'history.clear' }); }
+                    function compareScans() {
+                        vscode.postMessage({
+                            command: 'history.compare',
+                            baseId: document.getElementById('base-scan').value,
+                            compareId: document.getElementById('compare-scan').value
+                        });
+                    }
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
+    // Public: switch to the custom rules editor for the repository containing `directory` (default: the
+    // last scanned folder, the selected directory or the first workspace folder)
+    async showRulesUI(directory) {
+        const candidate = directory
+            || this._scanFolders[0]?.repoRoot
+            || this._scanFolders[0]?.path
+            || this._selectedDirectory
+            || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        if (!candidate) {
+            vscode.window.showErrorMessage('No directory selected. Please select a repository first.');
+            return;
+        }
+        let repoRoot = candidate;
+        try {
+            const util = require('util');
+            const execFileAsync = util.promisify(execFile);
+            repoRoot = (await execFileAsync('git', ['-C', candidate, 'rev-parse', '--show-toplevel'])).stdout.trim() || candidate;
+        } catch {
+            // Outside a repository the scanned directory holds the rules
+        }
+        this._rulesState = { repoRoot };
+        this._viewMode = 'rules';
+        this._updateWebviewContent();
+    }
+
+    // Run a rule from the editor against its sample text; answered over postMessage so the form stays as typed
+    _testCustomRule(definition, sample) {
+        let message;
+        try {
+            message = { command: 'rules.testResult', ...customRules.testRule(definition || {}, String(sample || '')) };
+        } catch (error) {
+            message = { command: 'rules.testResult', error: error.message };
+        }
+        this._panel?.webview.postMessage(message);
+    }
+
+    async _saveCustomRule(definition) {
+        const repoRoot = this._rulesState.repoRoot;
+        if (!repoRoot) {
+            return;
+        }
+        try {
+            const check = customRules.testRule(definition || {}, '');
+            const problems = [
+                ...check.failedExamples.map(example => `example not matched: ${example}`),
+                ...check.matchedNegativeExamples.map(example => `negative example matched: ${example}`)
+            ];
+            if (problems.length > 0) {
+                const choice = await vscode.window.showWarningMessage(
+                    `Rule "${definition.name}" does not pass its examples (${problems.join('; ')}). Save anyway?`,
+                    { modal: true },
+                    'Save Rule'
+                );
+                if (choice !== 'Save Rule') {
+                    return;
+                }
+            }
+            const filePath = customRules.saveCustomRule(repoRoot, definition);
+            vscode.window.showInformationMessage(`Saved rule ${definition.id} to ${path.relative(repoRoot, filePath)}. The next scan applies it to the whole history.`);
+            this._updateWebviewContent();
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not save rule: ${error.message}`);
+        }
+    }
+
+    _openCustomRulesFile(fileName) {
+        const directory = customRules.getCustomRulesDirectory(this._rulesState.repoRoot);
+        const filePath = path.join(directory, path.basename(String(fileName)));
+        if (fs.existsSync(filePath)) {
+            vscode.window.showTextDocument(vscode.Uri.file(filePath));
+        }
+    }
+
+    _getRulesHtml() {
+        const repoRoot = this._rulesState.repoRoot;
+        const loaded = customRules.loadCustomRules(repoRoot);
+        const ruleRows = loaded.definitions.map((definition, index) => `
+            <tr>
+                <td>${escapeHtml(String(definition.name))}</td>
+                <td><code>${escapeHtml(String(definition.id))}</code></td>
+                <td><a href="#" onclick="openRuleFile(${escapeJsonAttribute(definition.file)}); return false;"><code>${escapeHtml(definition.file)}</code></a></td>
+                <td><button class="button secondary" onclick="editRule(${index})">✏️ Edit</button></td>
+            </tr>
+        `).join('');
+        const errorItems = loaded.errors.map(error => `
+            <li><code>${escapeHtml(error.file)}</code>: ${escapeHtml(error.message)}</li>
+        `).join('');
+        const definitions = loaded.definitions.map(definition => ({
+            name: String(definition.name),
+            id: String(definition.id),
+            pattern: String(definition.pattern),
+            examples: (definition.examples || []).map(String),
+            negative_examples: (definition.negative_examples || []).map(String)
+        }));
+
+        return `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Leak Lock - Custom Rules</title>
+                <style>
+                    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); background-color: var(--vscode-editor-background); padding: 20px; margin: 0; }
+                    .section { border: 1px solid var(--vscode-panel-border); border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+                    .h1 { font-size: 1.3em; margin: 0 0 10px 0; }
+                    .button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 8px 14px; border-radius: 4px; cursor: pointer; }
+                    .button:hover { background: var(--vscode-button-hoverBackground); }
+                    .secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+                    .hint { color: var(--vscode-descriptionForeground); font-size: 0.9em; }
+                    .warning { color: var(--vscode-inputValidation-warningForeground); }
+                    .error { color: var(--vscode-errorForeground); }
+                    .ok { color: var(--vscode-testing-iconPassed, #388e3c); }
+                    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+                    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--vscode-panel-border); font-size: 0.9em; }
+                    label { display: block; margin: 10px 0 4px 0; font-weight: bold; }
+                    input, textarea { width: 100%; box-sizing: border-box; background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, var(--vscode-panel-border)); padding: 6px; font-family: var(--vscode-editor-font-family); }
+                    textarea { min-height: 60px; resize: vertical; }
+                    .field-row { display: flex; gap: 12px; }
+                    .field-row > div { flex: 1; }
+                    .actions { margin-top: 12px; display: flex; gap: 8px; }
+                    .match { font-family: var(--vscode-editor-font-family); margin: 2px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="section">
+                    <div class="h1">🧪 Custom Detection Rules</div>
+                    <div class="hint">
+                        Rules in <code>${escapeHtml(path.join(repoRoot, customRules.CUSTOM_RULES_DIR))}</code> use Nosey Parker's rule format and run in addition
+                        to the built-in rules with both scan engines. The first capture group is reported as the secret.
+                    </div>
+                    <div style="margin-top: 8px; display:flex; gap:8px;">
+                        <button class="button secondary" onclick="backToScan()">⬅ Back to scan</button>
+                        <button class="button secondary" onclick="newRule()">➕ New rule</button>
+                    </div>
+                </div>
+
+                <div class="section">
+                    <div class="h1">Rules</div>
+                    ${errorItems ? `<div class="error">Some rules could not be loaded:<ul>${errorItems}</ul></div>` : ''}
+                    ${ruleRows ? `
+                        <table>
+                            <thead><tr><th>Name</th><th>Id</th><th>File</th><th></th></tr></thead>
+                            <tbody>${ruleRows}</tbody>
+                        </table>
+                    ` : '<div class="hint">No custom rules yet.</div>'}
+                </div>
+
+                <div class="section">
+                    <div class="h1">Rule Editor</div>
+                    <div class="field-row">
+                        <div><label for="rule-name">Name</label><input id="rule-name" placeholder="ACME Live Service Key"></div>
+                        <div><label for="rule-id">Id</label><input id="rule-id" placeholder="acme.live.1"></div>
+                    </div>
+                    <label for="rule-pattern">Pattern (Rust regex syntax; capture group 1 is the secret)</label>
+                    <textarea id="rule-pattern" placeholder="\\b(acme_live_[A-Za-z0-9]{32})\\b"></textarea>
+                    <div class="field-row">
+                        <div><label for="rule-examples">Examples (one per line, must match)</label><textarea id="rule-examples"></textarea></div>
+                        <div><label for="rule-negative">Negative examples (one per line, must not match)</label><textarea id="rule-negative"></textarea></div>
+                    </div>
+                    <label for="rule-sample">Sample text</label>
+                    <textarea id="rule-sample" style="min-height: 100px;" placeholder="Paste text the rule should find secrets in"></textarea>
+                    <div class="actions">
+                        <button class="button secondary" onclick="testRule()">▶ Test</button>
+                        <button class="button" onclick="saveRule()">💾 Save rule</button>
+                    </div>
+                    <div id="rule-test-result" style="margin-top: 12px;"></div>
+                </div>
+
+                <script id="rules-data" type="application/json">${escapeJsonScript(definitions)}</script>
+                <script>
+                    const vscode = acquireVsCodeApi();
+                    const definitions = JSON.parse(document.getElementById('rules-data').textContent);
+                    const fields = { name: 'rule-name', id: 'rule-id', pattern: 'rule-pattern', examples: 'rule-examples', negative_examples: 'rule-negative', sample: 'rule-sample' };
+                    const lines = (text) => text.split('\\n').map(line => line.trim()).filter(Boolean);
+
+                    function readRule() {
+                        const value = (key) => document.getElementById(fields[key]).value;
+                        return {
+                            name: value('name').trim(),
+                            id: value('id').trim(),
+                            pattern: value('pattern').trim(),
+                            examples: lines(value('examples')),
+                            negative_examples: lines(value('negative_examples'))
+                        };
+                    }
+                    function fillForm(values) {
+                        for (const [key, id] of Object.entries(fields)) {
+                            const value = values[key];
+                            document.getElementById(id).value = Array.isArray(value) ? value.join('\\n') : (value || '');
+                        }
+                        saveDraft();
+                    }
+                    // The draft survives the panel being hidden, see retainContextWhenHidden
+                    function saveDraft() {
+                        const draft = {};
+                        for (const [key, id] of Object.entries(fields)) {
+                            draft[key] = document.getElementById(id).value;
+                        }
+                        vscode.setState({ ...(vscode.getState() || {}), rulesDraft: draft });
+                    }
+                    function backToScan() { vscode.postMessage({ command: 'rules.back' }); }
+                    function openRuleFile(file) { vscode.postMessage({ command: 'rules.openFile', file }); }
+                    function newRule() { fillForm({}); showResult(''); }
+                    function editRule(index) { fillForm({ ...definitions[index], sample: document.getElementById('rule-sample').value }); }
+                    function testRule() {
+                        vscode.postMessage({ command: 'rules.test', rule: readRule(), sample: document.getElementById('rule-sample').value });
+                    }
+                    function saveRule() { vscode.postMessage({ command: 'rules.save', rule: readRule() }); }
+
+                    function showResult(html) { document.getElementById('rule-test-result').innerHTML = html; }
+                    function escapeText(text) {
+                        const element = document.createElement('span');
+                        element.textContent = text;
+                        return element.innerHTML;
+                    }
+                    function renderTestResult(result) {
+                        if (result.error) {
+                            showResult('<div class="error">' + escapeText(result.error) + '</div>');
+                            return;
+                        }
+                        const parts = [];
+                        parts.push('<div><strong>' + result.matches.length + ' match(es) in the sample text</strong></div>');
+                        result.matches.forEach(match => {
+                            parts.push('<div class="match">Line ' + match.line + ', column ' + match.column + ': <code>' + escapeText(match.secret) + '</code></div>');
+                        });
+                        result.failedExamples.forEach(example => {
+                            parts.push('<div class="warning">Example not matched: <code>' + escapeText(example) + '</code></div>');
+                        });
+                        result.matchedNegativeExamples.forEach(example => {
+                            parts.push('<div class="warning">Negative example matched: <code>' + escapeText(example) + '</code></div>');
+                        });
+                        if (result.failedExamples.length === 0 && result.matchedNegativeExamples.length === 0) {
+                            parts.push('<div class="ok">All examples pass.</div>');
+                        }
+                        showResult(parts.join(''));
+                    }
+
+                    window.addEventListener('message', event => {
+                        if (event.data.command === 'rules.testResult') {
+                            renderTestResult(event.data);
+                        }
+                    });
+                    document.addEventListener('input', saveDraft);
+                    const draft = (vscode.getState() || {}).rulesDraft;
+                    if (draft) {
+                        fillForm(draft);
+                    }
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
+    _getRemoveFilesHtml() {
+        const repoDir = this._removalState.repoDir ? escapeHtml(this._removalState.repoDir) : 'No repository selected';
+        const targets = this._removalState.targets;
+        const hasTargets = targets.length > 0;
+        const prepared = this._removalState.preparedCommand;
+        const lastFetchISO = this._removalState.lastFetchAt;
+        const isStale = this._isFetchStale(lastFetchISO);
+        const fetchColor = isStale ? 'var(--vscode-inputValidation-warningForeground)' : 'var(--vscode-descriptionForeground)';
+        const fetchNote = isStale ? ' (stale)' : '';
         const fetchTooltip = isStale
             ? 'Remote refs may be outdated (older than 15 minutes). Fetch to ensure preview and deletions include latest branches and tags.'
             : 'Remotes fetched recently; preview reflects current branches and tags.';
@@ -1203,6 +1933,10 @@ class LeakLockPanel {
             vscode.window.showErrorMessage('Select a repository and at least one file or directory.');
             return;
         }
+        const policy = this._checkRewritePolicy([repo]);
+        if (!policy) {
+            return;
+        }
         try {
             const validatedRepo = validatePath(repo);
             this._removalState.preparing = true;
@@ -1215,6 +1949,9 @@ class LeakLockPanel {
             } else {
                 cmd = this._buildIndividualBfgCommands(validatedRepo, targets);
             }
+            if (!policy.forcePush) {
+                cmd = this._stripForcePush(cmd);
+            }
             // Build details for granular feedback
             this._removalState.details = targets.map(t => ({
                 display: t.path,
@@ -1354,8 +2091,13 @@ class LeakLockPanel {
     async _manualRefetch() {
         // Determine best repo path available
         let repo = this._removalState.repoDir || this._selectedDirectory;
-        if (!repo && vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-            repo = vscode.workspace.workspaceFolders[0].uri.fsPath;
+        if (!repo) {
+            // Ask which folder to fetch in multi-root workspaces
+            const workspaceFolders = vscode.workspace.workspaceFolders || [];
+            const workspaceFolder = workspaceFolders.length > 1
+                ? await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Repository to fetch' })
+                : workspaceFolders[0];
+            repo = workspaceFolder?.uri.fsPath;
         }
         if (!repo) {
             vscode.window.showErrorMessage('Select a repository or open a workspace first.');
@@ -1409,6 +2151,9 @@ class LeakLockPanel {
             vscode.window.showErrorMessage('Select a repository and at least one file or directory.');
             return;
         }
+        if (!this._checkRewritePolicy([repo])) {
+            return;
+        }
         try {
             const validatedRepo = validatePath(repo);
             this._removalState.preparing = true;
@@ -1437,6 +2182,10 @@ class LeakLockPanel {
             vscode.window.showErrorMessage('Prepare the git command first.');
             return;
         }
+        const policy = this._checkRewritePolicy([repo]);
+        if (!policy) {
+            return;
+        }
         const proceed = await vscode.window.showWarningMessage(
             '⚠️ This will permanently rewrite git history using filter-branch to remove the selected paths across all branches. Ensure you have a backup.',
             { modal: true },
@@ -1502,11 +2251,8 @@ class LeakLockPanel {
                 
                 progress.report({ increment: 100, message: 'Cleanup complete' });
             });
-            const result = await vscode.window.showInformationMessage(
-                '✅ Path-based removal complete. Your git history has been cleaned. Do you want to force push to update remote repositories now?',
-                'Force Push Now',
-                'Skip'
-            );
+            this._invalidateScanStore(repo);
+            const result = await this._showRewriteComplete('✅ Path-based removal complete. Your git history has been cleaned.', policy);
             if (result === 'Force Push Now') {
                 await execFileAsync('git', ['push', '--force', '--all'], { cwd: repo });
                 await execFileAsync('git', ['push', '--force', '--tags'], { cwd: repo });
@@ -1523,6 +2269,10 @@ class LeakLockPanel {
             vscode.window.showErrorMessage('Nothing to run. Prepare the command first.');
             return;
         }
+        const policy = this._checkRewritePolicy([repo]);
+        if (!policy) {
+            return;
+        }
 
         const proceed = await vscode.window.showWarningMessage(
             '⚠️ This will permanently rewrite git history to remove the selected files/directories. Ensure you have a backup.',
@@ -1549,12 +2299,9 @@ class LeakLockPanel {
                 await execAsync(this._stripForcePush(cmd));
                 progress.report({ increment: 60, message: 'Cleaning git history...' });
             });
+            this._invalidateScanStore(repo);
 
-            const result = await vscode.window.showInformationMessage(
-                '✅ Removal complete. Your git history has been cleaned. Do you want to force push to update remote repositories now?',
-                'Force Push Now',
-                'Skip'
-            );
+            const result = await this._showRewriteComplete('✅ Removal complete. Your git history has been cleaned.', policy);
             if (result === 'Force Push Now') {
                 await execAsync(`cd "${repo.replace(/"/g, '\\"')}" && git push --force --all && git push --force --tags`);
             }
@@ -1567,10 +2314,14 @@ class LeakLockPanel {
     }
 
     // Method to start scan from sidebar
-    startScanFromSidebar(directory, dependenciesReady) {
+    startScanFromSidebar(directory, dependenciesReady, scope) {
         if (directory) {
             this._selectedDirectory = directory;
         }
+        if (scope) {
+            this._requestedScanScope = scope;
+        }
+        this._requestedScanFolders = null;
         this._dependenciesInstalled = dependenciesReady;
 
         // Update UI and start scan
@@ -1582,6 +2333,76 @@ class LeakLockPanel {
         }
     }
 
+    // Public: discard the persistent datastore of the selected repository and scan it from scratch
+    fullRescan(directory) {
+        if (this._isScanning) {
+            vscode.window.showWarningMessage('A scan is already running.');
+            return;
+        }
+        if (!this._selectedDirectory && directory) {
+            this._selectedDirectory = directory;
+        }
+        if (!this._selectedDirectory && !this._requestedScanFolders) {
+            vscode.window.showErrorMessage('No directory selected. Please select a directory to scan first.');
+            return;
+        }
+        // Rescans the folders of the last scan, which may be several workspace folders
+        this.showScanUI();
+        this._scanRepository({ fullRescan: true });
+    }
+
+    // Public: scan several workspace folders and show their results together, with a folder column
+    scanWorkspaceFolders(directories, scope) {
+        if (this._isScanning) {
+            vscode.window.showWarningMessage('A scan is already running.');
+            return;
+        }
+        if (!directories || directories.length === 0) {
+            vscode.window.showErrorMessage('No workspace folders selected.');
+            return;
+        }
+        if (scope) {
+            this._requestedScanScope = scope;
+        }
+        this._requestedScanFolders = directories;
+        this.showScanUI();
+        this._scanRepository();
+    }
+
+    // Public: scan every git repository below a directory and show a roll-up of the results
+    scanBatch(rootDir, scope) {
+        if (this._isScanning) {
+            vscode.window.showWarningMessage('A scan is already running.');
+            return;
+        }
+        if (!rootDir) {
+            vscode.window.showErrorMessage('No directory selected. Please select the directory containing your repositories.');
+            return;
+        }
+        if (scope) {
+            this._requestedScanScope = scope;
+        }
+        this.showScanUI();
+        this._scanBatch(rootDir);
+    }
+
+    // Public: scan only the staged changes (the index) of the given or selected repository
+    scanStagedChanges(directory) {
+        if (this._isScanning) {
+            vscode.window.showWarningMessage('A scan is already running.');
+            return;
+        }
+        if (directory) {
+            this._selectedDirectory = directory;
+        }
+        if (!this._selectedDirectory) {
+            vscode.window.showErrorMessage('No directory selected. Please select a git repository first.');
+            return;
+        }
+        this.showScanUI();
+        this._scanStaged(this._selectedDirectory);
+    }
+
     updateRemoveFilesRepoFromSidebar(directory) {
         if (!directory) {
             return;
@@ -1597,12 +2418,41 @@ class LeakLockPanel {
                 this._removalState.preview = null;
                 this._removalState.details = [];
             }
-            if (this._panel && this._viewMode === 'removeFiles') {
-                this._panel.webview.html = this._getHtmlForWebview();
+            if (this._viewMode === 'removeFiles') {
+                this._updateWebviewContent();
             }
         } catch { }
     }
 
+    // Describes the scope of the last repository scan unless it covered everything
+    _getScanScopeInfoHtml() {
+        if (this._scanMode !== 'repository' || !this._lastScanScope || isFullScope(this._lastScanScope)) {
+            return '';
+        }
+        return `
+            <div style="margin:6px 0 10px 0; font-size:0.9em; color: var(--vscode-descriptionForeground);">
+                🎯 Scope: ${escapeHtml(describeScanScope(this._lastScanScope))}
+            </div>
+        `;
+    }
+
+    // Describes whether the last scan reused the persistent datastore, with a full rescan action
+    _getScanStoreInfoHtml() {
+        if (!this._scanStoreInfo) {
+            return '';
+        }
+        const engineLabel = this._scanEngine === 'native' ? 'built-in rules' : 'Nosey Parker';
+        const text = this._scanStoreInfo.incremental
+            ? `🗄️ Incremental scan (${engineLabel}): only commits and blobs added since ${escapeHtml(new Date(this._scanStoreInfo.previousScanAt).toLocaleString())} were scanned`
+            : `🗄️ Full scan (${engineLabel}): datastore saved, next scans only process new commits and blobs`;
+        return `
+            <div style="margin:6px 0 10px 0; font-size:0.9em; color: var(--vscode-descriptionForeground); display:flex; align-items:center; gap:8px;">
+                <span>${text}</span>
+                <button style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onclick="fullRescan()">♻️ Full rescan</button>
+            </div>
+        `;
+    }
+
     _getResultsHtml() {
         if (this._scanResults.length === 0) {
             return `
@@ -1613,14 +2463,7 @@ class LeakLockPanel {
             `;
         }
 
-        const severityColors = {
-            high: '#ff6b6b',
-            medium: '#ffa726',
-            low: '#66bb6a',
-            safe: '#4caf50',
-            info: '#42a5f5',
-            warning: '#ff9800'
-        };
+        const severityColors = SEVERITY_COLORS;
 
         // Fetch status for secrets cleanup actions
         const lastFetchISO = this._removalState.lastFetchAt;
@@ -1631,75 +2474,15 @@ class LeakLockPanel {
             ? 'Remote refs may be outdated (older than 15 minutes). Fetch to ensure cleanup considers latest branches and tags.'
             : 'Remotes fetched recently; cleanup reflects current branches and tags.';
 
-        const resultsRows = this._scanResults.map((result, index) => {
-            const isDependency = result.isDependency;
-            const isGitHistory = result.isGitHistory;
-            const isUntracked = result.isUntracked;
-
-            // Choose appropriate icon and styling
-            let icon = '📄';
-            let iconTooltip = 'Current file';
-            if (isGitHistory) {
-                icon = '🕒';
-                iconTooltip = 'Git history (past commit/branch)';
-            } else if (isUntracked) {
-                icon = '🟢';
-                iconTooltip = 'Not committed (local only)';
-            } else if (isDependency) {
-                icon = '⚠️';
-                iconTooltip = 'Dependency directory';
-            }
-
-            const rowStyle = isDependency ? 'opacity: 0.7;' : '';
-            const contextNote = isGitHistory
-                ? ' (git history)'
-                : isUntracked
-                    ? ' (not committed)'
-                    : isDependency
-                        ? ' (dependency directory)'
-                        : '';
+        const reportedResults = this._scanResults.filter(result => !result.suppressed);
+        const suppressedCount = this._scanResults.length - reportedResults.length;
+        const uniqueSecretCount = groupFindingsBySecret(reportedResults).length;
 
-            return `
-                <tr data-secret="${escapeHtml(result.secret)}" data-file="${escapeHtml(result.file)}" data-line="${result.line}" style="border-left: 3px solid ${severityColors[result.severity] || '#666'}; ${rowStyle}">
-                    <td><input type="checkbox" class="secret-checkbox checkbox" ${isDependency ? '' : 'checked'}></td>
-                    <td title="${escapeHtml(result.file)}${contextNote}">
-                        <span class="file-link ${isGitHistory ? 'disabled' : 'clickable'}" data-file="${escapeHtml(result.file)}" data-line="${result.line}" style="font-family: monospace; font-size: 0.9em; color: var(--vscode-textLink-foreground); ${isGitHistory ? 'cursor: default;' : 'cursor: pointer; text-decoration: underline;'}" title="${iconTooltip}">
-                            ${icon} ${escapeHtml(result.file)}
-                        </span>
-                        ${isDependency ? '<span style="font-size: 0.7em; color: var(--vscode-descriptionForeground); margin-left: 5px;">(deps)</span>' : ''}
-                        ${isGitHistory ? '<span style="font-size: 0.7em; color: var(--vscode-descriptionForeground); margin-left: 5px;">(history)</span>' : ''}
-                        ${isUntracked ? '<span style="font-size: 0.7em; color: var(--vscode-descriptionForeground); margin-left: 5px;">(local)</span>' : ''}
-                    </td>
-                    <td style="text-align: center;">
-                        <span class="file-link ${isGitHistory ? 'disabled' : 'clickable'}" data-file="${escapeHtml(result.file)}" data-line="${result.line}" style="background: var(--vscode-badge-background); padding: 2px 6px; border-radius: 10px; font-size: 0.8em; ${isGitHistory ? 'cursor: default;' : 'cursor: pointer;'}">
-                            ${result.line}
-                        </span>
-                    </td>
-                    <td>
-                        <span style="font-family: monospace; max-width: 200px; overflow: hidden; text-overflow: ellipsis; background: var(--vscode-textCodeBlock-background); padding: 2px 4px; border-radius: 3px;">
-                            ${escapeHtml(result.secret)}
-                        </span>
-                    </td>
-                    <td>
-                        <input type="text" class="replacement-input" value="*****" placeholder="Replacement value" ${isDependency ? 'disabled' : ''}>
-                    </td>
-                    <td>
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="background: ${severityColors[result.severity] || '#666'}; color: white; padding: 2px 6px; border-radius: 10px; font-size: 0.7em; text-transform: uppercase;">
-                                ${escapeHtml(result.severity)}
-                            </span>
-                            <span style="font-size: 0.9em;">
-                                ${escapeHtml(result.description)}
-                                ${isDependency ? ' <span style="color: var(--vscode-descriptionForeground); font-size: 0.8em;">(in dependency)</span>' : ''}
-                                ${isUntracked ? ' <span style="color: var(--vscode-gitDecoration-addedResourceForeground); font-size: 0.8em;">(not committed)</span>' : ''}
-                            </span>
-                        </div>
-                    </td>
-                </tr>
-            `;
-        }).join('');
+        // Scans of several workspace folders get a folder column
+        const showFolderColumn = this._scanFolders.length > 1;
+        const resultEntries = this._getResultEntries(severityColors, showFolderColumn);
 
-        const severityCounts = this._scanResults.reduce((counts, result) => {
+        const severityCounts = reportedResults.reduce((counts, result) => {
             counts[result.severity] = (counts[result.severity] || 0) + 1;
             return counts;
         }, {});
@@ -1712,8 +2495,8 @@ class LeakLockPanel {
             `).join('');
 
         // Separate regular findings from dependency warnings
-        const regularFindings = this._scanResults.filter(r => !r.isDependency);
-        const dependencyWarnings = this._scanResults.filter(r => r.isDependency);
+        const regularFindings = reportedResults.filter(r => !r.isDependency);
+        const dependencyWarnings = reportedResults.filter(r => r.isDependency);
         const prepared = this._scanCleanup.preparedCommand;
         const bfgCommandText = prepared && this._scanCleanup.preparedMode === 'bfg'
             ? prepared
@@ -1730,55 +2513,23 @@ class LeakLockPanel {
             ${prepared && this._scanCleanup.preparedMode === 'git' ? '<div style="margin-top:6px;"><button class="scan-button" onclick="copyScanCommand(\'scan-prepared-command-git\')">📋 Copy command</button></div>' : ''}
         `;
 
-        return `
-            <div class="scan-section">
-                <h2>🔍 Scan Results</h2>
-                <div style="margin:6px 0 10px 0; font-size:0.9em; color:${fetchColor}; display:flex; align-items:center; gap:8px;">
-                    <span title="${escapeHtml(fetchTooltip)}">Refs status: Last fetched ${this._removalState.lastFetchAt ? escapeHtml(new Date(this._removalState.lastFetchAt).toLocaleString()) : 'never'}${fetchNote}</span>
-                    <button style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onclick="refetchNow()">⟳ Refetch now</button>
-                </div>
-                <div style="margin-bottom: 15px;">
-                    <strong>Found ${this._scanResults.length} potential secrets:</strong>
+        const bfgSectionHtml = `
+                <div class="run-section" style="margin-top: 18px;">
+                    <h3>⚡ BFG-based cleanup (recommended)</h3>
+                    <p class="warning-text">⚠️ WARNING: This will permanently modify your git history!</p>
+                    <p style="font-size: 0.9em; margin: 8px 0;">
+                        BFG is faster, but it will remove files/directories with the same name everywhere in history. Git-only cleanup does not.
+                    </p>
                     <div style="margin-top: 8px;">
-                        <div>${severitySummary}</div>
-                        ${dependencyWarnings.length > 0 ? `
-                            <div style="margin-top: 8px; padding: 8px; background: var(--vscode-inputValidation-warningBackground); border-left: 3px solid ${severityColors.warning}; border-radius: 3px;">
-                                <strong>ℹ️ ${dependencyWarnings.length} findings in dependency directories</strong>
-                                <br><span style="font-size: 0.9em;">These are shown as warnings since they're in dependency folders (node_modules, vendor, etc.) and typically don't need fixing.</span>
-                            </div>
-                        ` : ''}
-                    </div>
-                </div>
-                <table class="results-table">
-                    <thead>
-                        <tr>
-                            <th style="width: 40px;">Fix</th>
-                            <th style="width: 25%;">File</th>
-                            <th style="width: 60px;">Line</th>
-                            <th style="width: 30%;">Secret</th>
-                            <th style="width: 20%;">Replace With</th>
-                            <th>Description</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${resultsRows}
-                    </tbody>
-                </table>
-                <div class="run-section" style="margin-top: 18px;">
-                    <h3>⚡ BFG-based cleanup (recommended)</h3>
-                    <p class="warning-text">⚠️ WARNING: This will permanently modify your git history!</p>
-                    <p style="font-size: 0.9em; margin: 8px 0;">
-                        BFG is faster, but it will remove files/directories with the same name everywhere in history. Git-only cleanup does not.
-                    </p>
-                    <div style="margin-top: 8px;">
-                        <button class="scan-button" onclick="prepareBfgCommand()">⚙️ Prepare BFG command</button>
+                        <button class="scan-button" onclick="prepareBfgCommand()">⚙️ Prepare BFG command</button>
                     </div>
                     ${preparedBlockBfg}
                     <div style="margin-top: 10px;">
                         <button class="danger-button" onclick="runPreparedBfg()" ${!prepared || this._scanCleanup.preparedMode !== 'bfg' ? 'disabled' : ''}>❗ Run BFG cleanup</button>
                     </div>
                 </div>
-
+        `;
+        const gitSectionHtml = `
                 <div class="run-section" style="margin-top: 18px;">
                     <h3>⚡ Git-only cleanup (alternative)</h3>
                     <p class="warning-text">⚠️ WARNING: This will permanently modify your git history!</p>
@@ -1793,7 +2544,88 @@ class LeakLockPanel {
                         <button class="danger-button" onclick="runPreparedGit()" ${!prepared || this._scanCleanup.preparedMode !== 'git' ? 'disabled' : ''}>❗ Run Git-only cleanup</button>
                     </div>
                 </div>
-                
+        `;
+
+        // Staged findings are not committed yet, so history cleanup does not apply
+        const isStagedScan = this._scanMode === 'staged';
+        const affectedStagedPaths = isStagedScan ? this._getAffectedStagedPaths() : [];
+        const refsStatusHtml = isStagedScan
+            ? `<span>📥 Staged changes only: ${this._stagedFiles.length} staged file(s) scanned</span>
+                    <button style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onclick="rescanStaged()">🔄 Rescan staged</button>`
+            : `<span title="${escapeHtml(fetchTooltip)}">Refs status: Last fetched ${this._removalState.lastFetchAt ? escapeHtml(new Date(this._removalState.lastFetchAt).toLocaleString()) : 'never'}${fetchNote}</span>
+                    <button style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onclick="refetchNow()">⟳ Refetch now</button>`;
+        const cleanupHtml = isStagedScan ? `
+                <div class="run-section" style="margin-top: 18px;">
+                    <h3>📥 Keep these secrets out of the next commit</h3>
+                    <p style="font-size: 0.9em; margin: 8px 0;">
+                        These findings are only staged, so no history rewrite is needed. Unstage the affected files, remove the secrets, then stage them again.
+                        Unstaging keeps your changes in the working tree.
+                    </p>
+                    <div style="margin-top: 8px;">
+                        <button class="scan-button" onclick="unstageAffected()" ${affectedStagedPaths.length === 0 ? 'disabled' : ''}>↩️ Unstage ${affectedStagedPaths.length} affected file(s)</button>
+                    </div>
+                </div>
+        ` : this._getRewriteSectionsHtml(bfgSectionHtml, gitSectionHtml);
+
+        return `
+            <div class="scan-section">
+                <h2>🔍 ${isStagedScan ? 'Staged Changes Scan Results' : 'Scan Results'}</h2>
+                <div style="margin:6px 0 10px 0; font-size:0.9em; color:${isStagedScan ? 'var(--vscode-descriptionForeground)' : fetchColor}; display:flex; align-items:center; gap:8px;">
+                    ${refsStatusHtml}
+                    <button style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onclick="showHistory()">📜 Scan history</button>
+                    <button style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onclick="showRules()">🧪 Custom rules</button>
+                    <select title="Export the results shown below" style="padding:4px 8px; background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); border:none; border-radius:4px; cursor:pointer;" onchange="exportResults(this)">
+                        <option value="">📤 Export…</option>
+                        <option value="sarif">SARIF 2.1.0</option>
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                        <option value="markdown">Markdown summary</option>
+                    </select>
+                </div>
+                ${this._getScanScopeInfoHtml()}
+                ${this._getScanStoreInfoHtml()}
+                <div style="margin-bottom: 15px;">
+                    <strong>Found ${reportedResults.length} potential secrets${showFolderColumn ? ` in ${this._scanFolders.length} folders` : ''}:</strong>
+                    ${suppressedCount > 0 ? `
+                        <span style="margin-left: 8px; font-size: 0.9em; color: var(--vscode-descriptionForeground);">
+                            ${suppressedCount} suppressed by ${suppressions.SUPPRESSION_FILE_NAME}
+                            <button class="row-action" onclick="toggleSuppressed()">${this._showSuppressed ? 'Hide suppressed' : 'Show suppressed'}</button>
+                        </span>
+                    ` : ''}
+                    <button class="row-action" onclick="toggleGrouping()" title="${this._groupBySecret ? 'Show one row per finding' : 'Show one row per unique secret; its replacement applies to every location'}">${this._groupBySecret ? '📄 Show every finding' : `🧩 Group by secret (${uniqueSecretCount} unique)`}</button>
+                    <div style="margin-top: 8px;">
+                        <div>${severitySummary}</div>
+                        ${dependencyWarnings.length > 0 ? `
+                            <div style="margin-top: 8px; padding: 8px; background: var(--vscode-inputValidation-warningBackground); border-left: 3px solid ${severityColors.warning}; border-radius: 3px;">
+                                <strong>ℹ️ ${dependencyWarnings.length} findings in dependency directories</strong>
+                                <br><span style="font-size: 0.9em;">These are shown as warnings since they're in dependency folders (node_modules, vendor, etc.) and typically don't need fixing.</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+                ${this._getResultsToolbarHtml(resultEntries)}
+                <div id="results-scroll" class="results-scroll">
+                    <table class="results-table">
+                        <thead>
+                            <tr>
+                                <th style="width: 40px;">Fix</th>
+                                ${showFolderColumn ? '<th style="width: 10%;">Folder</th>' : ''}
+                                <th style="width: 25%;"><span class="sort-link" data-sort="file">File<span class="sort-indicator"></span></span></th>
+                                <th style="width: 60px;"><span class="sort-link" data-sort="line">Line<span class="sort-indicator"></span></span></th>
+                                <th style="width: 30%;">Secret</th>
+                                <th style="width: 20%;">Replace With</th>
+                                <th>
+                                    <span class="sort-link" data-sort="severity">Severity<span class="sort-indicator"></span></span> /
+                                    <span class="sort-link" data-sort="rule">Rule<span class="sort-indicator"></span></span>
+                                </th>
+                                <th style="width: 1%;">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody id="results-body" data-columns="${showFolderColumn ? 8 : 7}"></tbody>
+                    </table>
+                </div>
+                <script id="results-data" type="application/json">${escapeJsonScript({ view: this._resultsView, entries: resultEntries })}</script>
+                ${cleanupHtml}
                 <div style="margin-top: 10px; font-size: 0.9em; color: var(--vscode-descriptionForeground);">
                     💡 <strong>Tip:</strong> Review each secret carefully before applying fixes. Some may be test data or false positives.
                 </div>
@@ -1801,38 +2633,288 @@ class LeakLockPanel {
         `;
     }
 
-    async _scanRepository(useWorkspace = false) {
+    // Rows of the results table: one per finding, or one per unique secret when grouping is enabled (secrets
+    // found once keep their plain row). The webview sorts, filters and renders them, see results-view.js.
+    _getResultEntries(severityColors, showFolderColumn) {
+        const options = { severityColors, showFolderColumn };
+        const indexById = new Map(this._scanResults.map((result, index) => [result.id, index]));
+        const visibleResults = this._scanResults.filter(result => this._showSuppressed || !result.suppressed);
+        const singleEntry = (result) => ({
+            key: result.id,
+            ids: [result.id],
+            checked: !result.isDependency && !result.suppressed,
+            replacement: this._getDefaultReplacement(result),
+            row: describeForView(result),
+            html: this._getResultRowHtml(result, indexById.get(result.id), options)
+        });
+        if (!this._groupBySecret) {
+            return visibleResults.map(singleEntry);
+        }
+        return groupFindingsBySecret(visibleResults).map(group => {
+            if (group.results.length === 1) {
+                return singleEntry(group.results[0]);
+            }
+            // Keyed by the first finding, so expanded groups stay expanded across updates
+            const groupKey = `group-${group.results[0].id}`;
+            const memberRows = group.results
+                .map(result => this._getResultRowHtml(result, indexById.get(result.id), { ...options, groupKey }))
+                .join('');
+            return {
+                key: group.results[0].id,
+                ids: group.results.map(result => result.id),
+                checked: !group.isDependency && !group.suppressed,
+                replacement: this._getDefaultReplacement(group.results[0]),
+                group: groupKey,
+                row: describeForView(group.results),
+                html: this._getGroupRowHtml(group, groupKey, indexById.get(group.results[0].id), options) + memberRows
+            };
+        });
+    }
+
+    // History cleanup sections allowed by the scanned repositories' .leaklock.json rewrite policy
+    _getRewriteSectionsHtml(bfgSectionHtml, gitSectionHtml) {
+        const policy = this._getRewritePolicy(this._scanFolders.map(folder => folder.repoRoot || folder.path));
+        const file = projectConfig.PROJECT_CONFIG_FILE;
+        if (!policy.allowed || policy.tools.length === 0) {
+            return `
+                <div class="run-section" style="margin-top: 18px;">
+                    <h3>🔒 History cleanup disabled</h3>
+                    <p style="font-size: 0.9em; margin: 8px 0;">
+                        ${policy.allowed
+                ? `The scanned repositories require different cleanup tools in <code>${file}</code> (<code>rewrite.tool</code>). Scan and clean them up one at a time.`
+                : `<code>${file}</code> does not allow rewriting the history of this repository (<code>rewrite.allowed</code>). Rotate the exposed secrets instead.`}
+                    </p>
+                </div>
+            `;
+        }
+        const pushNote = policy.forcePush ? '' : `
+                <p style="font-size: 0.9em; margin: 8px 0;">🚫 Force pushing is left to you (<code>${file}</code>: <code>rewrite.forcePush</code> is <code>never</code>).</p>
+        `;
+        return [
+            policy.tools.includes('bfg') ? bfgSectionHtml : '',
+            policy.tools.includes('git') ? gitSectionHtml : '',
+            pushNote
+        ].join('');
+    }
+
+    // Replacement proposed for a finding, from the .leaklock.json of the folder it was found in
+    _getDefaultReplacement(result) {
+        const folder = this._getResultFolder(result);
+        const effective = folder?.projectConfig || projectConfig.resolveProjectConfig(this._getProjectSettings(), null);
+        return projectConfig.getDefaultReplacement(result.rule, effective);
+    }
+
+    // Sort headers, filter chips and search box of the results table, initialized from the saved view
+    _getResultsToolbarHtml(entries) {
+        const view = this._resultsView;
+        const presentSeverities = new Set(entries.map(entry => entry.row.severity));
+        const severities = SEVERITY_ORDER.filter(severity => presentSeverities.has(severity) || view.severities.includes(severity));
+        const kindLabels = { history: '🕒 History', dependency: '⚠️ Dependency', untracked: '🟢 Untracked', tracked: '📄 Tracked' };
+        const chip = (filter, value, label, count) => `
+            <button class="filter-chip${view[filter].includes(value) ? ' active' : ''}" data-filter="${filter}" data-value="${escapeHtml(value)}">${label} <span class="chip-count">${count}</span></button>`;
+        const severityChips = severities
+            .map(severity => chip('severities', severity, escapeHtml(severity.toUpperCase()), entries.filter(entry => entry.row.severity === severity).length))
+            .join('');
+        const kindChips = RESULT_KINDS
+            .map(kind => chip('kinds', kind, kindLabels[kind], entries.filter(entry => entry.row.kinds.includes(kind)).length))
+            .join('');
+        return `
+            <div class="results-toolbar">
+                <input type="search" id="results-search" placeholder="Search path or rule…" value="${escapeHtml(view.search)}">
+                <span class="chip-group" title="Severity (none selected shows all)">${severityChips}</span>
+                <span class="chip-group" title="Kind of finding (none selected shows all)">${kindChips}</span>
+                <span id="results-count" style="font-size: 0.85em; color: var(--vscode-descriptionForeground);"></span>
+            </div>
+        `;
+    }
+
+    // Row of a secret found at several locations. Its replacement applies to all of them, and expanding it
+    // lists each location (working tree and history) with its own file link.
+    _getGroupRowHtml(group, groupKey, firstIndex, { severityColors, showFolderColumn }) {
+        const first = group.results[0];
+        const preview = this._getSecretPreview(first);
+        const folders = [...new Set(group.results.map(result => result.folder).filter(Boolean))];
+        const locationNotes = [
+            group.workingTreeCount > 0 ? `${group.workingTreeCount} in the working tree` : '',
+            group.historyCount > 0 ? `${group.historyCount} in git history` : ''
+        ].filter(Boolean).join(', ');
+        const rowStyle = group.suppressed ? 'opacity: 0.5;' : group.isDependency ? 'opacity: 0.7;' : '';
+
+        return `
+            <tr class="finding-group" data-group="${escapeHtml(groupKey)}" data-finding-id="${escapeHtml(first.id)}" data-finding-ids="${escapeHtml(group.results.map(result => result.id).join(' '))}" style="border-left: 3px solid ${severityColors[group.severity] || '#666'}; ${rowStyle}">
+                <td><input type="checkbox" class="secret-checkbox checkbox" ${group.isDependency || group.suppressed ? '' : 'checked'}></td>
+                ${showFolderColumn ? `<td>🗂️ ${escapeHtml(folders.join(', '))}</td>` : ''}
+                <td>
+                    <span style="cursor: pointer; color: var(--vscode-textLink-foreground);" onclick="toggleGroup(this.closest('tr'))" title="Show or hide every location of this secret">
+                        <span class="group-toggle">▸</span> 🔁 ${group.results.length} locations in ${group.fileCount} file(s)
+                    </span>
+                    <div style="margin-top: 3px; font-size: 0.75em; color: var(--vscode-descriptionForeground);">${escapeHtml(locationNotes)}</div>
+                </td>
+                <td style="text-align: center; color: var(--vscode-descriptionForeground);">—</td>
+                <td>
+                    <span class="secret-preview" style="font-family: monospace; max-width: 200px; overflow: hidden; text-overflow: ellipsis; background: var(--vscode-textCodeBlock-background); padding: 2px 4px; border-radius: 3px;">${escapeHtml(preview.masked)}</span>
+                    <div style="margin-top: 4px; font-size: 0.75em; color: var(--vscode-descriptionForeground);">
+                        ${preview.length} chars · entropy ${preview.entropy} bits/char
+                        <button class="row-action reveal-action" onclick="revealSecret('${escapeHtml(first.id)}')" title="Show the full value in this row after confirmation">👁 Reveal</button>
+                    </div>
+                </td>
+                <td>
+                    <input type="text" class="replacement-input" value="${escapeHtml(this._getDefaultReplacement(first))}" placeholder="Replacement value" title="Replaces this secret at all ${group.results.length} locations" ${group.isDependency ? 'disabled' : ''}>
+                </td>
+                <td>
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <span style="background: ${severityColors[group.severity] || '#666'}; color: white; padding: 2px 6px; border-radius: 10px; font-size: 0.7em; text-transform: uppercase;">
+                            ${escapeHtml(group.severity)}
+                        </span>
+                        <span style="font-size: 0.9em;">
+                            ${escapeHtml(first.description)}
+                            ${group.rules.length > 1 ? ` <span style="color: var(--vscode-descriptionForeground); font-size: 0.8em;">(rules: ${escapeHtml(group.rules.join(', '))})</span>` : ''}
+                        </span>
+                    </div>
+                </td>
+                <td style="white-space: nowrap;">
+                    ${group.suppressed ? '' : `<button class="row-action" onclick="ignoreResult(${firstIndex}, 'secret')" title="Add this secret's hash to ${suppressions.SUPPRESSION_FILE_NAME}; it is suppressed at every location">🙈 Ignore secret</button>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    // One finding of the results table. `groupKey` renders it as a (collapsed) location of a grouped secret,
+    // without its own selection or replacement.
+    _getResultRowHtml(result, index, { severityColors, showFolderColumn, groupKey = null }) {
+        if (result.suppressed && !this._showSuppressed) {
+            return '';
+        }
+        const isSuppressed = Boolean(result.suppressed);
+        const isDependency = result.isDependency;
+        const isGitHistory = result.isGitHistory;
+        const isUntracked = result.isUntracked;
+        const isStaged = result.isStaged;
+        const provenance = result.provenance;
+        // History findings open as a diff of their introducing commit when its id and blob path are known
+        const isLinkable = !isGitHistory || Boolean(provenance?.commitId && provenance.blobPath);
+        const preview = this._getSecretPreview(result);
+
+        // Choose appropriate icon and styling
+        let icon = '📄';
+        let iconTooltip = 'Current file';
+        if (isGitHistory) {
+            icon = '🕒';
+            iconTooltip = 'Git history (past commit/branch)';
+        } else if (isUntracked) {
+            icon = '🟢';
+            iconTooltip = 'Not committed (local only)';
+        } else if (isDependency) {
+            icon = '⚠️';
+            iconTooltip = 'Dependency directory';
+        }
+        if (isStaged) {
+            iconTooltip = 'Staged change (not committed yet); the line refers to the staged version';
+        }
+        if (isGitHistory && isLinkable) {
+            iconTooltip = 'Git history: open the introducing commit as a read-only diff';
+        }
+
+        const rowStyle = (isSuppressed ? 'opacity: 0.5;' : isDependency ? 'opacity: 0.7;' : '') + (groupKey ? ' display: none;' : '');
+        const contextNote = isGitHistory
+            ? ' (git history)'
+            : isStaged
+                ? ' (staged)'
+                : isUntracked
+                    ? ' (not committed)'
+                    : isDependency
+                        ? ' (dependency directory)'
+                        : '';
+
+        return `
+            <tr ${groupKey ? `class="group-member" data-group="${escapeHtml(groupKey)}" ` : ''}data-finding-id="${escapeHtml(result.id)}" data-file="${escapeHtml(result.file)}" data-line="${result.line}" style="border-left: 3px solid ${severityColors[result.severity] || '#666'}; ${rowStyle}">
+                ${groupKey
+                    ? '<td style="text-align: center; color: var(--vscode-descriptionForeground);">↳</td>'
+                    : `<td><input type="checkbox" class="secret-checkbox checkbox" ${isDependency || isSuppressed ? '' : 'checked'}></td>`}
+                ${showFolderColumn ? `<td title="${escapeHtml(this._getResultFolder(result)?.path || '')}">🗂️ ${escapeHtml(result.folder || '')}</td>` : ''}
+                <td title="${escapeHtml(result.file)}${contextNote}">
+                    <span class="file-link ${isLinkable ? 'clickable' : 'disabled'}" data-file="${escapeHtml(result.file)}" data-line="${result.line}" style="font-family: monospace; font-size: 0.9em; color: var(--vscode-textLink-foreground); ${isLinkable ? 'cursor: pointer; text-decoration: underline;' : 'cursor: default;'}" title="${iconTooltip}">
+                        ${icon} ${escapeHtml(result.file)}
+                    </span>
+                    ${isStaged ? '<span title="Found in the staged content (the index)" style="font-size: 0.7em; margin-left: 5px; padding: 1px 5px; border-radius: 8px; border: 1px solid var(--vscode-gitDecoration-stageModifiedResourceForeground); color: var(--vscode-gitDecoration-stageModifiedResourceForeground); text-transform: uppercase;">staged</span>' : ''}
+                    ${isDependency ? '<span style="font-size: 0.7em; color: var(--vscode-descriptionForeground); margin-left: 5px;">(deps)</span>' : ''}
+                    ${isGitHistory ? '<span style="font-size: 0.7em; color: var(--vscode-descriptionForeground); margin-left: 5px;">(history)</span>' : ''}
+                    ${isUntracked ? '<span style="font-size: 0.7em; color: var(--vscode-descriptionForeground); margin-left: 5px;">(local)</span>' : ''}
+                    ${isGitHistory && provenance ? this._getProvenanceHtml(result) : ''}
+                </td>
+                <td style="text-align: center;">
+                    <span class="file-link ${isLinkable ? 'clickable' : 'disabled'}" data-file="${escapeHtml(result.file)}" data-line="${result.line}" style="background: var(--vscode-badge-background); padding: 2px 6px; border-radius: 10px; font-size: 0.8em; ${isLinkable ? 'cursor: pointer;' : 'cursor: default;'}">
+                        ${result.line}
+                    </span>
+                </td>
+                <td>
+                    <span class="secret-preview" style="font-family: monospace; max-width: 200px; overflow: hidden; text-overflow: ellipsis; background: var(--vscode-textCodeBlock-background); padding: 2px 4px; border-radius: 3px;">${escapeHtml(preview.masked)}</span>
+                    <div style="margin-top: 4px; font-size: 0.75em; color: var(--vscode-descriptionForeground);">
+                        ${preview.length} chars · entropy ${preview.entropy} bits/char
+                        ${groupKey ? '' : `<button class="row-action reveal-action" onclick="revealSecret('${escapeHtml(result.id)}')" title="Show the full value in this row after confirmation">👁 Reveal</button>`}
+                    </div>
+                </td>
+                <td>
+                    ${groupKey
+                    ? '<span style="font-size: 0.8em; color: var(--vscode-descriptionForeground);">Uses the group\'s replacement</span>'
+                    : `<input type="text" class="replacement-input" value="${escapeHtml(this._getDefaultReplacement(result))}" placeholder="Replacement value" ${isDependency ? 'disabled' : ''}>`}
+                </td>
+                <td>
+                    <div style="display: flex; align-items: center; gap: 8px;">
+                        <span style="background: ${severityColors[result.severity] || '#666'}; color: white; padding: 2px 6px; border-radius: 10px; font-size: 0.7em; text-transform: uppercase;">
+                            ${escapeHtml(result.severity)}
+                        </span>
+                        <span style="font-size: 0.9em;">
+                            ${escapeHtml(result.description)}
+                            ${isDependency ? ' <span style="color: var(--vscode-descriptionForeground); font-size: 0.8em;">(in dependency)</span>' : ''}
+                            ${isUntracked ? ' <span style="color: var(--vscode-gitDecoration-addedResourceForeground); font-size: 0.8em;">(not committed)</span>' : ''}
+                            ${isSuppressed ? ` <span style="color: var(--vscode-descriptionForeground); font-size: 0.8em;">(suppressed by ${escapeHtml(result.suppressed.type)}:${escapeHtml(result.suppressed.value)})</span>` : ''}
+                        </span>
+                    </div>
+                </td>
+                <td style="white-space: nowrap;">
+                    ${isSuppressed ? '' : `
+                        <button class="row-action" onclick="ignoreResult(${index}, 'finding')" title="Add this finding's fingerprint to ${suppressions.SUPPRESSION_FILE_NAME}">🙈 Ignore finding</button>
+                        <button class="row-action" onclick="ignoreResult(${index}, 'file')" title="Add ${escapeHtml(result.path || result.file)} to ${suppressions.SUPPRESSION_FILE_NAME}">📁 Ignore file</button>
+                    `}
+                </td>
+            </tr>
+        `;
+    }
+
+    // Scan the requested workspace folders, or the selected directory, one after another. Results are
+    // aggregated and each one records its folder (see _getResultFolder).
+    async _scanRepository({ fullRescan = false } = {}) {
+        let scope;
+        try {
+            scope = normalizeScanScope(this._requestedScanScope);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Invalid scan scope: ${error.message}`);
+            return;
+        }
         try {
             // Show scanning in progress
             this._isScanning = true;
+            this._scanCancelled = false;
+            this._scanMode = 'repository';
+            this._batchRepoIndex = null;
+            this._stagedFiles = [];
+            this._lastScanScope = scope;
             this._scanResults = [];
-            this._scanCleanup.preparedCommand = null;
-            this._scanCleanup.preparedMode = null;
-            this._scanCleanup.replacements = null;
-            this._scanCleanup.replacementsFile = null;
+            this._clearPreparedCleanup();
             this._updateWebviewContent();
 
-            // Determine and validate scan path
-            let scanPath;
+            // Determine and validate the scan paths
+            const directories = this._requestedScanFolders || (this._selectedDirectory ? [this._selectedDirectory] : []);
+            if (directories.length === 0) {
+                vscode.window.showErrorMessage('No directory selected. Please select a directory to scan first.');
+                this._isScanning = false;
+                this._updateWebviewContent();
+                return;
+            }
+            let folders;
             try {
-                if (useWorkspace) {
-                    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-                    if (!workspaceFolder) {
-                        vscode.window.showErrorMessage('No workspace folder found. Please open a folder first.');
-                        this._isScanning = false;
-                        this._updateWebviewContent();
-                        return;
-                    }
-                    scanPath = validateDockerPath(workspaceFolder.uri.fsPath);
-                } else {
-                    if (!this._selectedDirectory) {
-                        vscode.window.showErrorMessage('No directory selected. Please select a directory to scan first.');
-                        this._isScanning = false;
-                        this._updateWebviewContent();
-                        return;
-                    }
-                    scanPath = validateDockerPath(this._selectedDirectory);
-                }
+                folders = this._createScanFolders(directories);
             } catch (error) {
                 vscode.window.showErrorMessage(`Invalid scan path: ${error.message}`);
                 this._isScanning = false;
@@ -1840,136 +2922,575 @@ class LeakLockPanel {
                 return;
             }
 
-            this._scanPath = scanPath;
-            await this._primeGitTracking(scanPath);
+            this._scanFolders = folders;
+            this._secretValues = new Map();
 
             // Update progress: Checking Docker
             this._scanProgress = { stage: 'docker', message: 'Checking Docker availability...' };
             this._updateWebviewContent();
 
-            // Check if Docker is available
-            const dockerCheck = await this._checkDockerAvailability();
-            if (!dockerCheck.available) {
-                vscode.window.showErrorMessage(`Docker not available: ${dockerCheck.error}`);
+            // Pick the scan engine, falling back to the built-in rules when Docker is unavailable
+            const engineChoice = await this._createScanner(folders[0].path).resolveEngine();
+            if (!engineChoice.engine) {
+                vscode.window.showErrorMessage(`Docker not available: ${engineChoice.error}`);
                 this._isScanning = false;
                 this._updateWebviewContent();
                 return;
             }
+            if (engineChoice.fallbackReason) {
+                vscode.window.showInformationMessage(`Docker not available (${engineChoice.fallbackReason}). Scanning with the built-in rule engine instead.`);
+            }
+            this._scanEngine = engineChoice.engine;
+
+            const scanResults = [];
+            const storeInfos = [];
+            for (const [index, folder] of folders.entries()) {
+                const scanner = this._createScanner(folder.path);
+                // Persistent per-repository state lets repeated scans skip commits and blobs seen before
+                // (a working tree, branch or range scope does not cover the whole history, so it scans afresh)
+                const storeDir = scope.mode === 'full' ? this._getScanStoreDirectory(folder.path) : null;
+                const title = folders.length > 1
+                    ? `Leak Lock: Scanning ${folder.name} (${index + 1}/${folders.length})`
+                    : 'Leak Lock: Scanning repository';
+                const scan = await this._runCancellableScan(title, scanner, (onProgress) =>
+                    scanner.scan(folder.path, { engineChoice, storeDir, fullRescan, scope, onProgress }));
+                folder.repoRoot = scanner.repoRoot;
+                folder.projectConfig = scanner.projectConfig;
+                if (storeDir) {
+                    storeInfos.push({ incremental: scan.incremental, previousScanAt: scan.previousScanAt });
+                }
+                scan.warnings.forEach(warning =>
+                    vscode.window.showWarningMessage(folders.length > 1 ? `${folder.name}: ${warning}` : warning));
+                this._reportScannerImage(scan.scannerImage);
+
+                for (const result of scan.results) {
+                    const secret = scanner.getSecretValue(result.id);
+                    // Ids are unique per scanner; the same finding in two folders gets a suffix
+                    if (this._secretValues.has(result.id)) {
+                        result.id = `${result.id}-${index + 1}`;
+                    }
+                    result.folder = folder.name;
+                    this._secretValues.set(result.id, secret);
+                    scanResults.push(result);
+                }
 
-            // Update progress: Pulling image
-            this._scanProgress = { stage: 'pull', message: 'Pulling Nosey Parker image...' };
-            this._updateWebviewContent();
-
-            // Pull the latest Nosey Parker image
-            await this._pullNoseyParkerImage();
-
-            // Update progress: Initializing
-            this._scanProgress = { stage: 'init', message: 'Initializing datastore...' };
-            this._updateWebviewContent();
-
-            // Create and validate temporary datastore path
-            const tempDatastore = validateDockerPath(path.join(scanPath, '.noseyparker-temp'), [scanPath]);
-            await this._initializeDatastore(tempDatastore);
-
-            // Update progress: Scanning
-            this._scanProgress = { stage: 'scan', message: 'Scanning for secrets...' };
-            this._updateWebviewContent();
-
-            // Run the actual scan
-            const scanResults = await this._runNoseyParkerScan(scanPath, tempDatastore);
-
-            // Update progress: Processing
-            this._scanProgress = { stage: 'process', message: 'Processing results...' };
-            this._updateWebviewContent();
-
-            // Clean up temporary datastore
-            await this._cleanupTempFiles(tempDatastore);
+                // History compares whole-repository scans, so scoped results are not recorded
+                if (isFullScope(scope)) {
+                    await this._recordScanHistory(folder.repoRoot || folder.path,
+                        scan.results.filter(result => !result.suppressed));
+                }
+            }
+            this._scanStoreInfo = storeInfos.length > 0
+                ? {
+                    incremental: storeInfos.every(info => info.incremental),
+                    previousScanAt: storeInfos.map(info => info.previousScanAt).filter(Boolean).sort()[0] || null
+                }
+                : null;
 
             // Update results
             this._scanResults = scanResults;
             this._isScanning = false;
             this._scanProgress = null;
 
+            const reportedResults = scanResults.filter(result => !result.suppressed);
+
             // Update the webview
             this._updateWebviewContent();
 
             // Show completion message
-            if (scanResults.length > 0) {
-                vscode.window.showWarningMessage(`Scan complete! Found ${scanResults.length} potential secrets. Review them in the main panel.`);
+            const suppressedCount = scanResults.length - reportedResults.length;
+            const suppressedNote = suppressedCount > 0 ? ` (${suppressedCount} more suppressed by ${suppressions.SUPPRESSION_FILE_NAME})` : '';
+            const foldersNote = folders.length > 1 ? ` across ${folders.length} folders` : '';
+            if (reportedResults.length > 0) {
+                vscode.window.showWarningMessage(`Scan complete! Found ${reportedResults.length} potential secrets${foldersNote}${suppressedNote}. Review them in the main panel.`);
+            } else if (suppressedCount > 0) {
+                vscode.window.showInformationMessage(`Scan complete! No unsuppressed secrets found${foldersNote}${suppressedNote}.`);
             } else {
-                vscode.window.showInformationMessage('🎉 Scan complete! No secrets found in your repository. Your code looks secure!');
+                vscode.window.showInformationMessage(`🎉 Scan complete! No secrets found in your ${folders.length > 1 ? `${folders.length} folders` : 'repository'}. Your code looks secure!`);
             }
         } catch (error) {
-            console.error('Scan error:', error);
             this._isScanning = false;
             this._scanProgress = null;
+            if (error instanceof ScanCancelledError) {
+                this._scanCancelled = true;
+                this._updateWebviewContent();
+                vscode.window.showInformationMessage('Scan cancelled.');
+                return;
+            }
+            console.error('Scan error:', error);
             this._updateWebviewContent();
             vscode.window.showErrorMessage(`Scan failed: ${error.message}`);
         }
     }
 
-    async _primeGitTracking(scanPath) {
-        this._scanRepoRoot = null;
-        this._trackedFiles = null;
-        if (!scanPath) {
+    // Folders of a scan, `{ name, path, repoRoot }`, named after their workspace folder where possible.
+    // `repoRoot` is filled in once the folder was scanned.
+    _createScanFolders(directories) {
+        const folders = [];
+        for (const directory of directories) {
+            const folderPath = validateDockerPath(directory);
+            const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(folderPath));
+            const baseName = workspaceFolder && workspaceFolder.uri.fsPath === folderPath ? workspaceFolder.name : path.basename(folderPath);
+            let name = baseName;
+            for (let suffix = 2; folders.some(folder => folder.name === name); suffix++) {
+                name = `${baseName} (${suffix})`;
+            }
+            folders.push({ name, path: folderPath, repoRoot: null });
+        }
+        return folders;
+    }
+
+    // Folder of the last scan a result belongs to
+    _getResultFolder(result) {
+        return this._scanFolders.find(folder => folder.name === result.folder) || this._scanFolders[0] || null;
+    }
+
+    // Scan the git repositories below a directory, `leakLock.batchScan.concurrency` at a time. A failing
+    // repository is marked as such without stopping the batch; cancelling keeps the finished repositories.
+    async _scanBatch(rootDir) {
+        let scope;
+        let root;
+        try {
+            scope = normalizeScanScope(this._requestedScanScope);
+            root = validateDockerPath(rootDir);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Batch scan: ${error.message}`);
             return;
         }
-        const util = require('util');
-        const execFileAsync = util.promisify(execFile);
+        const repositories = findGitRepositories(root);
+        if (repositories.length === 0) {
+            vscode.window.showWarningMessage(`No git repositories found in ${path.basename(root)}.`);
+            return;
+        }
+
+        const repos = repositories.map(repoPath => ({
+            name: path.relative(root, repoPath) || path.basename(repoPath),
+            path: repoPath,
+            repoRoot: null,
+            status: 'pending', // 'pending' | 'scanning' | 'done' | 'failed' | 'cancelled'
+            progress: null,
+            results: [],
+            secretValues: new Map(),
+            error: null
+        }));
+        this._batchScan = { root, scope, repos, cancelled: false };
+        this._batchRepoIndex = null;
+        this._batchScanners = new Set();
+        this._scanMode = 'batch';
+        this._isScanning = true;
+        this._scanCancelled = false;
+        this._scanResults = [];
+        this._secretValues = new Map();
+        this._scanFolders = [];
+        this._scanStoreInfo = null;
+        this._lastScanScope = scope;
+        this._clearPreparedCleanup();
+        this._updateWebviewContent();
+
+        const batch = this._batchScan;
         try {
-            const { stdout: rootOut } = await execFileAsync('git', ['-C', scanPath, 'rev-parse', '--show-toplevel']);
-            const repoRoot = rootOut.trim();
-            if (!repoRoot) {
+            const engineChoice = await this._createScanner(root).resolveEngine();
+            if (!engineChoice.engine) {
+                vscode.window.showErrorMessage(`Docker not available: ${engineChoice.error}`);
                 return;
             }
-            const { stdout: filesOut } = await execFileAsync('git', ['-C', repoRoot, 'ls-files', '-z']);
-            const tracked = filesOut.split('\0').filter(Boolean);
-            this._scanRepoRoot = repoRoot;
-            this._trackedFiles = new Set(tracked);
-        } catch (e) {
-            this._scanRepoRoot = null;
-            this._trackedFiles = null;
+            if (engineChoice.fallbackReason) {
+                vscode.window.showInformationMessage(`Docker not available (${engineChoice.fallbackReason}). Scanning with the built-in rule engine instead.`);
+            }
+            this._scanEngine = engineChoice.engine;
+
+            const concurrency = vscode.workspace.getConfiguration('leakLock').get('batchScan.concurrency') ?? 1;
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Leak Lock: Scanning ${repos.length} repositories`,
+                cancellable: true
+            }, async (progress, token) => {
+                token.onCancellationRequested(() => this.cancelScan());
+                let finished = 0;
+                await mapWithConcurrency(repos, concurrency, async (repo) => {
+                    if (batch.cancelled) {
+                        return;
+                    }
+                    const scanner = this._createScanner(repo.path);
+                    this._batchScanners.add(scanner);
+                    repo.status = 'scanning';
+                    this._updateWebviewContent();
+                    try {
+                        const storeDir = scope.mode === 'full' ? this._getScanStoreDirectory(repo.path) : null;
+                        const scan = await scanner.scan(repo.path, {
+                            engineChoice,
+                            storeDir,
+                            scope,
+                            onProgress: (update) => {
+                                if (!scanner.cancelled) {
+                                    repo.progress = update.message;
+                                    this._updateWebviewContent();
+                                }
+                            }
+                        });
+                        repo.repoRoot = scanner.repoRoot;
+                        repo.projectConfig = scanner.projectConfig;
+                        scan.results.forEach(result => { result.folder = repo.name; });
+                        repo.results = scan.results;
+                        repo.secretValues = scanner.secretValues;
+                        repo.status = 'done';
+                        scan.warnings.forEach(warning => vscode.window.showWarningMessage(`${repo.name}: ${warning}`));
+                        this._reportScannerImage(scan.scannerImage);
+                        if (isFullScope(scope)) {
+                            await this._recordScanHistory(repo.repoRoot || repo.path, scan.results.filter(result => !result.suppressed));
+                        }
+                    } catch (error) {
+                        if (error instanceof ScanCancelledError) {
+                            repo.status = 'cancelled';
+                            throw error;
+                        }
+                        console.error(`Batch scan of ${repo.path} failed:`, error);
+                        repo.status = 'failed';
+                        repo.error = error.message;
+                    } finally {
+                        this._batchScanners.delete(scanner);
+                        repo.progress = null;
+                        finished++;
+                        progress.report({ increment: 100 / repos.length, message: `${finished}/${repos.length} done` });
+                        this._updateWebviewContent();
+                    }
+                });
+            });
+            if (batch.cancelled) {
+                throw new ScanCancelledError();
+            }
+
+            const scanned = repos.filter(repo => repo.status === 'done');
+            const affected = scanned.filter(repo => summarizeResults(repo.results).total > 0);
+            const total = scanned.reduce((count, repo) => count + summarizeResults(repo.results).total, 0);
+            const failed = repos.filter(repo => repo.status === 'failed').length;
+            const failedNote = failed > 0 ? ` ${failed} repositories could not be scanned.` : '';
+            if (total > 0) {
+                vscode.window.showWarningMessage(`Batch scan complete! Found ${total} potential secrets in ${affected.length} of ${repos.length} repositories.${failedNote}`);
+            } else {
+                vscode.window.showInformationMessage(`Batch scan complete! No secrets found in ${scanned.length} repositories.${failedNote}`);
+            }
+        } catch (error) {
+            if (error instanceof ScanCancelledError) {
+                vscode.window.showInformationMessage('Batch scan cancelled. Results of finished repositories are kept.');
+            } else {
+                console.error('Batch scan error:', error);
+                vscode.window.showErrorMessage(`Batch scan failed: ${error.message}`);
+            }
+        } finally {
+            repos.filter(repo => repo.status === 'pending').forEach(repo => { repo.status = 'cancelled'; });
+            this._isScanning = false;
+            this._updateWebviewContent();
         }
     }
 
-    _isUntrackedWorkingTreeFile(filePath, relativeFile, isGitHistory) {
-        if (isGitHistory) {
-            return false;
+    // Drill down from the batch roll-up into one repository's results
+    _showBatchRepository(index) {
+        const repo = this._batchScan?.repos[index];
+        if (!repo || repo.status !== 'done') {
+            return;
         }
-        if (!this._scanRepoRoot || !this._trackedFiles || !this._scanPath) {
-            return false;
+        this._batchRepoIndex = index;
+        this._scanMode = 'repository';
+        this._scanResults = repo.results;
+        this._secretValues = repo.secretValues;
+        this._scanFolders = [{ name: repo.name, path: repo.path, repoRoot: repo.repoRoot, projectConfig: repo.projectConfig }];
+        this._scanStoreInfo = null;
+        this._lastScanScope = this._batchScan.scope;
+        this._clearPreparedCleanup();
+        this._updateWebviewContent();
+    }
+
+    _showBatchOverview() {
+        if (!this._batchScan) {
+            return;
         }
-        if (!relativeFile || relativeFile === 'scan_output' || relativeFile === 'git-history-reference' || relativeFile === 'git-history-artifact') {
-            return false;
+        this._batchRepoIndex = null;
+        this._scanMode = 'batch';
+        this._scanResults = [];
+        this._secretValues = new Map();
+        this._scanFolders = [];
+        this._updateWebviewContent();
+    }
+
+    // Link back to the roll-up while a repository of a batch scan is shown
+    _getBatchNavHtml() {
+        if (this._batchRepoIndex === null || !this._batchScan || this._scanMode !== 'repository') {
+            return '';
         }
-        let absPath = filePath;
-        if (!path.isAbsolute(absPath)) {
-            absPath = path.join(this._scanPath, relativeFile);
+        const repo = this._batchScan.repos[this._batchRepoIndex];
+        return `
+            <div style="margin: 0 0 10px 0; font-size: 0.9em; display: flex; align-items: center; gap: 8px;">
+                <button class="secondary-button" onclick="showBatchOverview()">← Batch overview</button>
+                <span style="color: var(--vscode-descriptionForeground);">📦 ${escapeHtml(repo.name)} (${this._batchRepoIndex + 1} of ${this._batchScan.repos.length})</span>
+            </div>
+        `;
+    }
+
+    // Roll-up dashboard of a batch scan: one row per repository with its counts
+    _getBatchHtml() {
+        const { root, scope, repos, cancelled } = this._batchScan;
+        const statusLabels = {
+            pending: '⏳ Pending',
+            scanning: '🔍 Scanning',
+            done: '✅ Done',
+            failed: '❌ Failed',
+            cancelled: '⏹ Cancelled'
+        };
+        const summaries = repos.map(repo => summarizeResults(repo.results));
+        const totals = summaries.reduce((sum, summary) => {
+            Object.keys(sum).forEach(key => { sum[key] += summary[key]; });
+            return sum;
+        }, { total: 0, high: 0, medium: 0, low: 0, other: 0, history: 0 });
+        const doneCount = repos.filter(repo => repo.status === 'done').length;
+        const affectedCount = summaries.filter(summary => summary.total > 0).length;
+
+        const rows = repos.map((repo, index) => {
+            const summary = summaries[index];
+            const isDone = repo.status === 'done';
+            const count = (value) => (isDone ? value : '–');
+            const detail = repo.status === 'scanning' && repo.progress
+                ? `<div style="font-size: 0.8em; color: var(--vscode-descriptionForeground);">${escapeHtml(repo.progress)}</div>`
+                : repo.status === 'failed'
+                    ? `<div style="font-size: 0.8em; color: var(--vscode-errorForeground);">${escapeHtml(repo.error || '')}</div>`
+                    : '';
+            return `
+                <tr style="${isDone && summary.total === 0 ? 'opacity: 0.7;' : ''}">
+                    <td title="${escapeHtml(repo.path)}">📦 ${escapeHtml(repo.name)}</td>
+                    <td>${statusLabels[repo.status]}${detail}</td>
+                    <td style="text-align: center; ${isDone && summary.high > 0 ? 'color: #ff6b6b; font-weight: bold;' : ''}">${count(summary.high)}</td>
+                    <td style="text-align: center;">${count(summary.medium)}</td>
+                    <td style="text-align: center;">${count(summary.low)}</td>
+                    <td style="text-align: center;">${count(summary.other)}</td>
+                    <td style="text-align: center;">${count(summary.history)}</td>
+                    <td style="text-align: center; font-weight: bold;">${count(summary.total)}</td>
+                    <td><button class="row-action" onclick="showBatchRepo(${index})" ${isDone ? '' : 'disabled'}>View results</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="scan-section">
+                <h2>📚 Batch Scan: ${escapeHtml(path.basename(root))}</h2>
+                <div style="margin: 6px 0 10px 0; font-size: 0.9em; color: var(--vscode-descriptionForeground); display: flex; align-items: center; gap: 8px;">
+                    <span title="${escapeHtml(root)}">📁 ${repos.length} repositories${isFullScope(scope) ? '' : ` · 🎯 Scope: ${escapeHtml(describeScanScope(scope))}`}</span>
+                    ${this._isScanning
+                        ? `<button class="secondary-button" onclick="cancelScan()" ${cancelled ? 'disabled' : ''}>⏹ Cancel batch</button>`
+                        : '<button class="secondary-button" onclick="rescanBatch()">🔄 Rescan all</button>'}
+                </div>
+                <div style="margin-bottom: 15px;">
+                    <strong>${this._isScanning ? `Scanned ${doneCount} of ${repos.length} repositories so far:` : `${doneCount} of ${repos.length} repositories scanned:`}</strong>
+                    ${totals.total} potential secrets in ${affectedCount} repositories
+                    (${totals.high} high, ${totals.medium} medium, ${totals.low} low, ${totals.history} in git history)
+                </div>
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Repository</th>
+                            <th style="width: 20%;">Status</th>
+                            <th style="width: 60px;">High</th>
+                            <th style="width: 60px;">Medium</th>
+                            <th style="width: 60px;">Low</th>
+                            <th style="width: 60px;">Other</th>
+                            <th style="width: 60px;">History</th>
+                            <th style="width: 60px;">Total</th>
+                            <th style="width: 1%;"></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async _scanStaged(directory) {
+        try {
+            this._isScanning = true;
+            this._scanCancelled = false;
+            this._scanResults = [];
+            this._clearPreparedCleanup();
+            this._scanMode = 'staged';
+            this._batchRepoIndex = null;
+            this._stagedFiles = [];
+            this._scanStoreInfo = null;
+            this._scanFolders = this._createScanFolders([directory]);
+            this._secretValues = new Map();
+            this._scanProgress = { stage: 'docker', message: 'Checking Docker availability...' };
+            this._updateWebviewContent();
+
+            const scanner = this._createScanner(this._scanFolders[0].path);
+            const engineChoice = await scanner.resolveEngine();
+            if (!engineChoice.engine) {
+                vscode.window.showErrorMessage(`Docker not available: ${engineChoice.error}`);
+                this._isScanning = false;
+                this._updateWebviewContent();
+                return;
+            }
+            if (engineChoice.fallbackReason) {
+                vscode.window.showInformationMessage(`Docker not available (${engineChoice.fallbackReason}). Scanning with the built-in rule engine instead.`);
+            }
+            this._scanEngine = engineChoice.engine;
+
+            // Staged scans are not recorded in the scan history: they cover a few files, not the repository
+            const scan = await this._runCancellableScan('Leak Lock: Scanning staged changes', scanner, (onProgress) =>
+                scanner.scanStaged(this._scanFolders[0].path, { engineChoice, onProgress }));
+            this._scanFolders[0].repoRoot = scanner.repoRoot;
+            this._scanFolders[0].projectConfig = scanner.projectConfig;
+            this._secretValues = scanner.secretValues;
+            this._stagedFiles = scan.stagedFiles;
+            scan.warnings.forEach(warning => vscode.window.showWarningMessage(warning));
+            this._reportScannerImage(scan.scannerImage);
+
+            this._scanResults = scan.results;
+            this._isScanning = false;
+            this._scanProgress = null;
+            this._updateWebviewContent();
+
+            const reportedResults = scan.results.filter(result => !result.suppressed);
+            if (scan.stagedFiles.length === 0) {
+                vscode.window.showInformationMessage('No staged changes to scan.');
+            } else if (reportedResults.length > 0) {
+                const affectedCount = this._getAffectedStagedPaths().length;
+                const choice = await vscode.window.showWarningMessage(
+                    `Found ${reportedResults.length} potential secrets in ${affectedCount} staged file(s). Unstage them before committing?`,
+                    'Unstage Files',
+                    'Review'
+                );
+                if (choice === 'Unstage Files') {
+                    await this._unstageAffectedFiles();
+                }
+            } else {
+                vscode.window.showInformationMessage(`🎉 No secrets found in ${scan.stagedFiles.length} staged file(s).`);
+            }
+        } catch (error) {
+            this._isScanning = false;
+            this._scanProgress = null;
+            if (error instanceof ScanCancelledError) {
+                this._scanCancelled = true;
+                this._updateWebviewContent();
+                vscode.window.showInformationMessage('Staged scan cancelled.');
+                return;
+            }
+            console.error('Staged scan error:', error);
+            this._updateWebviewContent();
+            vscode.window.showErrorMessage(`Staged scan failed: ${error.message}`);
         }
-        if (!fs.existsSync(absPath)) {
-            return false;
+    }
+
+    // Repository-relative paths of staged files with unsuppressed findings
+    _getAffectedStagedPaths() {
+        const paths = this._scanResults
+            .filter(result => result.isStaged && !result.suppressed)
+            .map(result => result.path || result.file);
+        return [...new Set(paths)];
+    }
+
+    // Remove the files with findings from the index; the changes stay in the working tree
+    async _unstageAffectedFiles() {
+        const paths = this._getAffectedStagedPaths();
+        const repoRoot = this._scanFolders[0]?.repoRoot;
+        if (paths.length === 0 || !repoRoot) {
+            return;
         }
-        const relToRepo = path.relative(this._scanRepoRoot, absPath);
-        if (!relToRepo || relToRepo.startsWith('..') || path.isAbsolute(relToRepo)) {
-            return false;
+        try {
+            await unstageFiles(repoRoot, paths);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to unstage files: ${error.message}`);
+            return;
         }
-        const normalized = relToRepo.replace(/\\/g, '/');
-        return !this._trackedFiles.has(normalized);
+        this._stagedFiles = this._stagedFiles.filter(file => !paths.includes(file));
+        this._scanResults = this._scanResults.filter(result => !paths.includes(result.path || result.file));
+        this._updateWebviewContent();
+        vscode.window.showInformationMessage(`Unstaged ${paths.length} file(s). Remove the secrets, then stage them again.`);
     }
 
     // Add method to update webview content
+    // Regions of the scan view, keyed by the id suffix of their container (`region-<name>`)
+    _getScanViewRegions() {
+        return {
+            header: `
+                <div class="main-container">
+                    <div class="scan-header">
+                        <h2>🛡️ Security Scan Results</h2>
+                        <p style="color: var(--vscode-descriptionForeground); margin: 5px 0 15px 0; font-size: 0.9em;">
+                            Use the <strong>Control Panel</strong> in the sidebar to install dependencies and select directories to scan.
+                        </p>
+                        ${this._isScanning ? `
+                            <div class="scanning-indicator">
+                                <div class="spinner" style="margin-right: 10px;"></div>
+                                <span>🔍 Scanning in progress... Please wait.</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `,
+            batchNav: this._getBatchNavHtml(),
+            results: this._getScanResultsSection()
+        };
+    }
+
+    // Re-render after a state change. While the scan view is shown, only the regions whose HTML changed are
+    // sent over postMessage, so selections, typed replacements and scroll positions survive; other views and
+    // view switches replace the whole document.
     _updateWebviewContent() {
-        if (this._panel) {
-            this._panel.webview.html = this._getHtmlForWebview();
+        if (!this._panel) {
+            return;
+        }
+        // Hidden webviews are discarded; they are rendered again when shown, see _setupPanelListeners
+        if (!this._panel.visible) {
+            return;
+        }
+        if (this._viewMode !== 'scan' || !this._renderedRegions) {
+            this._renderWebview();
+            return;
+        }
+        // Messages sent before the document has loaded could be lost; the ready message catches up
+        if (!this._webviewReady) {
+            this._needsRegionSync = true;
+            return;
+        }
+        const regions = this._getScanViewRegions();
+        const changed = {};
+        for (const [name, html] of Object.entries(regions)) {
+            if (this._renderedRegions[name] !== html) {
+                changed[name] = html;
+            }
+        }
+        this._renderedRegions = regions;
+        if (Object.keys(changed).length > 0) {
+            this._panel.webview.postMessage({ command: 'regions.update', regions: changed });
+        }
+    }
+
+    // Replace the whole document; the webview restores its input from getState()
+    _renderWebview() {
+        const regions = this._viewMode === 'scan' ? this._getScanViewRegions() : null;
+        this._renderedRegions = regions;
+        this._webviewReady = false;
+        this._needsRegionSync = false;
+        this._panel.webview.html = this._getHtmlForWebview(regions);
+    }
+
+    // The scan view's script has loaded and handles region updates
+    _onWebviewReady() {
+        this._webviewReady = true;
+        if (this._needsRegionSync) {
+            this._needsRegionSync = false;
+            this._updateWebviewContent();
         }
     }
 
     _getScanResultsSection() {
+        // Batch scans show their roll-up while running, too
+        if (this._scanMode === 'batch') {
+            return this._getBatchHtml();
+        }
+
         // Show scanning progress
         if (this._isScanning) {
             return `
                 <div class="scan-section">
-                    <h2>🔍 Scanning Repository</h2>
+                    <h2>🔍 ${this._scanMode === 'staged' ? 'Scanning Staged Changes' : 'Scanning Repository'}</h2>
                     <div class="scanning-progress">
                         <div class="spinner"></div>
                         <p class="progress-message">${escapeHtml(this._scanProgress?.message || 'Scanning in progress...')}</p>
@@ -1980,6 +3501,50 @@ class LeakLockPanel {
                             <span class="stage ${this._scanProgress?.stage === 'scan' ? 'active' : ''}">Scan Files</span>
                             <span class="stage ${this._scanProgress?.stage === 'process' ? 'active' : ''}">Process Results</span>
                         </div>
+                        <div class="action-buttons">
+                            <button class="secondary-button" onclick="cancelScan()" ${this._activeScanner?.cancelled ? 'disabled' : ''}>⏹ Cancel scan</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this._scanCancelled) {
+            return `
+                <div class="scan-section">
+                    <div class="empty-results">
+                        <div class="empty-icon">⏹</div>
+                        <h2>Scan Cancelled</h2>
+                        <p>The scan was stopped before it finished, so no results are shown.</p>
+                        <div class="action-buttons">
+                            <button class="scan-button" onclick="${this._scanMode === 'staged' ? 'rescanStaged()' : 'requestNewScan()'}">
+                                🔄 Scan Again
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this._scanMode === 'staged' && (!this._scanResults || this._scanResults.length === 0)) {
+            const hasStagedFiles = this._stagedFiles.length > 0;
+            const message = hasStagedFiles
+                ? `${this._stagedFiles.length} staged file(s) were scanned and no secrets or credentials were detected.`
+                : 'There are no staged changes to scan. Stage files in the Source Control view and scan again.';
+            return `
+                <div class="scan-section">
+                    <div class="empty-results">
+                        <div class="empty-icon">📥</div>
+                        <h2>${hasStagedFiles ? 'No Secrets in Staged Changes' : 'Nothing Staged'}</h2>
+                        <p>${message}</p>
+                        <div class="action-buttons">
+                            <button class="scan-button" onclick="rescanStaged()">
+                                🔄 Rescan Staged Changes
+                            </button>
+                            <button class="secondary-button" onclick="requestNewScan()">
+                                🔍 Scan Full Repository
+                            </button>
+                        </div>
                     </div>
                 </div>
             `;
@@ -2021,762 +3586,478 @@ class LeakLockPanel {
                                 <li>Review dependency updates for potential secrets</li>
                                 <li>Train your team on secure coding practices</li>
                             </ul>
-                        </div>
-
-                        <div class="action-buttons">
-                            <button class="scan-button" onclick="requestNewScan()">
-                                🔄 Scan Again
-                            </button>
-                            <button class="secondary-button" onclick="openSecurityGuide()">
-                                📚 Security Best Practices
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }
-
-        // Show actual results (existing logic)
-        return this._getResultsHtml();
-    }
-
-    _generateFixCommand(replacements) {
-        // This will handle the 'fix' command from webview
-        this._fixSecrets(replacements);
-    }
-
-    _runBFGCommand(replacements) {
-        // This will handle the 'runBFG' command from webview
-        return this._executeBFGCleanup(replacements);
-    }
-
-    _openFile(file, line) {
-        // Open file in editor
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (workspaceFolder) {
-            const filePath = path.isAbsolute(file) ? file : path.join(workspaceFolder.uri.fsPath, file);
-            vscode.window.showTextDocument(vscode.Uri.file(filePath), {
-                selection: new vscode.Range(line - 1, 0, line - 1, 0)
-            });
-        }
-    }
-
-    // Essential utility methods for scanning functionality
-    async _checkDockerAvailability() {
-        return new Promise((resolve) => {
-            exec('docker --version', (error, stdout, stderr) => {
-                if (error) {
-                    resolve({ available: false, error: 'Docker not installed or not in PATH' });
-                } else {
-                    // Check if Docker daemon is running
-                    exec('docker info', (daemonError) => {
-                        if (daemonError) {
-                            resolve({ available: false, error: 'Docker daemon not running' });
-                        } else {
-                            resolve({ available: true, version: stdout.trim() });
-                        }
-                    });
-                }
-            });
-        });
-    }
-
-    async _pullNoseyParkerImage() {
-        return new Promise((resolve, reject) => {
-            const pullCommand = 'docker pull ghcr.io/praetorian-inc/noseyparker:latest';
-            exec(pullCommand, { timeout: DOCKER_PULL_TIMEOUT }, (error, stdout, stderr) => {
-                if (error) {
-                    console.warn('Failed to pull latest image, using existing:', error.message);
-                    resolve(); // Continue with existing image
-                } else {
-                    resolve();
-                }
-            });
-        });
-    }
-
-    async _initializeDatastore(datastorePath) {
-        try {
-            // Validate the datastore path
-            const validatedDatastorePath = validateDockerPath(datastorePath);
-
-            // Aggressively remove existing datastore if it exists
-            if (fs.existsSync(validatedDatastorePath)) {
-                await this._cleanupTempFiles(validatedDatastorePath);
-            }
-
-            // Validate and ensure the parent directory exists
-            const parentDir = validateDockerPath(path.dirname(validatedDatastorePath));
-            if (!fs.existsSync(parentDir)) {
-                fs.mkdirSync(parentDir, { recursive: true });
-            }
-
-            return new Promise((resolve, reject) => {
-                try {
-                    // Use safe Docker command construction with validation
-                    const parentDir = validateDockerPath(path.dirname(validatedDatastorePath));
-                    const datastoreName = sanitizeDockerVolumeName(path.basename(validatedDatastorePath));
-
-                    const dockerArgs = [
-                        'run', '--rm',
-                        '-v', `${parentDir}:/workspace`,
-                        'ghcr.io/praetorian-inc/noseyparker:latest',
-                        'datastore', 'init',
-                        '--datastore', `/workspace/${datastoreName}`
-                    ];
-
-                    runDockerCommand(dockerArgs).then(() => {
-                        resolve();
-                    }).catch(error => {
-                        // If initialization fails, try to force cleanup and retry once
-                        console.warn('Initial datastore init failed, trying cleanup and retry:', error.message);
-                        this._cleanupTempFiles(validatedDatastorePath).then(() => {
-                            // Retry initialization with same safe arguments
-                            return runDockerCommand(dockerArgs);
-                        }).then(() => {
-                            resolve();
-                        }).catch(retryError => {
-                            reject(new Error(`Failed to initialize datastore after retry: ${retryError.message}\nStderr: ${retryError.stderr || ''}`));
-                        });
-                    });
-                } catch (validationError) {
-                    reject(new Error(`Path validation failed: ${validationError.message}`));
-                }
-            });
-        } catch (error) {
-            throw new Error(`Datastore initialization failed: ${error.message}`);
-        }
-    }
-
-    async _runNoseyParkerScan(scanPath, datastorePath) {
-        return new Promise((resolve, reject) => {
-            try {
-                // Validate paths before using them
-                const validatedScanPath = validateDockerPath(scanPath);
-                const validatedDatastorePath = validateDockerPath(datastorePath);
-
-                // Get dependency handling configuration
-                const config = vscode.workspace.getConfiguration('leakLock');
-                const dependencyHandling = config.get('dependencyHandling') || 'warning';
-
-                // Create ignore file for proper exclusion if needed
-                if (dependencyHandling === 'exclude') {
-                    // For now, let's skip file-based exclusions to avoid issues
-                    // We'll handle dependency filtering in the results processing instead
-                    console.log('Dependency exclusion will be handled in post-processing');
-                }
-
-                // Ensure git history scanning is explicitly enabled (built into args below)
-
-                // First scan the repository with full git history using safe Docker command
-                const scanArgs = [
-                    'run', '--rm',
-                    '-v', `${validatedScanPath}:/scan`,
-                    '-v', `${validatedDatastorePath}:/datastore`,
-                    'ghcr.io/praetorian-inc/noseyparker:latest',
-                    'scan',
-                    '--datastore', '/datastore',
-                    '--git-history', 'full',
-                    '/scan'
-                ];
-
-                // Use a timeout wrapper for the Docker command
-                const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error(`Scan timeout after ${SCAN_TIMEOUT / 1000 / 60} minutes`)), SCAN_TIMEOUT);
-                });
-
-                Promise.race([runDockerCommand(scanArgs), timeoutPromise]).then(({ stdout: scanStdout, stderr: scanStderr }) => {
-                    // Continue to report generation - Nosey Parker may return non-zero exit codes even on successful scans
-
-                    // Now report the findings in structured format using safe Docker command
-                    const reportArgs = [
-                        'run', '--rm',
-                        '-v', `${validatedDatastorePath}:/datastore`,
-                        'ghcr.io/praetorian-inc/noseyparker:latest',
-                        'report',
-                        '--datastore', '/datastore',
-                        '--format', 'json'
-                    ];
-
-                    runDockerCommand(reportArgs).then(({ stdout: reportStdout }) => {
-                        try {
-                            const results = this._parseNoseyParkerResults(reportStdout);
-                            resolve(results);
-                        } catch (parseError) {
-                            console.warn('Failed to parse JSON results, using fallback:', parseError.message);
-                            resolve(this._createFallbackResults(reportStdout + scanStdout));
-                        }
-                    }).catch(reportError => {
-                        console.warn('Report command failed, trying alternative approach:', reportError.message);
-                        resolve(this._createFallbackResults(scanStdout + scanStderr));
-                    });
-                }).catch(scanError => {
-                    // Handle scan errors, but allow exit code 2 which is common for Nosey Parker
-                    if (scanError.code !== 2) {
-                        console.error('Scan error details:', { error: scanError, stdout: scanError.stdout, stderr: scanError.stderr });
-                        reject(new Error(`Scan failed: ${scanError.message}\nStderr: ${scanError.stderr || ''}`));
-                        return;
-                    }
-                    // If exit code 2, try to continue with report generation
-                    const reportArgs = [
-                        'run', '--rm',
-                        '-v', `${validatedDatastorePath}:/datastore`,
-                        'ghcr.io/praetorian-inc/noseyparker:latest',
-                        'report',
-                        '--datastore', '/datastore',
-                        '--format', 'json'
-                    ];
-
-                    runDockerCommand(reportArgs).then(({ stdout: reportStdout }) => {
-                        try {
-                            const results = this._parseNoseyParkerResults(reportStdout);
-                            resolve(results);
-                        } catch (parseError) {
-                            console.warn('Failed to parse JSON results, using fallback:', parseError.message);
-                            resolve(this._createFallbackResults(scanError.stdout + scanError.stderr));
-                        }
-                    }).catch(reportError => {
-                        console.warn('Report command also failed:', reportError.message);
-                        resolve(this._createFallbackResults(scanError.stdout + scanError.stderr));
-                    });
-                });
-            } catch (validationError) {
-                reject(new Error(`Path validation failed: ${validationError.message}`));
-            }
-        });
-    }
-
-    /**
-     * Extract file path from Nosey Parker match object, trying multiple possible locations
-     */
-    _extractFilePathFromMatch(match) {
-        // Try multiple possible locations for file path in order of preference
-        const possiblePaths = [
-            match.provenance?.[0]?.path,           // Standard provenance path
-            match.location?.source_file,           // Alternative location field
-            match.source?.file,                    // Another possible source field
-            match.file_path,                       // Direct file path field
-            match.location?.path,                  // Location path
-            match.provenance?.[0]?.source_file,    // Alternative provenance source
-            match.source_path,                     // Source path field
-            match.path,                            // Simple path field
-            match.location?.source_span?.source_id, // Source span ID
-            match.provenance?.[0]?.source_id,      // Provenance source ID
-            match.source_id                        // Direct source ID
-        ];
-
-        // Check for git repository provenance with blob path (git history only)
-        if (match.provenance && Array.isArray(match.provenance)) {
-            for (const prov of match.provenance) {
-                if (prov.kind === 'git_repo' && prov.first_commit && prov.first_commit.blob_path) {
-                    possiblePaths.unshift(prov.first_commit.blob_path); // Add to front of list
-                }
-            }
-        }
-
-        // Return the first non-null, non-undefined, non-empty path
-        for (const path of possiblePaths) {
-            if (path && typeof path === 'string' && path.trim() !== '') {
-                let cleanPath = path.trim();
-
-                // Clean up Docker mount path prefixes
-                if (cleanPath.startsWith('/scan/')) {
-                    cleanPath = cleanPath.substring(6);
-                }
+                        </div>
 
-                // If still empty after cleaning, continue to next path
-                if (cleanPath === '') {
-                    continue;
-                }
+                        ${this._getScanScopeInfoHtml()}
+                        ${this._getScanStoreInfoHtml()}
 
-                return cleanPath;
-            }
+                        <div class="action-buttons">
+                            <button class="scan-button" onclick="requestNewScan()">
+                                🔄 Scan Again
+                            </button>
+                            <button class="secondary-button" onclick="openSecurityGuide()">
+                                📚 Security Best Practices
+                            </button>
+                            <button class="secondary-button" onclick="showHistory()">
+                                📜 Scan History
+                            </button>
+                            <button class="secondary-button" onclick="showRules()">
+                                🧪 Custom Rules
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
         }
 
-        // Try to extract path from nested objects more aggressively
-        if (match.location && typeof match.location === 'object') {
-            const locationKeys = Object.keys(match.location);
-            for (const key of locationKeys) {
-                if (key.includes('file') || key.includes('path') || key.includes('source')) {
-                    const value = match.location[key];
-                    if (value && typeof value === 'string' && value.trim() !== '') {
-                        let cleanPath = value.trim();
-                        if (cleanPath.startsWith('/scan/')) {
-                            cleanPath = cleanPath.substring(6);
-                        }
-                        if (cleanPath !== '') {
-                            return cleanPath;
-                        }
-                    }
-                }
-            }
-        }
+        // Show actual results (existing logic)
+        return this._getResultsHtml();
+    }
 
-        // Try to extract from provenance more aggressively
-        if (match.provenance && Array.isArray(match.provenance) && match.provenance.length > 0) {
-            const prov = match.provenance[0];
-            if (prov && typeof prov === 'object') {
-                const provKeys = Object.keys(prov);
-                for (const key of provKeys) {
-                    if (key.includes('file') || key.includes('path') || key.includes('source')) {
-                        const value = prov[key];
-                        if (value && typeof value === 'string' && value.trim() !== '') {
-                            let cleanPath = value.trim();
-                            if (cleanPath.startsWith('/scan/')) {
-                                cleanPath = cleanPath.substring(6);
-                            }
-                            if (cleanPath !== '') {
-                                return cleanPath;
-                            }
-                        }
-                    }
-                }
+    // Map the finding ids sent by the webview to the full secret values of the last scan, grouped by the
+    // folder each finding belongs to: `[{ name, path, repoRoot, replacements: { secret: replacement } }]`
+    _resolveReplacements(replacementsById) {
+        const groups = new Map();
+        for (const [id, replacement] of Object.entries(replacementsById || {})) {
+            const secret = this._secretValues.get(id);
+            const result = this._scanResults.find(candidate => candidate.id === id);
+            const folder = result && this._getResultFolder(result);
+            if (!secret || !folder) {
+                continue;
             }
+            if (!groups.has(folder.name)) {
+                groups.set(folder.name, { ...folder, replacements: {} });
+            }
+            groups.get(folder.name).replacements[secret] = replacement;
         }
-
-        // If still no valid path found, return a meaningful fallback
-        // Log only non-sensitive metadata from match object
-        return 'file_path_not_found';
+        return [...groups.values()];
     }
 
-    /**
-     * Extract actual file path from git history artifacts by analyzing git-related metadata
-     */
-    _extractActualPathFromGitHistory(match, finding) {
-        // Try to extract file path from git commit or object information
-        if (match.provenance && Array.isArray(match.provenance)) {
-            for (const prov of match.provenance) {
-                // Look for git repository information with first_commit data
-                if (prov.kind === 'git_repo' && prov.first_commit) {
-                    const firstCommit = prov.first_commit;
-                    if (firstCommit.blob_path) {
-                        return firstCommit.blob_path;
-                    }
-                }
-
-                // Look for commit information that might contain file paths
-                if (prov.commit_metadata) {
-                    const commitInfo = prov.commit_metadata;
-                    if (commitInfo.file_path || commitInfo.path) {
-                        return commitInfo.file_path || commitInfo.path;
-                    }
-                }
+    // Number of secrets in replacement groups from _resolveReplacements
+    _countReplacements(groups) {
+        return (groups || []).reduce((count, group) => count + Object.keys(group.replacements).length, 0);
+    }
 
-                // Look for blob or tree information
-                if (prov.blob_metadata) {
-                    const blobInfo = prov.blob_metadata;
-                    if (blobInfo.file_path || blobInfo.path) {
-                        return blobInfo.file_path || blobInfo.path;
-                    }
-                }
-            }
-        }
+    // Masked preview of a finding's secret, the only form of the value rendered into the webview
+    _getSecretPreview(result) {
+        return buildSecretPreview(this._secretValues.get(result.id) || result.secret);
+    }
 
-        // Try to extract from finding metadata
-        if (finding && finding.metadata) {
-            if (finding.metadata.file_path || finding.metadata.path) {
-                return finding.metadata.file_path || finding.metadata.path;
-            }
+    // Send the full value of one finding to the webview after an explicit confirmation. It is shown in
+    // that row only and disappears with the next render of the results.
+    async _revealSecret(id) {
+        const result = this._scanResults.find(candidate => candidate.id === id);
+        const secret = this._secretValues.get(id);
+        if (!result || !secret) {
+            vscode.window.showWarningMessage('This finding is no longer available. Run the scan again.');
+            return;
         }
-
-        // Try to extract from match location with git context
-        if (match.location && match.location.source_span) {
-            const sourceSpan = match.location.source_span;
-            if (sourceSpan.file_path || sourceSpan.path) {
-                return sourceSpan.file_path || sourceSpan.path;
-            }
+        const choice = await vscode.window.showWarningMessage(
+            `Reveal the secret found in ${result.file}:${result.line}? The full value will be visible on screen.`,
+            { modal: true },
+            'Reveal'
+        );
+        if (choice !== 'Reveal' || !this._panel) {
+            return;
         }
+        this._panel.webview.postMessage({ command: 'secret.revealed', id, value: secret });
+    }
 
-        // If all else fails, try to parse git object paths
-        const gitObjectPattern = /\.git\/objects\/[0-9a-f]{2}\/[0-9a-f]{38}/;
-        const gitRefPattern = /\.git\/refs\/(heads|tags|remotes)\/([a-zA-Z0-9._/-]+)/;
-
-        if (match.provenance?.[0]?.path) {
-            const path = match.provenance[0].path;
+    _generateFixCommand(replacements) {
+        // This will handle the 'fix' command from webview
+        this._fixSecrets(replacements);
+    }
 
-            if (gitRefPattern.test(path)) {
-                const refMatch = path.match(gitRefPattern);
-                return `git-ref:${refMatch[2]} (${refMatch[1]})`;
-            }
+    _runBFGCommand(replacements) {
+        // This will handle the 'runBFG' command from webview
+        return this._executeBFGCleanup(replacements);
+    }
 
-            if (gitObjectPattern.test(path)) {
-                return 'git-object (commit/tree/blob)';
-            }
+    _openFile(file, line, id) {
+        // Open file in editor; result paths are relative to the folder they were found in
+        const result = id ? this._scanResults.find(candidate => candidate.id === id) : null;
+        if (result?.isGitHistory) {
+            this._openHistoryDiff(result);
+            return;
+        }
+        const baseDir = (result && this._getResultFolder(result)?.path)
+            || this._selectedDirectory
+            || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        if (path.isAbsolute(file) || baseDir) {
+            const filePath = path.isAbsolute(file) ? file : path.join(baseDir, file);
+            vscode.window.showTextDocument(vscode.Uri.file(filePath), {
+                selection: new vscode.Range(line - 1, 0, line - 1, 0)
+            });
         }
-
-        return 'unknown';
     }
 
-    _parseNoseyParkerResults(output) {
-        const results = [];
-
-        if (!output.trim()) {
-            return results;
+    // Open the commit that introduced a history finding as a read-only diff against its parent
+    async _openHistoryDiff(result) {
+        const provenance = result.provenance;
+        const folder = this._getResultFolder(result);
+        const repoRoot = folder?.repoRoot || folder?.path;
+        if (!provenance?.commitId || !provenance.blobPath || !repoRoot) {
+            vscode.window.showWarningMessage('The commit that introduced this finding is not known.');
+            return;
         }
-
         try {
-            // Parse JSON output from Nosey Parker report command
-            const jsonFindings = JSON.parse(output);
-
-            // Debug logging for external directory scanning
-            console.log(`Parsing Nosey Parker results. Selected directory: ${this._selectedDirectory}`);
-            console.log(`Found ${Array.isArray(jsonFindings) ? jsonFindings.length : 0} findings`);
-
-            if (Array.isArray(jsonFindings)) {
-                jsonFindings.forEach((finding, findingIndex) => {
-                    finding.matches?.forEach((match, matchIndex) => {
-                        let filePath = this._extractFilePathFromMatch(match);
-
-                        const line = match.location?.source_span?.start?.line ||
-                            match.location?.line ||
-                            match.line_number ||
-                            1;
-                        const secretText = match.snippet?.matching ||
-                            match.snippet?.before ||
-                            match.content ||
-                            match.text ||
-                            'content_unavailable';
-
-                        // Debug logging for path extraction
-                        if (filePath === 'file_path_not_found') {
-                            console.warn('No file path found in match');
-                        }
-
-                        // Skip non-git version control artifacts, but allow git history results
-                        if (filePath === 'version-control-artifact' || filePath.includes('/.svn/') || filePath.includes('/.hg/')) {
-                            console.log(`Skipping non-git version control artifact: ${filePath}`);
-                            return; // Skip this result
-                        }
-
-                        // For git history artifacts, try to extract meaningful file information
-                        if (filePath === 'git-history-artifact' || (filePath.includes('/.git/') && !filePath.includes('(git-history)'))) {
-                            console.log(`Found git history artifact, extracting file info: ${filePath}`);
-                            // Try to get file path from git object or commit information
-                            const actualPath = this._extractActualPathFromGitHistory(match, finding);
-                            if (actualPath && actualPath !== 'unknown') {
-                                filePath = actualPath;
-                            } else {
-                                // If we can't extract meaningful path, mark it as git history
-                                filePath = 'git-history-reference';
-                            }
-                        }
-
-                        const result = this._createResult(
-                            filePath,
-                            line,
-                            secretText,
-                            finding.rule_name || 'Secret detected',
-                            finding.rule_name,
-                            match
-                        );
-                        results.push(result);
-                    });
-                });
-            }
-        } catch (jsonError) {
-            console.warn('JSON parsing failed, trying line-by-line:', jsonError.message);
-
-            // Try parsing as JSONL (JSON Lines format)
-            const lines = output.split('\n').filter(line => line.trim());
-
-            lines.forEach(line => {
-                try {
-                    const parsed = JSON.parse(line);
-                    if (parsed.matches && Array.isArray(parsed.matches)) {
-                        parsed.matches.forEach(match => {
-                            let filePath = this._extractFilePathFromMatch(match);
-                            const lineNumber = match.location?.line ||
-                                match.line_number ||
-                                match.location?.source_span?.start?.line ||
-                                1;
-                            const secretText = match.snippet ||
-                                match.content ||
-                                match.text ||
-                                'content_unavailable';
-
-                            // Skip non-git version control artifacts (JSONL parsing)
-                            if (filePath === 'version-control-artifact' || filePath.includes('/.svn/') || filePath.includes('/.hg/')) {
-                                console.log(`Skipping non-git version control artifact (JSONL): ${filePath}`);
-                                return; // Skip this result
-                            }
-
-                            // Handle git history artifacts in JSONL parsing
-                            if (filePath === 'git-history-artifact' || (filePath.includes('/.git/') && !filePath.includes('(git-history)'))) {
-                                const actualPath = this._extractActualPathFromGitHistory(match, parsed);
-                                if (actualPath && actualPath !== 'unknown') {
-                                    filePath = actualPath;
-                                } else {
-                                    filePath = 'git-history-reference';
-                                }
-                            }
-
-                            results.push(this._createResult(
-                                filePath,
-                                lineNumber,
-                                secretText,
-                                match.rule_name || parsed.rule_name || 'Secret detected',
-                                match.rule_name || parsed.rule_name,
-                                match
-                            ));
-                        });
-                    }
-                } catch (lineError) {
-                    // Skip invalid JSON lines, but log for debugging
-                    // Avoid logging full line content to prevent leaking sensitive data
-                    console.warn('Failed to parse JSON line at index', lines.indexOf(line), '-', lineError.message);
-                }
+            const before = createRevisionUri(repoRoot, `${provenance.commitId}^`, provenance.blobPath);
+            const after = createRevisionUri(repoRoot, provenance.commitId, provenance.blobPath);
+            const title = `${path.basename(provenance.blobPath)} (${provenance.commitId.slice(0, 7)})`;
+            const line = Math.max(0, (result.line || 1) - 1);
+            await vscode.commands.executeCommand('vscode.diff', before, after, title, {
+                preview: true,
+                selection: new vscode.Range(line, 0, line, 0)
             });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not open commit ${provenance.commitId.slice(0, 7)}: ${error.message}`);
         }
+    }
 
-        return results;
-    }
-
-    _createFallbackResults(output) {
-        const results = [];
-        const lines = output.split('\n');
-
-        // Improved patterns that might indicate secrets were found with better file path extraction
-        const secretPatterns = [
-            // Pattern for "Found secret in file:line"
-            /Found.*secret.*in\s+([^\s:]+):(\d+)/i,
-            // Pattern for "file:line potential secret"  
-            /([^\s:]+):(\d+).*potential.*secret/i,
-            // Pattern for "Secret detected in file:line"
-            /Secret.*detected.*in\s+([^\s:]+):(\d+)/i,
-            // Pattern for "/scan/path/to/file:line"
-            /\/scan\/([^\s:]+):(\d+)/i,
-            // Pattern for general file paths with line numbers
-            /([a-zA-Z0-9\/_\-\.]+\.[a-zA-Z0-9]+):(\d+)/i
-        ];
-
-        lines.forEach(line => {
-            for (const pattern of secretPatterns) {
-                const match = line.match(pattern);
-                if (match) {
-                    let filePath = match[1];
-                    // Clean up common Docker mount path prefixes
-                    if (filePath.startsWith('/scan/')) {
-                        filePath = filePath.substring(6);
-                    }
-
-                    // Skip non-git version control artifacts in fallback parsing
-                    if (filePath.includes('/.svn/') || filePath.includes('/.hg/')) {
-                        console.log(`Skipping non-git version control artifact (fallback): ${filePath}`);
-                        continue; // Try next pattern
-                    }
-
-                    // Handle git artifacts in fallback parsing
-                    if (filePath.includes('/.git/') || filePath.startsWith('.git/') || filePath === '.git') {
-                        // In fallback parsing, we don't have detailed match info, so mark as git history
-                        filePath = 'git-history-reference';
-                    }
-
-                    results.push(this._createResult(
-                        filePath,
-                        parseInt(match[2]) || 1,
-                        '***hidden***',
-                        'Secret detected (details hidden)',
-                        'fallback_detection',
-                        null
-                    ));
-                    break;
-                }
-            }
-        });
-
-        // If no patterns matched but there's output, create a generic result
-        if (results.length === 0 && (output.includes('secret') || output.includes('finding'))) {
-            results.push(this._createResult(
-                'scan_output',
-                1,
-                '***scan completed***',
-                'Scan completed - check console output for details',
-                'info',
-                null
-            ));
+    // Introducing commit, author, date and message under a history finding's file name
+    _getProvenanceHtml(result) {
+        const provenance = result.provenance;
+        const parts = [];
+        if (provenance.commitId) {
+            parts.push(`<code title="${escapeHtml(provenance.commitId)}">${escapeHtml(provenance.commitId.slice(0, 7))}</code>`);
         }
-
-        console.log(`_parseNoseyParkerResults returning ${results.length} total results`);
-        return results;
+        if (provenance.author) {
+            parts.push(`<span title="${escapeHtml(provenance.authorEmail || '')}">${escapeHtml(provenance.author)}</span>`);
+        }
+        if (provenance.date) {
+            const date = new Date(provenance.date);
+            parts.push(escapeHtml(Number.isNaN(date.getTime()) ? provenance.date : date.toLocaleString()));
+        }
+        if (provenance.message) {
+            parts.push(`<span style="font-style: italic;">${escapeHtml(provenance.message)}</span>`);
+        }
+        if (provenance.blobPath && provenance.blobPath !== result.file) {
+            parts.push(`blob <code>${escapeHtml(provenance.blobPath)}</code>`);
+        }
+        if (parts.length === 0) {
+            return '';
+        }
+        return `<div class="provenance" style="margin-top: 3px; font-size: 0.75em; color: var(--vscode-descriptionForeground); max-width: 360px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">🕒 ${parts.join(' · ')}</div>`;
     }
 
-    _getRelativeFilePath(filePath) {
-        // If scanning external directory (not workspace), show relative path from selected directory
-        if (this._selectedDirectory) {
-            // If path is absolute and starts with selected directory, make it relative
-            if (filePath.startsWith(this._selectedDirectory)) {
-                return filePath.substring(this._selectedDirectory.length + 1);
-            }
-
-            // If it's a relative path already, prefix with selected directory name for context
-            if (!filePath.startsWith('/') && !filePath.includes(':')) {
-                const dirName = require('path').basename(this._selectedDirectory);
-                return `${dirName}/${filePath}`;
+    // Version string of the engine that produced the last scan, cached per engine and scanner image
+    async _getEngineVersion(engine) {
+        const key = engine === 'native'
+            ? engine
+            : scannerImage.getScannerImage(vscode.workspace.getConfiguration('leakLock').get('noseyParker.image'));
+        if (this._engineVersions[key]) {
+            return this._engineVersions[key];
+        }
+        let version = null;
+        if (engine === 'native') {
+            version = `leak-lock built-in rules ${require('./package.json').version}`;
+        } else {
+            version = await scannerImage.getScannerVersion(key);
+            if (!version) {
+                console.warn(`Could not determine Nosey Parker version of ${key}`);
             }
         }
+        this._engineVersions[key] = version;
+        return version;
+    }
 
-        // Fallback to workspace-based path handling
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (workspaceFolder && filePath.startsWith(workspaceFolder.uri.fsPath)) {
-            return filePath.substring(workspaceFolder.uri.fsPath.length + 1);
+    // Warn once per panel when a scan ran on an unpinned scanner image, so results may differ between machines
+    _reportScannerImage(check) {
+        const problem = check && scannerImage.describeScannerCheck(check);
+        if (!problem || this._scannerImageWarned) {
+            return;
         }
+        this._scannerImageWarned = true;
+        vscode.window.showWarningMessage(problem, 'Update Scanner').then(choice => {
+            if (choice === 'Update Scanner') {
+                vscode.commands.executeCommand('leak-lock.updateScanner');
+            }
+        });
+    }
 
-        // Clean up Docker mount paths and other prefixes
-        let cleanPath = filePath.replace(/^\/scan\//, '').replace(/^\//, '');
+    _getScanHistory() {
+        return LeakLockPanel.extensionContext?.workspaceState.get(SCAN_HISTORY_KEY, []) || [];
+    }
 
-        // Handle .git paths from git history scanning
-        if (cleanPath.includes('/.git/') || cleanPath.startsWith('.git/')) {
-            // Extract project name from .git paths for context
-            const gitMatch = cleanPath.match(/^(.+?)\/\.git\/.+$/);
-            if (gitMatch) {
-                // For git history results, we'll get the actual file path from Nosey Parker's metadata
-                // This is just a fallback - the main logic should extract proper paths
-                return gitMatch[1] + '/.git (git-history)';
+    // Persist a compact record of a finished scan to workspace storage
+    async _recordScanHistory(repoRoot, results) {
+        const workspaceState = LeakLockPanel.extensionContext?.workspaceState;
+        if (!workspaceState) {
+            return;
+        }
+        try {
+            let headCommit = null;
+            try {
+                const util = require('util');
+                const execFileAsync = util.promisify(execFile);
+                const { stdout } = await execFileAsync('git', ['-C', repoRoot, 'rev-parse', 'HEAD']);
+                headCommit = stdout.trim() || null;
+            } catch {
+                // Not a git repository or no commits yet
             }
-            return 'git-history-artifact';
+            const record = scanHistory.createScanRecord({
+                repoRoot,
+                headCommit,
+                engine: this._scanEngine,
+                engineVersion: await this._getEngineVersion(this._scanEngine),
+                results
+            });
+            await workspaceState.update(SCAN_HISTORY_KEY, scanHistory.addScanRecord(this._getScanHistory(), record));
+        } catch (error) {
+            console.warn('Failed to save scan history:', error.message);
         }
+    }
 
-        // Filter out other version control artifacts
-        if (cleanPath.includes('/.svn/') || cleanPath.includes('/.hg/')) {
-            return 'version-control-artifact';
+    // Per-repository directory in global storage for the persistent datastore, or null when unavailable
+    _getScanStoreDirectory(scanPath) {
+        const storageUri = LeakLockPanel.extensionContext?.globalStorageUri;
+        if (!storageUri || !scanPath) {
+            return null;
         }
+        return scanStore.getStoreDirectory(storageUri.fsPath, scanPath);
+    }
 
-        // If path is still empty, return the original
-        if (cleanPath === '') {
-            return filePath;
+    // Drop the persistent datastore of a repository, e.g. after its history was rewritten
+    _invalidateScanStore(repoPath) {
+        const storeDir = this._getScanStoreDirectory(repoPath);
+        if (storeDir) {
+            scanStore.removeStore(storeDir);
         }
-
-        return cleanPath;
     }
 
-    _truncateSecret(secret) {
-        if (secret.length > SECRET_TRUNCATE_LENGTH) {
-            return secret.substring(0, SECRET_TRUNCATE_LENGTH) + '...';
+    // Mark results matching an entry of the repository's .leaklockignore file
+    _applySuppressions(results, repoRoot) {
+        try {
+            return applySuppressions(results, repoRoot);
+        } catch (error) {
+            vscode.window.showWarningMessage(`Could not read ${suppressions.SUPPRESSION_FILE_NAME}: ${error.message}`);
+            return applySuppressions(results, null);
         }
-        return secret;
     }
 
-    _getSeverity(ruleName) {
-        if (!ruleName) return 'medium';
-
-        const highRisk = ['api_key', 'secret_key', 'private_key', 'password', 'token'];
-        const mediumRisk = ['url', 'connection_string', 'config'];
+    // `leakLock` settings that a repository's .leaklock.json is merged with, see project-config.js
+    _getProjectSettings() {
+        const config = vscode.workspace.getConfiguration('leakLock');
+        return {
+            dependencyHandling: config.get('dependencyHandling') || 'warning',
+            exclude: config.get('exclude') || [],
+            severityOverrides: config.get('severityOverrides') || {},
+            dependencyPaths: config.get('dependencyPaths') || []
+        };
+    }
 
-        const lower = ruleName.toLowerCase();
-        if (highRisk.some(risk => lower.includes(risk))) return 'high';
-        if (mediumRisk.some(risk => lower.includes(risk))) return 'medium';
-        return 'low';
+    // Effective configuration of a repository: its current .leaklock.json merged with the settings
+    _getProjectConfig(repoDir) {
+        return projectConfig.resolveProjectConfig(this._getProjectSettings(), projectConfig.loadProjectConfig(repoDir).config);
     }
 
-    _createResult(filePath, line, secret, description, ruleName, match = null) {
-        const relativeFile = this._getRelativeFilePath(filePath);
-        const isInDependency = this._isInDependencyDirectory(relativeFile);
+    // Combined rewrite policy of the repositories a cleanup touches: whether rewrites are allowed, the
+    // replacement tools every repository accepts and whether force pushing may be offered
+    _getRewritePolicy(repoDirs) {
+        const policies = repoDirs.map(repoDir => this._getProjectConfig(repoDir).rewrite);
+        return {
+            allowed: policies.every(policy => policy.allowed),
+            tools: ['bfg', 'git'].filter(tool => policies.every(policy => policy.tool === 'any' || policy.tool === tool)),
+            forcePush: policies.every(policy => policy.forcePush !== 'never')
+        };
+    }
 
-        // Check if this result comes from git history by examining provenance
-        let isGitHistory = false;
-        if (match && match.provenance && Array.isArray(match.provenance)) {
-            isGitHistory = match.provenance.some(prov => prov.kind === 'git_repo');
+    // Rewrite policy for a cleanup with `tool` ('bfg' | 'git', or null for file removal); shows an error
+    // and returns null when .leaklock.json does not allow it
+    _checkRewritePolicy(repoDirs, tool = null) {
+        const policy = this._getRewritePolicy(repoDirs);
+        const file = projectConfig.PROJECT_CONFIG_FILE;
+        if (!policy.allowed) {
+            vscode.window.showErrorMessage(`History rewrites are disabled by ${file} (rewrite.allowed).`);
+            return null;
+        }
+        if (tool && !policy.tools.includes(tool)) {
+            const allowedTools = policy.tools.map(candidate => (candidate === 'bfg' ? 'BFG' : 'git filter-repo')).join(' or ');
+            vscode.window.showErrorMessage(allowedTools
+                ? `${file} requires ${allowedTools} for secret replacement (rewrite.tool).`
+                : `The selected repositories require different cleanup tools in ${file} (rewrite.tool). Clean them up one at a time.`);
+            return null;
         }
-        // Also check legacy path-based detection
-        isGitHistory = isGitHistory || filePath.startsWith('git-ref:') || filePath.startsWith('git-object') || filePath === 'git-history-reference';
+        return policy;
+    }
+
+    // Completion message of a history rewrite; offers a force push unless .leaklock.json leaves pushing to the user
+    _showRewriteComplete(message, policy, ...options) {
+        const items = [...(policy.forcePush ? ['Force Push Now'] : []), ...options];
+        const question = policy.forcePush
+            ? 'Do you want to force push to update remote repositories now?'
+            : 'Force push the rewritten history when you are ready.';
+        return vscode.window.showInformationMessage(`${message} ${question}`, ...items, ...(items.length > 0 ? ['Skip'] : []));
+    }
 
-        // Get dependency handling configuration
+    // Scanner configured from the `leakLock` settings; result paths are shown relative to `displayRoot`
+    _createScanner(displayRoot) {
         const config = vscode.workspace.getConfiguration('leakLock');
-        const dependencyHandling = config.get('dependencyHandling') || 'warning';
+        const settings = this._getProjectSettings();
+        return new SecretScanner({
+            scanEngine: config.get('scanEngine') || 'auto',
+            dependencyHandling: settings.dependencyHandling,
+            exclude: settings.exclude,
+            severityOverrides: settings.severityOverrides,
+            dependencyPaths: settings.dependencyPaths,
+            skipGitIgnored: config.get('gitIgnored.skip') === true,
+            reportIgnoredCredentials: config.get('gitIgnored.reportCredentialFiles') === true,
+            image: config.get('noseyParker.image'),
+            displayRoot,
+            workspaceRoot: vscode.workspace.getWorkspaceFolder(vscode.Uri.file(displayRoot))?.uri.fsPath || null,
+            scanTimeout: Math.max(0, config.get('scanTimeoutMinutes') ?? 5) * 60 * 1000
+        });
+    }
 
-        // Enhanced description for git history results
-        let enhancedDescription = description;
-        if (isGitHistory) {
-            enhancedDescription = `${description} (found in git history)`;
+    // Run a scan with a cancellable notification that mirrors the panel's progress; the panel's
+    // "Cancel scan" button and the notification both cancel it
+    async _runCancellableScan(title, scanner, runScan) {
+        this._activeScanner = scanner;
+        try {
+            return await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title,
+                cancellable: true
+            }, (progress, token) => {
+                token.onCancellationRequested(() => this.cancelScan());
+                return runScan((update) => {
+                    if (scanner.cancelled) {
+                        return;
+                    }
+                    this._scanProgress = update;
+                    progress.report({ message: update.message });
+                    this._updateWebviewContent();
+                });
+            });
+        } finally {
+            this._activeScanner = null;
         }
+    }
 
-        // Determine severity based on configuration
-        let severity = this._getSeverity(ruleName);
-        if (isInDependency && dependencyHandling === 'warning') {
-            severity = 'warning';
+    // Public: cancel the running scan, stopping the Nosey Parker container
+    cancelScan() {
+        if (this._scanMode === 'batch' && this._isScanning && this._batchScan) {
+            // Running repositories are stopped, pending ones are not started
+            if (!this._batchScan.cancelled) {
+                this._batchScan.cancelled = true;
+                this._batchScanners.forEach(scanner => scanner.cancel());
+                this._updateWebviewContent();
+            }
+            return;
+        }
+        if (!this._activeScanner || this._activeScanner.cancelled) {
+            return;
         }
+        this._activeScanner.cancel();
+        this._scanProgress = { ...this._scanProgress, message: 'Cancelling scan...' };
+        this._updateWebviewContent();
+    }
 
-        const isUntracked = this._isUntrackedWorkingTreeFile(filePath, relativeFile, isGitHistory);
-        if (isUntracked) {
-            enhancedDescription = `${description} (not committed)`;
-            severity = 'safe';
+    // Add a .leaklockignore entry for a result ('finding' → fingerprint, 'file' → path, 'secret' → secret hash)
+    // and refresh the view. Secrets are suppressed in every folder they were found in.
+    async _ignoreResult(index, kind) {
+        const result = this._scanResults[index];
+        if (!result || !this._getResultFolder(result)) {
+            return;
+        }
+        // Secret hashes are salted per repository: match across folders by `secretGroup` and write each
+        // folder's own hash
+        const secretHashes = new Map([[this._getResultFolder(result), result.secretHash]]);
+        if (kind === 'secret') {
+            this._scanResults
+                .filter(candidate => candidate.secretGroup === result.secretGroup)
+                .forEach(candidate => {
+                    const folder = this._getResultFolder(candidate);
+                    if (folder && !secretHashes.has(folder)) {
+                        secretHashes.set(folder, candidate.secretHash);
+                    }
+                });
+        }
+        try {
+            let filePath = null;
+            for (const [folder, secretHash] of secretHashes) {
+                const repoRoot = folder.repoRoot || folder.path;
+                filePath = kind === 'file'
+                    ? suppressions.addSuppression(repoRoot, 'path', result.path, `Ignored file (${new Date().toISOString().slice(0, 10)})`)
+                    : kind === 'secret'
+                        ? suppressions.addSuppression(repoRoot, 'secret', secretHash, `${result.rule || 'Secret'} found at several locations`)
+                        : suppressions.addSuppression(repoRoot, 'fingerprint', result.fingerprint, `${result.rule || 'Finding'} in ${result.path}`);
+                this._applySuppressions(this._scanResults.filter(candidate => this._getResultFolder(candidate) === folder), repoRoot);
+            }
+            this._updateWebviewContent();
+            vscode.window.showInformationMessage(`Added to ${path.basename(filePath)}. Commit it to share the suppression with your team.`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to update ${suppressions.SUPPRESSION_FILE_NAME}: ${error.message}`);
         }
+    }
 
-        const result = {
-            file: relativeFile,
-            line: line,
-            secret: this._truncateSecret(secret),
-            description: enhancedDescription,
-            severity: severity,
-            isDependency: isInDependency,
-            originalSeverity: this._getSeverity(ruleName),
-            isGitHistory: isGitHistory,
-            isUntracked: isUntracked
-        };
+    // Public: write the current results as a SARIF 2.1.0 log chosen via a save dialog
+    exportSarif() {
+        return this.exportResults('sarif');
+    }
 
-        return result;
-    }
-
-    _isInDependencyDirectory(filePath) {
-        // Common dependency and build artifact directories to flag as warnings
-        const dependencyPatterns = [
-            'node_modules/', 'npm-cache/', '.npm/',
-            'venv/', 'env/', '.venv/', '__pycache__/', '.tox/', 'site-packages/',
-            'dist/', 'build/', '*.egg-info/',
-            'target/', '.m2/', 'lib/', 'libs/',
-            'vendor/', '.bundle/', 'gems/',
-            'vendor/', 'composer/',
-            'vendor/', 'go.sum',
-            'target/', 'Cargo.lock',
-            'packages/', 'bin/', 'obj/', 'nuget/',
-            '.git/', '.svn/', '.hg/',
-            'dist/', 'build/', 'out/', 'tmp/', 'temp/',
-            'cache/', '.cache/', 'logs/', '.logs/',
-            '.vscode/', '.idea/', '.eclipse/', '.settings/'
-        ];
-
-        return dependencyPatterns.some(pattern => {
-            if (pattern.endsWith('/')) {
-                return filePath.includes(pattern);
-            }
-            return filePath.includes('/' + pattern) || filePath.endsWith(pattern);
-        });
+    // Results currently shown in the table (suppressed ones only when revealed), with its filters, search and sort
+    _getVisibleResults() {
+        return applyResultsView(this._scanResults.filter(result => this._showSuppressed || !result.suppressed), this._resultsView);
     }
 
-    async _cleanupTempFiles(datastorePath) {
+    // Public: export results as 'sarif' | 'csv' | 'json' | 'markdown' to a file chosen via a save dialog.
+    // SARIF contains every result (suppressed ones marked as such); the other formats follow the table's filters.
+    async exportResults(format) {
+        const isSarif = format === 'sarif';
+        const formatInfo = isSarif ? { extension: 'sarif', label: 'SARIF' } : REPORT_FORMATS[format];
+        if (!formatInfo) {
+            vscode.window.showErrorMessage(`Unsupported export format: ${format}`);
+            return;
+        }
+        const results = isSarif ? this._scanResults : this._getVisibleResults();
+        if (!results || results.length === 0) {
+            vscode.window.showWarningMessage('No scan results to export. Run a scan first.');
+            return;
+        }
+        const config = vscode.workspace.getConfiguration('leakLock');
+        const secrets = config.get('export.secrets', 'redact');
+        // Results of several folders have no common repository root
+        const repoRoot = this._scanFolders.length === 1 ? this._scanFolders[0].repoRoot || this._scanFolders[0].path : null;
+        const defaultDir = repoRoot || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || require('os').homedir();
+
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(defaultDir, `leak-lock-results.${formatInfo.extension}`)),
+            filters: { [formatInfo.label]: [formatInfo.extension] },
+            saveLabel: `Export ${formatInfo.label}`
+        });
+        if (!target) {
+            return;
+        }
         try {
-            // Validate the datastore path before any operations
-            const validatedDatastorePath = validateDockerPath(datastorePath);
-
-            if (fs.existsSync(validatedDatastorePath)) {
-                // Try multiple approaches to remove files
-                try {
-                    fs.rmSync(validatedDatastorePath, { recursive: true, force: true });
-                } catch (fsError) {
-                    console.warn('fs.rmSync failed, trying Docker cleanup:', fsError.message);
-
-                    // Use Docker to clean up files that might have been created with root permissions
-                    // But avoid using --user root for security
-                    const parentDir = validateDockerPath(path.dirname(validatedDatastorePath));
-                    const datastoreName = sanitizeDockerVolumeName(path.basename(validatedDatastorePath));
-
-                    const cleanupArgs = [
-                        'run', '--rm',
-                        '-v', `${parentDir}:/workspace`,
-                        'alpine:latest',
-                        'rm', '-rf', `/workspace/${datastoreName}`
-                    ];
-                    await runDockerCommand(cleanupArgs);
-                }
+            const options = { toolVersion: require('./package.json').version, repoRoot, secrets, secretValues: this._secretValues };
+            const content = isSarif
+                ? JSON.stringify(buildSarifLog(results, options), null, 2)
+                : buildReport(format, results, options);
+            fs.writeFileSync(target.fsPath, content);
+            const secretsNote = { include: 'secrets included', mask: 'secrets masked' }[secrets] || 'secrets redacted';
+            const action = await vscode.window.showInformationMessage(
+                `Exported ${results.length} results to ${path.basename(target.fsPath)} (${secretsNote}).`,
+                'Open'
+            );
+            if (action === 'Open') {
+                vscode.window.showTextDocument(target);
             }
         } catch (error) {
-            console.warn('All cleanup attempts failed:', error.message);
-            // Instead of using --user root (security risk), just log the failure
-            // Files will be cleaned up when the container terminates or by the OS
-            console.warn(`Unable to cleanup ${datastorePath}. Files may remain until container cleanup.`);
+            vscode.window.showErrorMessage(`${formatInfo.label} export failed: ${error.message}`);
         }
     }
 
+    _toggleSuppressed() {
+        this._showSuppressed = !this._showSuppressed;
+        this._updateWebviewContent();
+    }
+
+    _toggleGroupBySecret() {
+        this._groupBySecret = !this._groupBySecret;
+        this._updateWebviewContent();
+    }
+
     _buildScanBfgReplaceCommand(scanPath, replacementsFile) {
         const bfgPath = path.join(this._extensionUri.fsPath, 'bfg.jar');
         return `cd \"${this._shellEscapeDoubleQuotes(scanPath)}\" && java -jar \"${this._shellEscapeDoubleQuotes(bfgPath)}\" --replace-text \"${this._shellEscapeDoubleQuotes(replacementsFile)}\" && git reflog expire --expire=now --all && git gc --prune=now --aggressive && git push --force --all && git push --force --tags`;
@@ -2786,33 +4067,51 @@ class LeakLockPanel {
         return `cd \"${this._shellEscapeDoubleQuotes(scanPath)}\" && git filter-repo --replace-text \"${this._shellEscapeDoubleQuotes(replacementsFile)}\" --force && git reflog expire --expire=now --all && git gc --prune=now --aggressive && git push --force --all && git push --force --tags`;
     }
 
-    _prepareScanReplacementCommand(mode, replacements) {
-        if (!replacements || Object.keys(replacements).length === 0) {
+    _prepareScanReplacementCommand(mode, groups) {
+        if (this._countReplacements(groups) === 0) {
             vscode.window.showWarningMessage('No secrets selected for removal.');
             return;
         }
-        const scanPath = this._scanPath || this._selectedDirectory || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        if (!scanPath) {
-            vscode.window.showErrorMessage('No directory selected or workspace available.');
+        const policy = this._checkRewritePolicy(groups.map(group => group.repoRoot || group.path), mode);
+        if (!policy) {
             return;
         }
-        const replacementsFile = path.join(scanPath, 'leak-lock-replacements.txt');
         this._scanCleanup.preparing = true;
         this._updateWebviewContent();
         try {
-            const command = mode === 'git'
-                ? this._buildScanGitReplaceCommand(scanPath, replacementsFile)
-                : this._buildScanBfgReplaceCommand(scanPath, replacementsFile);
-            this._scanCleanup.preparedCommand = command;
+            this._clearPreparedCleanup();
+            // One command per repository; results of several folders are cleaned up in each of them
+            const commands = [];
+            const replacementsFiles = [];
+            for (const group of groups) {
+                const repoDir = group.repoRoot || group.path;
+                // The command can be run by hand, so it refers to a real file (private, removed with the prepared command)
+                const replacementsFile = writeReplaceTextFile(group.replacements);
+                const command = mode === 'git'
+                    ? this._buildScanGitReplaceCommand(repoDir, replacementsFile)
+                    : this._buildScanBfgReplaceCommand(repoDir, replacementsFile);
+                commands.push(policy.forcePush ? command : this._stripForcePush(command));
+                replacementsFiles.push(replacementsFile);
+            }
+            this._scanCleanup.preparedCommand = commands.join('\n');
             this._scanCleanup.preparedMode = mode;
-            this._scanCleanup.replacements = replacements;
-            this._scanCleanup.replacementsFile = replacementsFile;
+            this._scanCleanup.replacements = groups;
+            this._scanCleanup.replacementsFiles = replacementsFiles;
         } finally {
             this._scanCleanup.preparing = false;
             this._updateWebviewContent();
         }
     }
 
+    // Forget the prepared cleanup command and remove its replacements files
+    _clearPreparedCleanup() {
+        (this._scanCleanup.replacementsFiles || []).forEach(removeReplaceTextFile);
+        this._scanCleanup.preparedCommand = null;
+        this._scanCleanup.preparedMode = null;
+        this._scanCleanup.replacements = null;
+        this._scanCleanup.replacementsFiles = null;
+    }
+
     _prepareScanBfgCommand(replacements) {
         this._prepareScanReplacementCommand('bfg', replacements);
     }
@@ -2827,7 +4126,7 @@ class LeakLockPanel {
             return;
         }
         const replacements = this._scanCleanup.replacements;
-        if (!replacements || Object.keys(replacements).length === 0) {
+        if (this._countReplacements(replacements) === 0) {
             vscode.window.showWarningMessage('No secrets selected for removal.');
             return;
         }
@@ -2836,27 +4135,30 @@ class LeakLockPanel {
         } else {
             await this._executeBFGCleanup(replacements);
         }
-        this._scanCleanup.preparedCommand = null;
-        this._scanCleanup.preparedMode = null;
-        this._scanCleanup.replacements = null;
-        this._scanCleanup.replacementsFile = null;
+        this._clearPreparedCleanup();
         this._updateWebviewContent();
     }
 
-    async _executeGitCleanup(replacements) {
-        if (!replacements || Object.keys(replacements).length === 0) {
+    // Warning listing what a history rewrite touches, for the cleanup confirmations
+    _getCleanupWarning(groups) {
+        const repositories = groups.length > 1
+            ? `\n• Rewrite ${groups.length} repositories: ${groups.map(group => group.name).join(', ')}`
+            : '';
+        return `⚠️ WARNING: This will permanently modify your git history!\n\nThis action will:\n• Remove ${this._countReplacements(groups)} secrets from git history${repositories}\n• Run git cleanup operations\n• Cannot be undone easily\n\nMake sure you have a backup!`;
+    }
+
+    async _executeGitCleanup(groups) {
+        if (this._countReplacements(groups) === 0) {
             vscode.window.showWarningMessage('No secrets selected for removal.');
             return;
         }
-
-        const scanPath = this._scanPath || this._selectedDirectory || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        if (!scanPath) {
-            vscode.window.showErrorMessage('No directory selected or workspace available.');
+        const policy = this._checkRewritePolicy(groups.map(group => group.repoRoot || group.path), 'git');
+        if (!policy) {
             return;
         }
 
         const proceed = await vscode.window.showWarningMessage(
-            `⚠️ WARNING: This will permanently modify your git history!\n\nThis action will:\n• Remove ${Object.keys(replacements).length} secrets from git history\n• Run git cleanup operations\n• Cannot be undone easily\n\nMake sure you have a backup!`,
+            this._getCleanupWarning(groups),
             { modal: true },
             'Proceed with Git Cleanup',
             'Cancel'
@@ -2866,83 +4168,78 @@ class LeakLockPanel {
             return;
         }
 
+        const util = require('util');
+        const execFileAsync = util.promisify(execFile);
         try {
             await vscode.window.withProgress({
                 location: vscode.ProgressLocation.Notification,
                 title: "Running git-only cleanup...",
                 cancellable: false
             }, async (progress) => {
-                progress.report({ increment: 10, message: "Preparing replacement file..." });
-                const replacementsFile = path.join(scanPath, 'leak-lock-replacements.txt');
-                const replacementLines = Object.entries(replacements).map(([secret, replacement]) =>
-                    `${secret}==>${replacement}`
-                ).join('\n');
-                fs.writeFileSync(replacementsFile, replacementLines);
-
-                progress.report({ increment: 10, message: "Fetching remotes..." });
-                await this._gitFetchAll(scanPath);
-
-                progress.report({ increment: 40, message: "Running git filter-repo..." });
-                const util = require('util');
-                const execFileAsync = util.promisify(execFile);
-                await execFileAsync('git', ['filter-repo', '--replace-text', replacementsFile, '--force'], { cwd: scanPath });
-
-                progress.report({ increment: 20, message: "Expiring reflog..." });
-                await execFileAsync('git', ['reflog', 'expire', '--expire=now', '--all'], { cwd: scanPath });
-                progress.report({ increment: 20, message: "Running garbage collection..." });
-                await execFileAsync('git', ['gc', '--prune=now', '--aggressive'], { cwd: scanPath });
-
-                try {
-                    fs.unlinkSync(replacementsFile);
-                } catch (cleanupError) {
-                    console.warn('Failed to clean up temporary file:', cleanupError);
+                for (const group of groups) {
+                    const repoDir = group.repoRoot || group.path;
+                    const prefix = groups.length > 1 ? `${group.name}: ` : '';
+                    const share = 1 / groups.length;
+                    progress.report({ increment: 10 * share, message: `${prefix}Preparing replacement file...` });
+                    const replacementsFile = writeReplaceTextFile(group.replacements);
+                    try {
+                        progress.report({ increment: 10 * share, message: `${prefix}Fetching remotes...` });
+                        await this._gitFetchAll(repoDir);
+
+                        progress.report({ increment: 40 * share, message: `${prefix}Running git filter-repo...` });
+                        await execFileAsync('git', ['filter-repo', '--replace-text', replacementsFile, '--force'], { cwd: repoDir });
+
+                        progress.report({ increment: 20 * share, message: `${prefix}Expiring reflog...` });
+                        await execFileAsync('git', ['reflog', 'expire', '--expire=now', '--all'], { cwd: repoDir });
+                        progress.report({ increment: 20 * share, message: `${prefix}Running garbage collection...` });
+                        await execFileAsync('git', ['gc', '--prune=now', '--aggressive'], { cwd: repoDir });
+                    } finally {
+                        removeReplaceTextFile(replacementsFile);
+                    }
+                    // History was rewritten, so findings recorded for the old commits are stale
+                    this._invalidateScanStore(group.path);
                 }
             });
 
-            const result = await vscode.window.showInformationMessage(
-                '✅ Git-only cleanup completed. Your git history has been cleaned. Do you want to force push to update remote repositories now?',
-                'Force Push Now',
-                'Skip'
-            );
+            const result = await this._showRewriteComplete('✅ Git-only cleanup completed. Your git history has been cleaned.', policy);
             if (result === 'Force Push Now') {
-                const util = require('util');
-                const execFileAsync = util.promisify(execFile);
-                await execFileAsync('git', ['push', '--force', '--all'], { cwd: scanPath });
-                await execFileAsync('git', ['push', '--force', '--tags'], { cwd: scanPath });
+                for (const group of groups) {
+                    const repoDir = group.repoRoot || group.path;
+                    await execFileAsync('git', ['push', '--force', '--all'], { cwd: repoDir });
+                    await execFileAsync('git', ['push', '--force', '--tags'], { cwd: repoDir });
+                }
             }
         } catch (error) {
             vscode.window.showErrorMessage(`Git-only cleanup failed: ${error.message}`);
         }
     }
 
-    async _fixSecrets(replacements) {
-        if (!replacements || Object.keys(replacements).length === 0) {
+    async _fixSecrets(groups) {
+        if (this._countReplacements(groups) === 0) {
             vscode.window.showWarningMessage('No secrets selected for fixing.');
             return;
         }
+        if (!this._checkRewritePolicy(groups.map(group => group.repoRoot || group.path), 'bfg')) {
+            return;
+        }
 
+        const replacementsFiles = [];
         try {
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
-                vscode.window.showErrorMessage('No workspace folder found.');
-                return;
-            }
-
-            // Create a temporary replacements file for BFG
-            const replacementsFile = path.join(workspaceFolder.uri.fsPath, 'secrets-replacements.txt');
-            const replacementLines = Object.entries(replacements).map(([secret, replacement]) =>
-                `${secret}==>${replacement}`
-            ).join('\n');
-
-            fs.writeFileSync(replacementsFile, replacementLines);
-
-            // Generate BFG command
-            const bfgCommand = `java -jar bfg.jar --replace-text ${replacementsFile}`;
-            const manualCommand = `cd ${workspaceFolder.uri.fsPath} && ${bfgCommand} && git reflog expire --expire=now --all && git gc --prune=now --aggressive`;
+            // Create a temporary replacements file for BFG for each repository
+            const manualCommands = groups.map(group => {
+                const repoDir = group.repoRoot || group.path;
+                const replacementsFile = writeReplaceTextFile(group.replacements);
+                replacementsFiles.push(replacementsFile);
+
+                // Generate BFG command
+                const bfgCommand = `java -jar bfg.jar --replace-text ${replacementsFile}`;
+                const manualCommand = `cd ${repoDir} && ${bfgCommand} && git reflog expire --expire=now --all && git gc --prune=now --aggressive`;
+                return groups.length > 1 ? `# ${group.name}\n${manualCommand}` : manualCommand;
+            });
 
             // Show the manual command to the user
             const action = await vscode.window.showInformationMessage(
-                `Ready to fix ${Object.keys(replacements).length} secrets. This will modify your git history.`,
+                `Ready to fix ${this._countReplacements(groups)} secrets. This will modify your git history.`,
                 { modal: true },
                 'Show Manual Command',
                 'Cancel'
@@ -2953,42 +4250,36 @@ class LeakLockPanel {
 
                 // Create a document with the command
                 const document = await vscode.workspace.openTextDocument({
-                    content: `# Leak Lock - Manual Secret Fix Command\n\n${manualCommand}\n\n# Warning: This will rewrite git history!\n# Make sure to backup your repository first.\n# After running, you may need to force push with: git push --force-with-lease`,
+                    content: `# Leak Lock - Manual Secret Fix Command\n\n${manualCommands.join('\n\n')}\n\n# Warning: This will rewrite git history!\n# Make sure to backup your repository first.\n# After running, you may need to force push with: git push --force-with-lease`,
                     language: 'bash'
                 });
 
                 vscode.window.showTextDocument(document);
             }
 
-            // Clean up the temporary file
-            try {
-                fs.unlinkSync(replacementsFile);
-            } catch (cleanupError) {
-                console.warn('Failed to clean up temporary file:', cleanupError);
-            }
-
         } catch (error) {
             console.error('Fix secrets error:', error);
             vscode.window.showErrorMessage(`Failed to generate fix command: ${error.message}`);
+        } finally {
+            // Clean up the temporary files
+            replacementsFiles.forEach(removeReplaceTextFile);
         }
     }
 
-    async _executeBFGCleanup(replacements) {
-        if (!replacements || Object.keys(replacements).length === 0) {
+    async _executeBFGCleanup(groups) {
+        if (this._countReplacements(groups) === 0) {
             vscode.window.showWarningMessage('No secrets selected for removal.');
             return;
         }
+        const policy = this._checkRewritePolicy(groups.map(group => group.repoRoot || group.path), 'bfg');
+        if (!policy) {
+            return;
+        }
 
         try {
-            const scanPath = this._selectedDirectory || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-            if (!scanPath) {
-                vscode.window.showErrorMessage('No directory selected or workspace available.');
-                return;
-            }
-
             // Show confirmation dialog
             const proceed = await vscode.window.showWarningMessage(
-                `⚠️ WARNING: This will permanently modify your git history!\n\nThis action will:\n• Remove ${Object.keys(replacements).length} secrets from git history\n• Run git cleanup operations\n• Cannot be undone easily\n\nMake sure you have a backup!`,
+                this._getCleanupWarning(groups),
                 { modal: true },
                 'Proceed with BFG Cleanup',
                 'Cancel'
@@ -2998,89 +4289,85 @@ class LeakLockPanel {
                 return;
             }
 
+            const util = require('util');
+            const execAsync = util.promisify(exec);
+
             await vscode.window.withProgress({
                 location: vscode.ProgressLocation.Notification,
                 title: "Running BFG cleanup...",
                 cancellable: false
             }, async (progress) => {
+                for (const group of groups) {
+                    const repoDir = group.repoRoot || group.path;
+                    const prefix = groups.length > 1 ? `${group.name}: ` : '';
+                    const share = 1 / groups.length;
 
-                progress.report({ increment: 10, message: "Preparing replacement file..." });
-
-                // Create a temporary replacements file for BFG
-                const replacementsFile = path.join(scanPath, 'leak-lock-replacements.txt');
-                const replacementLines = Object.entries(replacements).map(([secret, replacement]) =>
-                    `${secret}==>${replacement}`
-                ).join('\n');
+                    progress.report({ increment: 10 * share, message: `${prefix}Preparing replacement file...` });
 
-                fs.writeFileSync(replacementsFile, replacementLines);
+                    // Create a temporary replacements file for BFG
+                    const replacementsFile = writeReplaceTextFile(group.replacements);
+                    try {
+                        progress.report({ increment: 10 * share, message: `${prefix}Fetching remotes...` });
+                        await this._gitFetchAll(repoDir);
 
-                progress.report({ increment: 10, message: "Fetching remotes..." });
-                await this._gitFetchAll(scanPath);
-
-                progress.report({ increment: 10, message: "Running BFG tool..." });
-
-                // Run BFG command
-                const bfgPath = path.join(this._extensionUri.fsPath, 'bfg.jar');
-                const bfgCommand = `cd "${scanPath}" && java -jar "${bfgPath}" --replace-text "${replacementsFile}"`;
-
-                const util = require('util');
-                const execAsync = util.promisify(exec);
+                        progress.report({ increment: 10 * share, message: `${prefix}Running BFG tool...` });
 
-                try {
-                    const bfgResult = await execAsync(bfgCommand);
-                    console.log('BFG result:', bfgResult.stdout);
-                    progress.report({ increment: 40, message: "BFG cleanup completed ✓" });
-                } catch (bfgError) {
-                    console.error('BFG error:', bfgError);
-                    // Continue even if BFG has issues - it might still have worked
-                }
+                        // Run BFG command
+                        const bfgPath = path.join(this._extensionUri.fsPath, 'bfg.jar');
+                        const bfgCommand = `cd "${repoDir}" && java -jar "${bfgPath}" --replace-text "${replacementsFile}"`;
 
-                progress.report({ increment: 15, message: "Expiring reflog..." });
+                        try {
+                            const bfgResult = await execAsync(bfgCommand);
+                            console.log('BFG result:', bfgResult.stdout);
+                            progress.report({ increment: 40 * share, message: `${prefix}BFG cleanup completed ✓` });
+                        } catch (bfgError) {
+                            console.error('BFG error:', bfgError);
+                            // Continue even if BFG has issues - it might still have worked
+                        }
 
-                // Git cleanup commands
-                try {
-                    await execAsync(`cd "${scanPath}" && git reflog expire --expire=now --all`);
-                    progress.report({ increment: 15, message: "Running garbage collection..." });
-
-                    await execAsync(`cd "${scanPath}" && git gc --prune=now --aggressive`);
-                    progress.report({ increment: 0, message: "Git cleanup completed ✓" });
-                } catch (gitError) {
-                    console.error('Git cleanup error:', gitError);
-                    vscode.window.showWarningMessage('BFG completed but git cleanup had issues. You may need to run git cleanup manually.');
-                }
+                        progress.report({ increment: 15 * share, message: `${prefix}Expiring reflog...` });
 
-                // Clean up the temporary file
-                try {
-                    fs.unlinkSync(replacementsFile);
-                } catch (cleanupError) {
-                    console.warn('Failed to clean up temporary file:', cleanupError);
+                        // Git cleanup commands
+                        try {
+                            await execAsync(`cd "${repoDir}" && git reflog expire --expire=now --all`);
+                            progress.report({ increment: 15 * share, message: `${prefix}Running garbage collection...` });
+
+                            await execAsync(`cd "${repoDir}" && git gc --prune=now --aggressive`);
+                            progress.report({ increment: 0, message: `${prefix}Git cleanup completed ✓` });
+                        } catch (gitError) {
+                            console.error('Git cleanup error:', gitError);
+                            vscode.window.showWarningMessage(`${prefix}BFG completed but git cleanup had issues. You may need to run git cleanup manually.`);
+                        }
+                    } finally {
+                        removeReplaceTextFile(replacementsFile);
+                    }
+                    // History was rewritten, so findings recorded for the old commits are stale
+                    this._invalidateScanStore(group.path);
                 }
             });
 
             // Show success message with next steps
-            const result = await vscode.window.showInformationMessage(
-                '✅ BFG cleanup completed successfully!\n\nYour git history has been cleaned. Do you want to force push to update remote repositories now?',
-                'Force Push Now',
-                'Show Git Status',
-                'Skip'
+            const result = await this._showRewriteComplete(
+                '✅ BFG cleanup completed successfully!\n\nYour git history has been cleaned.',
+                policy,
+                'Show Git Status'
             );
 
             if (result === 'Force Push Now') {
-                const util = require('util');
-                const execAsync = util.promisify(exec);
-                await execAsync(`cd "${scanPath}" && git push --force --all && git push --force --tags`);
+                for (const group of groups) {
+                    const repoDir = group.repoRoot || group.path;
+                    await execAsync(`cd "${repoDir}" && git push --force --all && git push --force --tags`);
+                }
             } else if (result === 'Show Git Status') {
                 // Open a new terminal and show git status
                 const terminal = vscode.window.createTerminal('Git Status');
-                terminal.sendText(`cd "${scanPath}" && git status`);
+                terminal.sendText(groups.map(group => `cd "${group.repoRoot || group.path}" && git status`).join(' && '));
                 terminal.show();
             }
 
             // Clear scan results since they may no longer be relevant
             this._scanResults = [];
-            if (this._panel) {
-                this._panel.webview.html = this._getHtmlForWebview();
-            }
+            this._updateWebviewContent();
 
         } catch (error) {
             console.error('BFG execution error:', error);
@@ -3093,6 +4380,17 @@ class LeakLockPanel {
         this._panel.onDidDispose(() => {
             this.dispose();
         }, null);
+        // VS Code re-creates a hidden webview from its last document when it is shown again, which misses
+        // region updates sent since
+        let wasVisible = this._panel.visible;
+        this._panel.onDidChangeViewState(({ webviewPanel }) => {
+            if (webviewPanel.visible && !wasVisible) {
+                this._renderWebview();
+            } else if (!webviewPanel.visible) {
+                this._webviewReady = false;
+            }
+            wasVisible = webviewPanel.visible;
+        }, null);
     }
 
     _openSecurityGuide() {
@@ -3111,9 +4409,9 @@ class LeakLockPanel {
 - Use different configs for different environments
 
 ### 3. Pre-commit Hooks
-- Set up git hooks to scan before commits
-- Use tools like \`pre-commit\` with secret scanning
-- Reject commits that contain secrets
+- Run **Leak Lock: Install Pre-commit Hook** to scan staged changes before every commit
+- Commits with secrets are rejected with a report; \`.leaklockignore\` suppressions apply
+- Alternatively use tools like \`pre-commit\` with secret scanning
 
 ### 4. Code Reviews
 - Review all code changes for potential secrets
@@ -3145,6 +4443,7 @@ class LeakLockPanel {
     }
 
     dispose() {
+        this._clearPreparedCleanup();
         if (this._panel) {
             this._panel.dispose();
         }
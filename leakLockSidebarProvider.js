@@ -3,6 +3,19 @@ const vscode = require('vscode');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const preCommitHook = require('./pre-commit-hook');
+const { SCOPE_MODES } = require('./scan-scope');
+const scannerImage = require('./scanner-image');
+
+// HTML escaping for values shown in the webview
+function escapeHtml(unsafe) {
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
 
 class LeakLockSidebarProvider {
     constructor(extensionUri) {
@@ -14,7 +27,11 @@ class LeakLockSidebarProvider {
         this._isInstalling = false;
         this._installProgress = null;
         this._workspaceGitRepo = null;
+        this._workspaceGitRepos = []; // Every workspace folder that is a git repository
+        this._unselectedScanFolders = new Set(); // Workspace folders left out of "Scan workspace folders"
         this._showDependencyDetails = false;
+        this._hookStatus = null; // Pre-commit hook state of the selected directory, see refreshHookStatus()
+        this._scanScope = { mode: 'full', ref: '', include: '', exclude: '' }; // See scan-scope.js
     }
 
     resolveWebviewView(webviewView, context, _token) {
@@ -44,9 +61,39 @@ class LeakLockSidebarProvider {
                         // Notify main panel to start scanning
                         vscode.commands.executeCommand('leak-lock.startScan', {
                             directory: this._selectedDirectory,
-                            dependenciesReady: this._dependenciesInstalled
+                            dependenciesReady: this._isScanEngineReady(),
+                            scope: { ...this._scanScope }
+                        });
+                        break;
+                    case 'batchScan':
+                        vscode.commands.executeCommand('leak-lock.batchScan', {
+                            directory: this._selectedDirectory,
+                            scope: { ...this._scanScope }
+                        });
+                        break;
+                    case 'scanWorkspaceFolders':
+                        vscode.commands.executeCommand('leak-lock.scanWorkspaceFolders', {
+                            folders: this._getSelectedWorkspaceFolders(),
+                            scope: { ...this._scanScope }
                         });
                         break;
+                    case 'toggleScanFolder':
+                        if (message.selected) {
+                            this._unselectedScanFolders.delete(message.path);
+                        } else {
+                            this._unselectedScanFolders.add(message.path);
+                        }
+                        this._updateView();
+                        break;
+                    case 'setScanScope':
+                        // Kept here so the controls survive re-renders of the sidebar
+                        this._scanScope = {
+                            mode: SCOPE_MODES[message.scope?.mode] ? message.scope.mode : 'full',
+                            ref: String(message.scope?.ref || ''),
+                            include: String(message.scope?.include || ''),
+                            exclude: String(message.scope?.exclude || '')
+                        };
+                        break;
                     case 'showDependencyDetails':
                         this._showDependencyDetails = true;
                         this._updateView();
@@ -55,6 +102,14 @@ class LeakLockSidebarProvider {
                         this._showDependencyDetails = false;
                         this._updateView();
                         break;
+                    case 'updateScanner':
+                        vscode.commands.executeCommand('leak-lock.updateScanner');
+                        break;
+                    case 'managePreCommitHook':
+                        vscode.commands.executeCommand('leak-lock.installPreCommitHook', {
+                            directory: this._selectedDirectory
+                        });
+                        break;
                     case 'openRemoveFiles':
                         // Open the main panel in Remove Files mode with current selection
                         vscode.commands.executeCommand('leak-lock.openRemoveFiles', {
@@ -69,7 +124,7 @@ class LeakLockSidebarProvider {
 
         // Check dependencies and git repository on initialization
         this._checkDependencies();
-        this._detectGitRepository();
+        this._detectGitRepository().then(() => this.refreshHookStatus());
     }
 
     _getHtmlForWebview() {
@@ -259,12 +314,32 @@ class LeakLockSidebarProvider {
                     font-size: 11px;
                     margin-top: 5px;
                 }
+                
+                .scope-field {
+                    display: block;
+                    font-size: 11px;
+                    margin-top: 6px;
+                    color: var(--vscode-descriptionForeground);
+                }
+                
+                .scope-field select, .scope-field input {
+                    display: block;
+                    width: 100%;
+                    box-sizing: border-box;
+                    margin-top: 2px;
+                    padding: 3px 4px;
+                    background: var(--vscode-input-background);
+                    color: var(--vscode-input-foreground);
+                    border: 1px solid var(--vscode-input-border, transparent);
+                    border-radius: 2px;
+                }
             </style>
         </head>
         <body>
             ${this._getDependenciesSection()}
             ${this._getDirectorySection()}
             ${this._getScanSection()}
+            ${this._getPreCommitHookSection()}
             ${this._getRemoveFilesSection()}
             
             <script>
@@ -286,10 +361,42 @@ class LeakLockSidebarProvider {
                     vscode.postMessage({ command: 'scanRepository' });
                 }
                 
+                function batchScan() {
+                    vscode.postMessage({ command: 'batchScan' });
+                }
+                
+                function scanWorkspaceFolders() {
+                    vscode.postMessage({ command: 'scanWorkspaceFolders' });
+                }
+                
+                function toggleScanFolder(checkbox) {
+                    vscode.postMessage({ command: 'toggleScanFolder', path: checkbox.getAttribute('data-path'), selected: checkbox.checked });
+                }
+                
+                function setScanScope() {
+                    const mode = document.getElementById('scope-mode').value;
+                    const refField = document.getElementById('scope-ref-field');
+                    refField.style.display = mode === 'branch' || mode === 'range' ? 'block' : 'none';
+                    document.getElementById('scope-ref').placeholder = mode === 'range' ? 'origin/main..HEAD' : 'main';
+                    vscode.postMessage({
+                        command: 'setScanScope',
+                        scope: {
+                            mode,
+                            ref: document.getElementById('scope-ref').value,
+                            include: document.getElementById('scope-include').value,
+                            exclude: document.getElementById('scope-exclude').value
+                        }
+                    });
+                }
+                
                 function showDependencyDetails() {
                     vscode.postMessage({ command: 'showDependencyDetails' });
                 }
                 
+                function updateScanner() {
+                    vscode.postMessage({ command: 'updateScanner' });
+                }
+                
                 function hideDependencyDetails() {
                     vscode.postMessage({ command: 'hideDependencyDetails' });
                 }
@@ -297,6 +404,10 @@ class LeakLockSidebarProvider {
                 function openRemoveFiles() {
                     vscode.postMessage({ command: 'openRemoveFiles' });
                 }
+
+                function managePreCommitHook() {
+                    vscode.postMessage({ command: 'managePreCommitHook' });
+                }
             </script>
         </body>
         </html>`;
@@ -393,9 +504,10 @@ class LeakLockSidebarProvider {
                 </div>
                 ${this._dependencyStatus?.noseyparker?.error ? `
                     <div style="font-size: 10px; color: var(--vscode-inputValidation-errorForeground); margin-left: 20px; margin-bottom: 5px;">
-                        ${this._dependencyStatus.noseyparker.error}
+                        ${escapeHtml(this._dependencyStatus.noseyparker.error)}
                     </div>
                 ` : ''}
+                ${this._getScannerImageDetails()}
                 
                 <div style="margin: 15px 0 10px 0; font-size: 11px; color: var(--vscode-descriptionForeground);">
                     <strong>Optional for BFG cleanup:</strong>
@@ -540,19 +652,35 @@ class LeakLockSidebarProvider {
         `;
     }
 
+    // Docker/Nosey Parker is only required when the scan engine is pinned to 'noseyparker';
+    // otherwise the built-in engine takes over when Docker is missing.
+    _isScanEngineReady() {
+        const scanEngine = vscode.workspace.getConfiguration('leakLock').get('scanEngine') || 'auto';
+        return this._dependenciesInstalled || scanEngine !== 'noseyparker';
+    }
+
     _getScanSection() {
-        const canScan = this._dependenciesInstalled && this._selectedDirectory;
+        const canScan = this._isScanEngineReady() && this._selectedDirectory;
         const buttonText = canScan ? '🔍 Start Scan' : '🔍 Setup Required';
         const isGitRepo = this._workspaceGitRepo && this._selectedDirectory === this._workspaceGitRepo;
         
         let scanInfo = '';
         if (canScan) {
             const directoryName = path.basename(this._selectedDirectory);
+            const engineNote = this._dependenciesInstalled ? '' : '<div style="color: var(--vscode-descriptionForeground); font-size: 11px; margin-top: 5px;">🧩 Docker not ready: the built-in rule engine will be used</div>';
             if (isGitRepo) {
                 scanInfo = `<div style="color: var(--vscode-descriptionForeground); font-size: 11px; margin-top: 5px;">📦 Will scan git repository: <strong>${directoryName}</strong></div>`;
             } else {
                 scanInfo = `<div style="color: var(--vscode-descriptionForeground); font-size: 11px; margin-top: 5px;">📁 Will scan directory: <strong>${directoryName}</strong></div>`;
             }
+            scanInfo += engineNote;
+            scanInfo += this._getScanScopeControls();
+            scanInfo += this._getWorkspaceFoldersControls();
+            scanInfo += `
+                <div style="margin-top: 10px;">
+                    <button class="scan-button" onclick="batchScan()" title="Scan every git repository found in ${escapeHtml(directoryName)}">📚 Batch scan repositories</button>
+                    <div style="color: var(--vscode-descriptionForeground); font-size: 11px; margin-top: 5px;">Finds the git repositories inside the selected directory and scans them all</div>
+                </div>`;
         }
         
         return `
@@ -566,6 +694,113 @@ class LeakLockSidebarProvider {
         `;
     }
 
+    // Workspace folders of a multi-root workspace that "Scan workspace folders" covers
+    _getSelectedWorkspaceFolders() {
+        return (vscode.workspace.workspaceFolders || [])
+            .map(folder => folder.uri.fsPath)
+            .filter(folderPath => !this._unselectedScanFolders.has(folderPath));
+    }
+
+    // Multi-root workspaces: scan several workspace folders at once, results get a folder column
+    _getWorkspaceFoldersControls() {
+        const workspaceFolders = vscode.workspace.workspaceFolders || [];
+        if (workspaceFolders.length < 2) {
+            return '';
+        }
+        const selectedCount = this._getSelectedWorkspaceFolders().length;
+        const folderRows = workspaceFolders.map(folder => {
+            const folderPath = folder.uri.fsPath;
+            const isGitRepo = this._workspaceGitRepos.includes(folderPath);
+            return `
+                <label style="display: block; font-size: 11px; margin: 2px 0;" title="${escapeHtml(folderPath)}">
+                    <input type="checkbox" data-path="${escapeHtml(folderPath)}" onchange="toggleScanFolder(this)" ${this._unselectedScanFolders.has(folderPath) ? '' : 'checked'}>
+                    ${isGitRepo ? '📦' : '📁'} ${escapeHtml(folder.name)}
+                </label>`;
+        }).join('');
+        return `
+            <div style="margin-top: 10px;">
+                <div style="font-size: 11px; color: var(--vscode-descriptionForeground); margin-bottom: 4px;">🗂️ Workspace folders</div>
+                ${folderRows}
+                <button class="scan-button" style="margin-top: 6px;" onclick="scanWorkspaceFolders()" ${selectedCount === 0 ? 'disabled' : ''}>
+                    🗂️ Scan ${selectedCount} folder(s)
+                </button>
+            </div>
+        `;
+    }
+
+    // Scope controls: which part of the repository and which paths the next scan covers
+    _getScanScopeControls() {
+        const scope = this._scanScope;
+        const needsRef = scope.mode === 'branch' || scope.mode === 'range';
+        const modeOptions = Object.entries(SCOPE_MODES)
+            .map(([mode, label]) => `<option value="${mode}" ${scope.mode === mode ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+            .join('');
+        return `
+            <div style="margin-top: 8px;">
+                <label class="scope-field">Scope
+                    <select id="scope-mode" onchange="setScanScope()">${modeOptions}</select>
+                </label>
+                <label class="scope-field" id="scope-ref-field" style="display: ${needsRef ? 'block' : 'none'};">Branch or commit range
+                    <input id="scope-ref" type="text" value="${escapeHtml(scope.ref)}" placeholder="${scope.mode === 'range' ? 'origin/main..HEAD' : 'main'}" onchange="setScanScope()">
+                </label>
+                <label class="scope-field">Include paths (globs, comma separated)
+                    <input id="scope-include" type="text" value="${escapeHtml(scope.include)}" placeholder="src/**" onchange="setScanScope()">
+                </label>
+                <label class="scope-field">Exclude paths (globs, comma separated)
+                    <input id="scope-exclude" type="text" value="${escapeHtml(scope.exclude)}" placeholder="test/**, **/*.md" onchange="setScanScope()">
+                </label>
+            </div>
+        `;
+    }
+
+    _getPreCommitHookSection() {
+        if (!this._selectedDirectory || !this._hookStatus) {
+            return '';
+        }
+        const statusLines = {
+            installed: '<span style="color: var(--vscode-gitDecoration-addedResourceForeground);">✅ Installed: commits with secrets are blocked</span>',
+            outdated: '<span class="warning-text">⚠️ Installed for an older Leak Lock version, reinstall it</span>',
+            missing: '<span style="color: var(--vscode-descriptionForeground);">Not installed</span>',
+            foreign: '<span class="warning-text">⚠️ Another pre-commit hook is installed</span>',
+            unavailable: `<span style="color: var(--vscode-descriptionForeground);">Unavailable: ${escapeHtml(this._hookStatus.error || 'not a git repository')}</span>`
+        };
+        const canManage = ['installed', 'outdated', 'missing'].includes(this._hookStatus.state);
+        return `
+            <div class="section">
+                <h3>🪝 Pre-commit Hook</h3>
+                <div style="font-size: 11px; margin-bottom: 8px;">
+                    ${statusLines[this._hookStatus.state] || ''}
+                </div>
+                ${canManage ? `
+                <button class="install-button" onclick="managePreCommitHook()">
+                    ${this._hookStatus.state === 'missing' ? '🪝 Install Hook' : '🪝 Manage Hook'}
+                </button>` : ''}
+            </div>
+        `;
+    }
+
+    // Public: re-read the pre-commit hook state of the selected directory and refresh the view
+    async refreshHookStatus() {
+        const directory = this._selectedDirectory;
+        if (!directory) {
+            this._hookStatus = null;
+            this._updateView();
+            return;
+        }
+        const cliPath = path.join(this._extensionUri.fsPath, 'bin', 'leak-lock.js');
+        let status;
+        try {
+            status = await preCommitHook.getHookStatus(directory, cliPath);
+        } catch (error) {
+            status = { state: 'unavailable', error: error.message.split('\n')[0] };
+        }
+        // Ignore the result when another directory was selected meanwhile
+        if (directory === this._selectedDirectory) {
+            this._hookStatus = status;
+            this._updateView();
+        }
+    }
+
     _getRemoveFilesSection() {
         return `
             <div class="section">
@@ -580,6 +815,33 @@ class LeakLockSidebarProvider {
         `;
     }
 
+    // Pin state of the Nosey Parker image below its status, with the "Update scanner" action
+    _getScannerImageDetails() {
+        const image = this._dependencyStatus?.noseyparker;
+        if (!this._dependencyStatus?.docker?.installed || !image?.image) {
+            return '';
+        }
+        const pinned = scannerImage.isPinned(image.image);
+        const state = pinned
+            ? `📌 Pinned to ${escapeHtml(scannerImage.shortDigest(scannerImage.parseImageReference(image.image).digest))}`
+            : `⚠️ Not pinned: ${escapeHtml(image.image)}${image.digest ? ` (local ${escapeHtml(scannerImage.shortDigest(image.digest))})` : ''}`;
+        return `
+                <div style="font-size: 10px; color: var(--vscode-descriptionForeground); margin-left: 20px; margin-bottom: 5px;" title="${escapeHtml(image.image)}">
+                    ${state}
+                </div>
+                <button class="install-button" onclick="updateScanner()" ${this._isInstalling ? 'disabled' : ''}
+                        title="Pull the newest Nosey Parker release and pin leakLock.noseyParker.image to its digest"
+                        style="width: auto; padding: 4px 8px; font-size: 11px; margin: 0 0 10px 20px;">
+                    ⬆️ Update scanner
+                </button>
+        `;
+    }
+
+    // Public: re-check the dependencies, e.g. after the scanner image was updated
+    refreshDependencies() {
+        return this._checkDependencies();
+    }
+
     async _checkDependencies() {
         const { exec } = require('child_process');
         const util = require('util');
@@ -587,7 +849,7 @@ class LeakLockSidebarProvider {
         
         this._dependencyStatus = {
             docker: { installed: false, version: null, error: null },
-            noseyparker: { installed: false, error: null },
+            noseyparker: { installed: false, error: null, image: null, digest: null },
             java: { installed: false, version: null, error: null },
             bfg: { installed: false, path: null, error: null }
         };
@@ -609,11 +871,26 @@ class LeakLockSidebarProvider {
             this._dependencyStatus.docker.error = 'Docker not installed or not in PATH';
         }
         
-        // Check Nosey Parker image
+        // Check Nosey Parker image: the configured reference, see scanner-image.js
+        let check = null;
         try {
-            await execAsync('docker images ghcr.io/praetorian-inc/noseyparker:latest --format "table {{.Repository}}"');
-            this._dependencyStatus.noseyparker.installed = true;
+            check = this._dependencyStatus.docker.installed
+                ? await scannerImage.checkScannerImage(vscode.workspace.getConfiguration('leakLock').get('noseyParker.image'))
+                : null;
         } catch (error) {
+            this._dependencyStatus.noseyparker.error = error.message;
+        }
+        if (check) {
+            this._dependencyStatus.noseyparker.image = check.image;
+            this._dependencyStatus.noseyparker.digest = check.digest;
+            if (check.status === 'pinned' || check.status === 'unpinned') {
+                this._dependencyStatus.noseyparker.installed = true;
+            } else {
+                this._dependencyStatus.noseyparker.error = check.status === 'differs'
+                    ? scannerImage.describeScannerCheck(check)
+                    : 'Nosey Parker Docker image not available';
+            }
+        } else if (!this._dependencyStatus.noseyparker.error) {
             this._dependencyStatus.noseyparker.error = 'Nosey Parker Docker image not available';
         }
         
@@ -651,6 +928,7 @@ class LeakLockSidebarProvider {
             }
 
             // Check each workspace folder for git repository
+            this._workspaceGitRepos = [];
             for (const folder of workspaceFolders) {
                 const folderPath = folder.uri.fsPath;
                 const gitPath = path.join(folderPath, '.git');
@@ -661,15 +939,7 @@ class LeakLockSidebarProvider {
                         const stat = fs.statSync(gitPath);
                         if (stat.isDirectory() || stat.isFile()) {
                             // This is a git repository
-                            this._workspaceGitRepo = folderPath;
-                            
-                            // Auto-select if no directory is currently selected
-                            if (!this._selectedDirectory) {
-                                this._selectedDirectory = folderPath;
-                            }
-                            
-                            this._updateView();
-                            return;
+                            this._workspaceGitRepos.push(folderPath);
                         }
                     }
                 } catch (error) {
@@ -677,6 +947,18 @@ class LeakLockSidebarProvider {
                     continue;
                 }
             }
+
+            if (this._workspaceGitRepos.length > 0) {
+                this._workspaceGitRepo = this._workspaceGitRepos[0];
+                
+                // Auto-select if no directory is currently selected
+                if (!this._selectedDirectory) {
+                    this._selectedDirectory = this._workspaceGitRepo;
+                }
+                
+                this._updateView();
+                return;
+            }
             
             // If no git repo found but workspace exists, offer first workspace folder
             if (!this._selectedDirectory && workspaceFolders.length > 0) {
@@ -715,8 +997,8 @@ class LeakLockSidebarProvider {
 
                 progress.report({ increment: 30, message: "Pulling Nosey Parker image..." });
                 
-                // Pull the Nosey Parker Docker image
-                await execAsync('docker pull ghcr.io/praetorian-inc/noseyparker:latest', { timeout: 300000 });
+                // Pull the configured Nosey Parker Docker image
+                await scannerImage.pullImage(scannerImage.getScannerImage(vscode.workspace.getConfiguration('leakLock').get('noseyParker.image')));
                 
                 progress.report({ increment: 30, message: "Downloading BFG tool..." });
                 
@@ -770,6 +1052,7 @@ class LeakLockSidebarProvider {
         if (result && result[0]) {
             this._selectedDirectory = result[0].fsPath;
             this._updateView();
+            this.refreshHookStatus();
             vscode.commands.executeCommand('leak-lock.updateRemoveFilesRepo', {
                 directory: this._selectedDirectory
             });
@@ -787,6 +1070,7 @@ class LeakLockSidebarProvider {
         if (this._workspaceGitRepo) {
             this._selectedDirectory = this._workspaceGitRepo;
             this._updateView();
+            this.refreshHookStatus();
             vscode.commands.executeCommand('leak-lock.updateRemoveFilesRepo', {
                 directory: this._selectedDirectory
             });
@@ -800,11 +1084,25 @@ class LeakLockSidebarProvider {
         }
     }
 
+    // Public: workspace folders were added or removed
+    refreshWorkspaceFolders() {
+        const folderPaths = (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath);
+        this._unselectedScanFolders = new Set([...this._unselectedScanFolders].filter(folderPath => folderPaths.includes(folderPath)));
+        if (this._workspaceGitRepo && !folderPaths.includes(this._workspaceGitRepo)) {
+            this._workspaceGitRepo = null;
+        }
+        this._detectGitRepository().then(() => this._updateView());
+    }
+
     // Public getters for main panel integration
     get selectedDirectory() {
         return this._selectedDirectory;
     }
 
+    get scanScope() {
+        return { ...this._scanScope };
+    }
+
     get dependenciesInstalled() {
         return this._dependenciesInstalled;
     }
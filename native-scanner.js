@@ -0,0 +1,591 @@
+// Built-in JavaScript secret scanner.
+// Used when Docker / Nosey Parker is unavailable (or explicitly selected via `leakLock.scanEngine`).
+// Findings are emitted in the same shape as `noseyparker report --format json` so that they flow through
+// the exact same parsing and classification code as Docker-based scans.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn, execFile } = require('child_process');
+
+const MAX_FILE_SIZE = 1024 * 1024; // Skip files larger than 1 MiB
+const BINARY_SNIFF_LENGTH = 8000; // Bytes inspected for NUL characters to detect binary files
+const SKIPPED_DIRECTORIES = ['.git', '.noseyparker-temp', '.svn', '.hg'];
+
+// Bundled detection rules. Order matters: specific rules come first, and a later rule never reports a
+// span that overlaps a match already reported by an earlier rule.
+// `minEntropy` (bits per character) filters low-randomness values for the generic rules.
+const RULES = [
+    {
+        id: 'leaklock.aws.1',
+        name: 'AWS API Key',
+        pattern: /\b((?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16})\b/g
+    },
+    {
+        id: 'leaklock.aws.2',
+        name: 'AWS Secret Access Key',
+        pattern: /(?:aws)?_?secret_?(?:access)?_?key["']?\s*[:=]\s*["']([A-Za-z0-9/+=]{40})["']/gi
+    },
+    {
+        id: 'leaklock.github.1',
+        name: 'GitHub Personal Access Token',
+        pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255})\b/g
+    },
+    {
+        id: 'leaklock.github.2',
+        name: 'GitHub Fine-Grained Personal Access Token',
+        pattern: /\b(github_pat_[A-Za-z0-9_]{82})\b/g
+    },
+    {
+        id: 'leaklock.gitlab.1',
+        name: 'GitLab Personal Access Token',
+        pattern: /\b(glpat-[A-Za-z0-9_-]{20})\b/g
+    },
+    {
+        id: 'leaklock.slack.1',
+        name: 'Slack Token',
+        pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/g
+    },
+    {
+        id: 'leaklock.slack.2',
+        name: 'Slack Webhook',
+        pattern: /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+)/g
+    },
+    {
+        id: 'leaklock.stripe.1',
+        name: 'Stripe API Key',
+        pattern: /\b((?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,})\b/g
+    },
+    {
+        id: 'leaklock.google.1',
+        name: 'Google API Key',
+        pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/g
+    },
+    {
+        id: 'leaklock.npm.1',
+        name: 'npm Access Token',
+        pattern: /\b(npm_[A-Za-z0-9]{36})\b/g
+    },
+    {
+        id: 'leaklock.sendgrid.1',
+        name: 'SendGrid API Key',
+        pattern: /\b(SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})\b/g
+    },
+    {
+        id: 'leaklock.twilio.1',
+        name: 'Twilio API Key',
+        pattern: /\b(SK[0-9a-fA-F]{32})\b/g
+    },
+    {
+        id: 'leaklock.jwt.1',
+        name: 'JSON Web Token',
+        pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+    },
+    {
+        id: 'leaklock.pem.1',
+        name: 'PEM-Encoded Private Key',
+        pattern: /(-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----)/g
+    },
+    {
+        id: 'leaklock.connection.1',
+        name: 'Connection String with Credentials',
+        pattern: /\b((?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|mariadb|redis|rediss|amqps?|mssql|sqlserver):\/\/[^\s:@/'"]+:[^\s@/'"]+@[^\s'"`]+)/g
+    },
+    {
+        id: 'leaklock.generic.1',
+        name: 'Generic Password',
+        pattern: /(?:password|passwd|pwd)["']?\s*[:=]\s*["']([^"'\s]{6,})["']/gi,
+        minEntropy: 2.0
+    },
+    {
+        id: 'leaklock.generic.2',
+        name: 'Generic Secret',
+        pattern: /(?:api_?key|secret|token|access_?key)[A-Za-z0-9_-]*["']?\s*[:=]\s*["']([A-Za-z0-9_\-/+=.]{16,})["']/gi,
+        minEntropy: 3.5
+    }
+];
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ * @param {string} value
+ * @returns {number}
+ */
+function shannonEntropy(value) {
+    if (!value) {
+        return 0;
+    }
+    const counts = new Map();
+    for (const ch of value) {
+        counts.set(ch, (counts.get(ch) || 0) + 1);
+    }
+    let entropy = 0;
+    const length = [...value].length;
+    for (const count of counts.values()) {
+        const p = count / length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Build a lookup of line start offsets so offsets can be converted to line/column pairs.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function getLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) {
+            starts.push(i + 1);
+        }
+    }
+    return starts;
+}
+
+/**
+ * Convert a character offset to a 1-based line and column.
+ */
+function offsetToPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+/**
+ * Scan a block of text with the bundled rules.
+ * @param {string} text - Text to scan
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Rules to apply (defaults to the bundled rule set)
+ * @returns {Array<{rule: Object, secret: string, line: number, column: number, endLine: number, endColumn: number}>}
+ *   Positions are 1-based; the end column is inclusive, matching Nosey Parker's source spans.
+ */
+function scanText(text, options = {}) {
+    const rules = options.rules || RULES;
+    const findings = [];
+    const claimed = [];
+    let lineStarts = null;
+
+    for (const rule of rules) {
+        // Recompile with the `d` flag so capture group offsets are available
+        const flags = rule.pattern.flags.includes('d') ? rule.pattern.flags : rule.pattern.flags + 'd';
+        const regex = new RegExp(rule.pattern.source, flags.includes('g') ? flags : flags + 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            const groupIndex = match[1] !== undefined ? 1 : 0;
+            const secret = match[groupIndex];
+            const [start, end] = match.indices[groupIndex];
+
+            if (rule.minEntropy && shannonEntropy(secret) < rule.minEntropy) {
+                continue;
+            }
+            if (claimed.some(([s, e]) => start < e && end > s)) {
+                continue;
+            }
+            claimed.push([start, end]);
+
+            lineStarts = lineStarts || getLineStarts(text);
+            const startPos = offsetToPosition(lineStarts, start);
+            const endPos = offsetToPosition(lineStarts, end - 1);
+            findings.push({
+                rule,
+                secret,
+                line: startPos.line,
+                column: startPos.column,
+                endLine: endPos.line,
+                endColumn: endPos.column
+            });
+        }
+    }
+
+    return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Check whether a buffer looks like binary content.
+ * @param {Buffer} buffer
+ */
+function isBinary(buffer) {
+    const length = Math.min(buffer.length, BINARY_SNIFF_LENGTH);
+    for (let i = 0; i < length; i++) {
+        if (buffer[i] === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Recursively list scannable files below a directory.
+ * @param {string} rootPath
+ * @param {function(string, boolean): boolean} [isIgnored] - Skips paths (relative to `rootPath`, with `/`
+ *   separators) for which it returns true; ignored directories are not descended into
+ * @returns {string[]} Absolute file paths
+ */
+function listFiles(rootPath, isIgnored = () => false) {
+    const files = [];
+    const pending = [rootPath];
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            console.warn(`Skipping unreadable directory ${dir}: ${error.message}`);
+            continue;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/');
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRECTORIES.includes(entry.name) && !isIgnored(relativePath, true)) {
+                    pending.push(fullPath);
+                }
+            } else if (entry.isFile() && !isIgnored(relativePath, false)) {
+                files.push(fullPath);
+            }
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Group raw matches by rule into Nosey Parker report findings.
+ * @param {Array<{rule: Object, match: Object}>} entries
+ */
+function toReportFindings(entries) {
+    const byRule = new Map();
+    for (const { rule, match } of entries) {
+        if (!byRule.has(rule.id)) {
+            byRule.set(rule.id, {
+                rule_name: rule.name,
+                rule_text_id: rule.id,
+                num_matches: 0,
+                matches: []
+            });
+        }
+        const finding = byRule.get(rule.id);
+        finding.matches.push(match);
+        finding.num_matches++;
+    }
+    return Array.from(byRule.values());
+}
+
+/**
+ * Build a Nosey Parker style match object.
+ */
+function createMatch(finding, provenance) {
+    return {
+        provenance: [provenance],
+        location: {
+            source_span: {
+                start: { line: finding.line, column: finding.column },
+                end: { line: finding.endLine, column: finding.endColumn }
+            }
+        },
+        snippet: { matching: finding.secret }
+    };
+}
+
+/**
+ * Scan the working tree files below a directory.
+ * @param {string} rootPath
+ * @param {Object} [options]
+ * @param {function(string, boolean): boolean} [options.isIgnored] - Paths not to read, see listFiles()
+ * @returns {Array<{rule: Object, match: Object}>}
+ */
+function scanWorkingTree(rootPath, options = {}) {
+    const entries = [];
+    for (const filePath of listFiles(rootPath, options.isIgnored)) {
+        let buffer;
+        try {
+            const stat = fs.statSync(filePath);
+            if (stat.size > (options.maxFileSize || MAX_FILE_SIZE)) {
+                continue;
+            }
+            buffer = fs.readFileSync(filePath);
+        } catch (error) {
+            console.warn(`Skipping unreadable file ${filePath}: ${error.message}`);
+            continue;
+        }
+        if (isBinary(buffer)) {
+            continue;
+        }
+        // Paths are reported relative to the scan root, like Nosey Parker's paths below its /scan mount
+        const relativePath = path.relative(rootPath, filePath).split(path.sep).join('/');
+        for (const finding of scanText(buffer.toString('utf8'), options)) {
+            entries.push({
+                rule: finding.rule,
+                match: createMatch(finding, { kind: 'file', path: relativePath })
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Scan lines added by each commit reachable from any ref (or from `options.revisions`).
+ * Only added lines are inspected, so every secret is reported once, at the commit that introduced it. Merge
+ * commits are read as combined diffs (`--cc`): lines added relative to every parent, e.g. in a conflict
+ * resolution, belong to the merge; lines taken from one of its parents were reported at their own commit.
+ * @param {string} repoPath - Repository root
+ * @param {Object} [options]
+ * @param {string[]} [options.revisions] - Revisions passed to `git log` (default: `--all`)
+ * @param {string[]} [options.excludeRevisions] - Commits whose history is skipped (passed after `--not`)
+ * @returns {Promise<Array<{rule: Object, match: Object}>>}
+ */
+function scanGitHistory(repoPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const revisions = options.revisions && options.revisions.length > 0 ? options.revisions : ['--all'];
+        const excluded = options.excludeRevisions && options.excludeRevisions.length > 0
+            ? ['--not', ...options.excludeRevisions]
+            : [];
+        const git = spawn('git', [
+            '-C', repoPath,
+            // --root: root commits (and shallow roots of scoped scans) add their whole tree
+            'log', '-p', '--cc', '--root', '--no-color', '--unified=0', '--no-renames', '--no-ext-diff',
+            '--format=%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s',
+            ...revisions,
+            ...excluded,
+            '--'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        const entries = [];
+        let stderr = '';
+        let commit = null;
+        let filePath = null;
+        let inHunk = false;
+        let hunkParents = 1; // Prefix columns of hunk lines, one per parent in combined diffs
+        let nextLine = 0; // Line number of the next hunk line in the commit's version of the file
+        let block = null; // { startLine, lines }
+
+        const flushBlock = () => {
+            if (block && block.lines.length > 0 && filePath && commit) {
+                const text = block.lines.join('\n');
+                for (const finding of scanText(text, options)) {
+                    const offset = block.startLine - 1;
+                    entries.push({
+                        rule: finding.rule,
+                        match: createMatch({
+                            ...finding,
+                            line: finding.line + offset,
+                            endLine: finding.endLine + offset
+                        }, {
+                            kind: 'git_repo',
+                            repo_path: path.join(repoPath, '.git'),
+                            first_commit: {
+                                blob_path: filePath,
+                                commit_metadata: commit
+                            }
+                        })
+                    });
+                }
+            }
+            block = null;
+        };
+
+        const lines = readline.createInterface({ input: git.stdout, crlfDelay: Infinity });
+        lines.on('line', (line) => {
+            if (line.startsWith('\x1e')) {
+                flushBlock();
+                const [commitId, authorName, authorEmail, authorDate, subject] = line.slice(1).split('\x1f');
+                commit = {
+                    commit_id: commitId,
+                    author_name: authorName,
+                    author_email: authorEmail,
+                    author_timestamp: authorDate,
+                    message: subject
+                };
+                filePath = null;
+                inHunk = false;
+            } else if (line.startsWith('diff --git ') || line.startsWith('diff --cc ')) {
+                flushBlock();
+                filePath = null;
+                inHunk = false;
+            } else if (!inHunk && line.startsWith('+++ ')) {
+                const target = line.slice(4);
+                filePath = target === '/dev/null' ? null : target.replace(/^b\//, '');
+            } else if (line.startsWith('@@')) {
+                flushBlock();
+                // Combined diff headers have one `@` and one `-` range per parent, e.g. `@@@ -1 -1,2 +1,3 @@@`
+                const hunk = /^@(@+) (?:-\d+(?:,\d+)? )+\+(\d+)(?:,\d+)? @+/.exec(line);
+                inHunk = Boolean(hunk);
+                hunkParents = hunk ? hunk[1].length : 1;
+                nextLine = hunk ? parseInt(hunk[2], 10) : 0;
+            } else if (inHunk && !line.startsWith('\\')) {
+                const prefix = line.slice(0, hunkParents);
+                if (prefix.includes('-')) {
+                    return; // Removed, not part of the commit's version
+                }
+                if (/^\++$/.test(prefix)) {
+                    block = block || { startLine: nextLine, lines: [] };
+                    block.lines.push(line.slice(hunkParents));
+                } else {
+                    flushBlock(); // Taken from a parent
+                }
+                nextLine++;
+            }
+        });
+
+        git.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        git.on('error', reject);
+        git.on('close', (code) => {
+            flushBlock();
+            if (code === 0) {
+                resolve(entries);
+            } else {
+                const error = new Error(`git log failed with code ${code}: ${stderr.trim()}`);
+                error.code = code;
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Run a git command and resolve with its trimmed output lines.
+ */
+function gitLines(repoPath, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', ['-C', repoPath, ...args], { maxBuffer: 256 * 1024 * 1024 }, (error, stdout) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            resolve(stdout.split('\n').map(line => line.trim()).filter(Boolean));
+        });
+    });
+}
+
+/**
+ * Scan git history, skipping commits already covered by a previous scan.
+ * The cache is JSON-serializable: `{ tips: string[], matches: Array<{ruleId, match}> }`, where `tips` are the
+ * ref targets seen by the previous scan. Cached matches from commits that are no longer reachable (for example
+ * after a history rewrite) are dropped; unusable tips fall back to a full history scan.
+ * @param {string} repoPath - Repository root
+ * @param {Object|null} cache - Cache returned by a previous call, or null for a full scan
+ * @param {Object} [options] - Options forwarded to `scanGitHistory`
+ * @returns {Promise<{entries: Array<{rule: Object, match: Object}>, cache: Object, incremental: boolean}>}
+ */
+async function scanGitHistoryIncremental(repoPath, cache, options = {}) {
+    const rules = options.rules || RULES;
+    const tips = await gitLines(repoPath, ['rev-parse', '--all']);
+    const reachable = new Set(await gitLines(repoPath, ['rev-list', '--all']));
+
+    const previousTips = cache && Array.isArray(cache.tips) ? cache.tips : [];
+    const cachedEntries = [];
+    if (cache && Array.isArray(cache.matches)) {
+        for (const { ruleId, match } of cache.matches) {
+            const rule = rules.find(candidate => candidate.id === ruleId);
+            const commitId = match?.provenance?.[0]?.first_commit?.commit_metadata?.commit_id;
+            if (rule && reachable.has(commitId)) {
+                cachedEntries.push({ rule, match });
+            }
+        }
+    }
+
+    let newEntries;
+    let incremental = previousTips.length > 0;
+    if (incremental) {
+        try {
+            newEntries = await scanGitHistory(repoPath, { ...options, excludeRevisions: previousTips });
+        } catch (error) {
+            // Previous tips no longer exist (e.g. garbage collected after a rewrite): rescan everything
+            console.warn('Incremental history scan failed, running a full history scan:', error.message);
+            incremental = false;
+        }
+    }
+    if (!incremental) {
+        cachedEntries.length = 0;
+        newEntries = await scanGitHistory(repoPath, options);
+    }
+
+    const entries = [...cachedEntries, ...newEntries];
+    return {
+        entries,
+        incremental,
+        cache: {
+            tips,
+            matches: entries.map(({ rule, match }) => ({ ruleId: rule.id, match }))
+        }
+    };
+}
+
+/**
+ * Scan a directory (and, when it is a git repository root, its history).
+ * @param {string} rootPath - Directory to scan
+ * @param {Object} [options]
+ * @param {boolean} [options.gitHistory=true] - Also scan git history when `rootPath` contains `.git`
+ * @returns {Promise<Array>} Findings in `noseyparker report --format json` shape
+ */
+async function scanDirectory(rootPath, options = {}) {
+    const entries = scanWorkingTree(rootPath, options);
+    const gitHistory = options.gitHistory !== false;
+    if (gitHistory && fs.existsSync(path.join(rootPath, '.git'))) {
+        try {
+            entries.push(...await scanGitHistory(rootPath, options));
+        } catch (error) {
+            console.warn('Native git history scan failed:', error.message);
+        }
+    }
+    return toReportFindings(entries);
+}
+
+/**
+ * Scan only the history of a repository, which may be bare (e.g. the copy of a scan scope).
+ * @param {string} repoPath - Repository directory
+ * @param {Object} [options] - As for scanGitHistory()
+ * @returns {Promise<Array>} Findings in `noseyparker report --format json` shape
+ */
+async function scanRepositoryHistory(repoPath, options = {}) {
+    return toReportFindings(await scanGitHistory(repoPath, options));
+}
+
+/**
+ * Scan a directory like `scanDirectory`, reusing a history cache from a previous scan so only
+ * commits added since then are scanned. The working tree is always scanned in full.
+ * @param {string} rootPath - Directory to scan
+ * @param {Object|null} historyCache - Cache from a previous call, or null
+ * @param {Object} [options]
+ * @returns {Promise<{findings: Array, historyCache: Object|null, incremental: boolean}>}
+ */
+async function scanDirectoryIncremental(rootPath, historyCache, options = {}) {
+    const entries = scanWorkingTree(rootPath, options);
+    let nextCache = null;
+    let incremental = false;
+    if (options.gitHistory !== false && fs.existsSync(path.join(rootPath, '.git'))) {
+        try {
+            const history = await scanGitHistoryIncremental(rootPath, historyCache, options);
+            entries.push(...history.entries);
+            nextCache = history.cache;
+            incremental = history.incremental;
+        } catch (error) {
+            console.warn('Native git history scan failed:', error.message);
+        }
+    }
+    return { findings: toReportFindings(entries), historyCache: nextCache, incremental };
+}
+
+module.exports = {
+    RULES,
+    shannonEntropy,
+    scanText,
+    scanWorkingTree,
+    scanGitHistory,
+    scanGitHistoryIncremental,
+    scanRepositoryHistory,
+    scanDirectory,
+    scanDirectoryIncremental
+};
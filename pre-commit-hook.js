@@ -0,0 +1,137 @@
+// Git pre-commit hook that scans staged changes with the `leak-lock` CLI and blocks commits containing secrets.
+// The hook is a small shell script carrying a marker line, so it is only ever updated or removed when
+// Leak Lock installed it; an existing hook from another tool is left alone. Findings suppressed by the
+// repository's .leaklockignore do not block, and commits are blocked when the scanner cannot run.
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const execFileAsync = util.promisify(execFile);
+
+const HOOK_NAME = 'pre-commit';
+const HOOK_MARKER = '# leak-lock pre-commit hook';
+const CLI_PATH_PATTERN = /^LEAK_LOCK_CLI='((?:[^']|'\\'')*)'$/m;
+
+// Quote a value for a POSIX shell single-quoted string
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Hooks directory of a repository, honouring `core.hooksPath` and worktrees.
+ * @param {string} repoPath - Repository or a directory inside it
+ * @returns {Promise<string>} Absolute path
+ */
+async function getHooksDirectory(repoPath) {
+    // The path is printed relative to the directory git runs in
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'rev-parse', '--git-path', 'hooks']);
+    return path.resolve(repoPath, stdout.trim());
+}
+
+/**
+ * Contents of the hook script.
+ * @param {Object} options
+ * @param {string} options.cliPath - Absolute path of bin/leak-lock.js
+ * @param {string} [options.engine='auto'] - Scan engine passed to the CLI
+ * @param {string} [options.failOn='high'] - Lowest severity that blocks the commit
+ * @param {string|null} [options.image] - Nosey Parker image reference (`leakLock.noseyParker.image`)
+ * @returns {string}
+ */
+function buildHookScript({ cliPath, engine = 'auto', failOn = 'high', image = null }) {
+    return [
+        '#!/bin/sh',
+        HOOK_MARKER,
+        '# Blocks commits whose staged changes contain secrets. Installed by the Leak Lock VS Code extension;',
+        '# run "Leak Lock: Install Pre-commit Hook" again to remove it. Bypass once with: git commit --no-verify',
+        `LEAK_LOCK_CLI=${shellQuote(cliPath)}`,
+        '',
+        // The CLI lives in the versioned extension directory, which an extension update removes: fail closed
+        'if ! command -v node >/dev/null 2>&1 || [ ! -f "$LEAK_LOCK_CLI" ]; then',
+        '    echo "leak-lock: scanner not found (Node.js missing, or Leak Lock was updated or uninstalled), commit blocked." >&2',
+        '    echo "leak-lock: reinstall the hook with \\"Leak Lock: Install Pre-commit Hook\\". To commit anyway: git commit --no-verify" >&2',
+        '    exit 1',
+        'fi',
+        '',
+        `node "$LEAK_LOCK_CLI" scan . --staged --format text --secrets mask --fail-on ${failOn} --engine ${engine}${image ? ` --image ${shellQuote(image)}` : ''}`,
+        'status=$?',
+        'if [ "$status" -eq 1 ]; then',
+        '    echo "" >&2',
+        '    echo "leak-lock: commit blocked. Remove the secrets from the staged files and stage them again," >&2',
+        '    echo "leak-lock: or suppress false positives in .leaklockignore. To commit anyway: git commit --no-verify" >&2',
+        '    exit 1',
+        'elif [ "$status" -ne 0 ]; then',
+        '    echo "leak-lock: the staged scan failed, commit blocked. To commit anyway: git commit --no-verify" >&2',
+        '    exit 1',
+        'fi',
+        'exit 0',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Installation state of the hook.
+ * @param {string} repoPath
+ * @param {string} [cliPath] - Current CLI path; a Leak Lock hook pointing elsewhere is reported as 'outdated'
+ * @returns {Promise<{state: 'missing'|'installed'|'outdated'|'foreign', hookPath: string}>}
+ *   'foreign' means another pre-commit hook exists and Leak Lock will not touch it.
+ */
+async function getHookStatus(repoPath, cliPath) {
+    const hooksDirectory = await getHooksDirectory(repoPath);
+    if (fs.existsSync(hooksDirectory) && !fs.statSync(hooksDirectory).isDirectory()) {
+        // e.g. core.hooksPath=/dev/null to disable hooks
+        throw new Error(`Git hooks are disabled for this repository (core.hooksPath is ${hooksDirectory})`);
+    }
+    const hookPath = path.join(hooksDirectory, HOOK_NAME);
+    if (!fs.existsSync(hookPath)) {
+        return { state: 'missing', hookPath };
+    }
+    const script = fs.readFileSync(hookPath, 'utf8');
+    if (!script.includes(HOOK_MARKER)) {
+        return { state: 'foreign', hookPath };
+    }
+    const installedCli = script.match(CLI_PATH_PATTERN)?.[1].replace(/'\\''/g, "'");
+    const state = cliPath && installedCli !== cliPath ? 'outdated' : 'installed';
+    return { state, hookPath };
+}
+
+/**
+ * Install or update the Leak Lock pre-commit hook.
+ * @param {string} repoPath
+ * @param {Object} options - See buildHookScript
+ * @returns {Promise<string>} Path of the hook
+ * @throws {Error} When a pre-commit hook from another tool exists
+ */
+async function installHook(repoPath, options) {
+    const status = await getHookStatus(repoPath);
+    if (status.state === 'foreign') {
+        throw new Error(`A pre-commit hook not managed by Leak Lock already exists: ${status.hookPath}`);
+    }
+    fs.mkdirSync(path.dirname(status.hookPath), { recursive: true });
+    fs.writeFileSync(status.hookPath, buildHookScript(options), { mode: 0o755 });
+    fs.chmodSync(status.hookPath, 0o755);
+    return status.hookPath;
+}
+
+/**
+ * Remove the Leak Lock pre-commit hook; other hooks are never removed.
+ * @param {string} repoPath
+ * @returns {Promise<boolean>} Whether a hook was removed
+ */
+async function uninstallHook(repoPath) {
+    const status = await getHookStatus(repoPath);
+    if (status.state !== 'installed') {
+        return false;
+    }
+    fs.unlinkSync(status.hookPath);
+    return true;
+}
+
+module.exports = {
+    HOOK_MARKER,
+    buildHookScript,
+    getHooksDirectory,
+    getHookStatus,
+    installHook,
+    uninstallHook
+};
@@ -0,0 +1,152 @@
+// Project configuration committed as `.leaklock.json` at the repository root: excluded paths, disabled
+// rules, severity overrides, dependency handling, replacement defaults and the history rewrite policy.
+// The file is checked against schemas/leaklock.schema.json (also contributed to VS Code for completion)
+// and merged with the user/workspace settings: values from the file win, lists are combined. Defaults come
+// from config.js.
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_REPLACEMENT, DEFAULT_REPLACEMENTS } = require('./config');
+const PROJECT_CONFIG_SCHEMA = require('./schemas/leaklock.schema.json');
+
+const PROJECT_CONFIG_FILE = '.leaklock.json';
+
+/**
+ * Check a value against the subset of JSON Schema used by schemas/leaklock.schema.json
+ * (type, enum, properties, additionalProperties and items).
+ * @param {*} value
+ * @param {Object} [schema]
+ * @param {string} [location] - Path of `value` for messages, e.g. "rewrite.tool"
+ * @returns {string[]} Problems, empty when the value is valid
+ */
+function validateProjectConfig(value, schema = PROJECT_CONFIG_SCHEMA, location = '') {
+    const at = location || 'configuration';
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && schema.type !== actualType) {
+        return [`${at} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`];
+    }
+    const problems = [];
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => problems.push(...validateProjectConfig(item, schema.items, `${at}[${index}]`)));
+    }
+    if (actualType === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const childLocation = location ? `${location}.${key}` : key;
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (childSchema === false) {
+                problems.push(`Unknown setting ${childLocation}`);
+            } else if (childSchema && childSchema !== true) {
+                problems.push(...validateProjectConfig(child, childSchema, childLocation));
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Read a repository's `.leaklock.json`. Top-level sections with problems are left out, the rest applies.
+ * @param {string|null} repoRoot
+ * @returns {{path: string|null, config: Object|null, errors: string[]}} `config` is null without a file
+ */
+function loadProjectConfig(repoRoot) {
+    if (!repoRoot) {
+        return { path: null, config: null, errors: [] };
+    }
+    const filePath = path.join(repoRoot, PROJECT_CONFIG_FILE);
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch {
+        return { path: null, config: null, errors: [] };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { path: filePath, config: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { path: filePath, config: null, errors: validateProjectConfig(parsed) };
+    }
+    const config = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(parsed)) {
+        const problems = validateProjectConfig({ [key]: value });
+        if (problems.length > 0) {
+            errors.push(...problems);
+        } else {
+            config[key] = value;
+        }
+    }
+    return { path: filePath, config, errors };
+}
+
+/**
+ * Effective configuration of a repository.
+ * @param {Object} [settings] - User/workspace settings
+ * @param {string} [settings.dependencyHandling] - `leakLock.dependencyHandling`
+ * @param {string[]} [settings.exclude] - `leakLock.exclude`
+ * @param {Object} [settings.severityOverrides] - `leakLock.severityOverrides`
+ * @param {string[]} [settings.dependencyPaths] - `leakLock.dependencyPaths`
+ * @param {Object|null} [projectConfig] - `config` of loadProjectConfig()
+ * @returns {{exclude: string[], disabledRules: string[], severityOverrides: Object, dependencyHandling: string,
+ *   dependencyPaths: string[], replacements: {default: string, byRule: Object}, rewrite: {allowed: boolean,
+ *   tool: 'any'|'bfg'|'git', forcePush: 'prompt'|'never'}}}
+ */
+function resolveProjectConfig(settings = {}, projectConfig = null) {
+    const project = projectConfig || {};
+    return {
+        exclude: [...(settings.exclude || []), ...(project.exclude || [])],
+        disabledRules: [...(project.rules?.disabled || [])],
+        severityOverrides: { ...(settings.severityOverrides || {}), ...(project.severityOverrides || {}) },
+        dependencyHandling: project.dependencies?.handling || settings.dependencyHandling || 'warning',
+        dependencyPaths: [...(settings.dependencyPaths || []), ...(project.dependencies?.paths || [])],
+        replacements: {
+            default: project.replacements?.default ?? DEFAULT_REPLACEMENT,
+            byRule: { ...(project.replacements?.byRule || {}) }
+        },
+        rewrite: {
+            allowed: project.rewrite?.allowed ?? true,
+            tool: project.rewrite?.tool || 'any',
+            forcePush: project.rewrite?.forcePush || 'prompt'
+        }
+    };
+}
+
+/**
+ * Whether findings of a rule are disabled.
+ * @param {string|null} ruleName - `result.rule`
+ * @param {Object} effective - Result of resolveProjectConfig()
+ */
+function isRuleDisabled(ruleName, effective) {
+    return Boolean(ruleName) && effective.disabledRules.includes(ruleName);
+}
+
+/**
+ * Replacement proposed for a secret: the project's value for the rule, the config.js default for a keyword
+ * of the rule name (api_key, password, ...), or the default replacement.
+ * @param {string|null} ruleName
+ * @param {Object} effective - Result of resolveProjectConfig()
+ */
+function getDefaultReplacement(ruleName, effective) {
+    if (ruleName && Object.prototype.hasOwnProperty.call(effective.replacements.byRule, ruleName)) {
+        return effective.replacements.byRule[ruleName];
+    }
+    // Normalize "AWS API Key" style names to the snake_case keywords of DEFAULT_REPLACEMENTS
+    const normalized = String(ruleName || '').toLowerCase().replace(/[\s-]+/g, '_');
+    const keyword = Object.keys(DEFAULT_REPLACEMENTS).find(candidate => normalized.includes(candidate));
+    return keyword ? DEFAULT_REPLACEMENTS[keyword] : effective.replacements.default;
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILE,
+    PROJECT_CONFIG_SCHEMA,
+    validateProjectConfig,
+    loadProjectConfig,
+    resolveProjectConfig,
+    isRuleDisabled,
+    getDefaultReplacement
+};
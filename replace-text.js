@@ -0,0 +1,77 @@
+// Replacement files for the `--replace-text` option of BFG Repo-Cleaner and git filter-repo.
+// Both tools read one `literal:<secret>==><replacement>` expression per line and match literals within a line,
+// so a multi-line secret such as a PEM private key is rewritten line by line, leaving its BEGIN/END
+// armor lines alone. The files hold every secret in plaintext, so they are written to a private temporary
+// directory, never into the repository.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ARMOR_LINE_PATTERN = /^-----(BEGIN|END) [A-Z0-9 ]+-----$/;
+const MIN_LINE_LITERAL_LENGTH = 8; // Shorter lines of a multi-line secret would also rewrite unrelated text
+
+/**
+ * Literals to replace for one secret value.
+ * @param {string} secret - Full matched value
+ * @returns {string[]}
+ */
+function getReplaceTextLiterals(secret) {
+    const value = String(secret || '');
+    if (!/[\r\n]/.test(value)) {
+        return value.trim() ? [value] : [];
+    }
+    return value.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length >= MIN_LINE_LITERAL_LENGTH && !ARMOR_LINE_PATTERN.test(line));
+}
+
+/**
+ * Contents of a replacements file.
+ * @param {Object<string, string>} replacements - Full secret value to replacement text
+ * @returns {string}
+ */
+function buildReplaceText(replacements) {
+    const lines = new Map();
+    for (const [secret, replacement] of Object.entries(replacements)) {
+        // The replacement is written on the same line, so it must not span lines
+        const safeReplacement = String(replacement).replace(/[\r\n]+/g, ' ');
+        for (const literal of getReplaceTextLiterals(secret)) {
+            if (!lines.has(literal)) {
+                // The explicit prefix keeps a secret starting with `regex:` or `glob:` from being read as a pattern
+                lines.set(literal, `literal:${literal}==>${safeReplacement}`);
+            }
+        }
+    }
+    return [...lines.values()].join('\n') + '\n';
+}
+
+/**
+ * Write a replacements file to a new temporary directory that only the current user can read.
+ * @param {Object<string, string>} replacements - Full secret value to replacement text
+ * @returns {string} Path of the file; remove it with removeReplaceTextFile()
+ */
+function writeReplaceTextFile(replacements) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-replace-'));
+    const filePath = path.join(directory, 'replacements.txt');
+    fs.writeFileSync(filePath, buildReplaceText(replacements), { mode: 0o600 });
+    return filePath;
+}
+
+/**
+ * Remove a file written by writeReplaceTextFile() with its directory.
+ * @param {string} filePath
+ */
+function removeReplaceTextFile(filePath) {
+    try {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    } catch (error) {
+        console.warn('Failed to remove the replacements file:', error.message);
+    }
+}
+
+module.exports = {
+    getReplaceTextLiterals,
+    buildReplaceText,
+    writeReplaceTextFile,
+    removeReplaceTextFile
+};
@@ -0,0 +1,245 @@
+// Human-friendly report exports (CSV, JSON, Markdown) of scan results, e.g. for incident tickets.
+// Secret values are redacted, partially masked or included depending on the `secrets` option.
+
+const { maskSecret } = require('./secret-preview');
+
+const SECRET_MODES = ['redact', 'mask', 'include'];
+const SEVERITY_ORDER = ['high', 'medium', 'warning', 'low', 'info', 'safe'];
+
+// Supported report formats with their file extension and label
+const REPORT_FORMATS = {
+    csv: { extension: 'csv', label: 'CSV' },
+    json: { extension: 'json', label: 'JSON' },
+    markdown: { extension: 'md', label: 'Markdown' }
+};
+
+/**
+ * Render a secret according to the export mode.
+ * @param {string} secret
+ * @param {'redact'|'mask'|'include'} mode
+ * @returns {string}
+ */
+function formatSecret(secret, mode) {
+    const value = String(secret || '');
+    if (mode === 'include') {
+        return value;
+    }
+    if (mode === 'mask') {
+        return maskSecret(value);
+    }
+    return '[REDACTED]';
+}
+
+/**
+ * Full secret value of a result. `result.secret` is truncated for display (scan-core.js), so exports look the
+ * value up in the scanner's `secretValues` map and only fall back to `result.secret` when it is not there.
+ * @param {Object} result
+ * @param {Map<string, string>} [secretValues] - Result id to full secret value
+ * @returns {string}
+ */
+function resolveSecret(result, secretValues) {
+    const value = secretValues && result.id !== undefined ? secretValues.get(result.id) : undefined;
+    return value !== undefined ? value : result.secret;
+}
+
+function countBySeverity(results) {
+    const counts = {};
+    for (const result of results) {
+        counts[result.severity] = (counts[result.severity] || 0) + 1;
+    }
+    return counts;
+}
+
+function sortedSeverities(counts) {
+    return Object.keys(counts).sort((a, b) => {
+        const rank = (severity) => {
+            const index = SEVERITY_ORDER.indexOf(severity);
+            return index === -1 ? SEVERITY_ORDER.length : index;
+        };
+        return rank(a) - rank(b);
+    });
+}
+
+function toReportFinding(result, mode, secretValues) {
+    return {
+        severity: result.severity,
+        rule: result.rule || null,
+        file: result.path || result.file,
+        line: result.line,
+        column: result.column || null,
+        isGitHistory: Boolean(result.isGitHistory),
+        commitId: result.commitId || null,
+        isDependency: Boolean(result.isDependency),
+        isUntracked: Boolean(result.isUntracked),
+        suppressed: result.suppressed ? `${result.suppressed.type}:${result.suppressed.value}` : null,
+        fingerprint: result.fingerprint || null,
+        description: result.description,
+        secret: formatSecret(resolveSecret(result, secretValues), mode)
+    };
+}
+
+/**
+ * Quote a CSV field. Values starting with a formula character are prefixed so spreadsheets treat them as text.
+ * @param {*} value
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV report, one row per finding.
+ * @param {Array<Object>} results - Results produced by SecretScanner (scan-core.js)
+ * @param {Object} [options]
+ * @param {'redact'|'mask'|'include'} [options.secrets='redact']
+ * @param {Map<string, string>} [options.secretValues] - Full secret values by result id (SecretScanner#secretValues)
+ */
+function toCsv(results, options = {}) {
+    const columns = ['severity', 'rule', 'file', 'line', 'column', 'isGitHistory', 'commitId', 'isDependency', 'isUntracked', 'suppressed', 'fingerprint', 'secret'];
+    const rows = results.map(result => {
+        const finding = toReportFinding(result, options.secrets, options.secretValues);
+        return columns.map(column => csvField(finding[column])).join(',');
+    });
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON report with a severity summary.
+ * @param {Array<Object>} results
+ * @param {Object} [options]
+ * @param {'redact'|'mask'|'include'} [options.secrets='redact']
+ * @param {Map<string, string>} [options.secretValues] - Full secret values by result id (SecretScanner#secretValues)
+ * @param {string} [options.repoRoot]
+ * @param {string} [options.toolVersion]
+ */
+function toJson(results, options = {}) {
+    const report = {
+        tool: { name: 'Leak Lock', version: options.toolVersion || null },
+        generatedAt: new Date().toISOString(),
+        repoRoot: options.repoRoot || null,
+        secrets: SECRET_MODES.includes(options.secrets) ? options.secrets : 'redact',
+        summary: {
+            total: results.length,
+            bySeverity: countBySeverity(results),
+            gitHistory: results.filter(result => result.isGitHistory).length
+        },
+        findings: results.map(result => toReportFinding(result, options.secrets, options.secretValues))
+    };
+    return JSON.stringify(report, null, 2) + '\n';
+}
+
+function markdownCell(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function markdownCode(value) {
+    const text = markdownCell(value);
+    return text ? `\`${text.replace(/`/g, "'")}\`` : '';
+}
+
+/**
+ * Markdown summary: severity counts, git-history findings called out, then findings grouped per file.
+ * @param {Array<Object>} results
+ * @param {Object} [options]
+ * @param {'redact'|'mask'|'include'} [options.secrets='redact']
+ * @param {Map<string, string>} [options.secretValues] - Full secret values by result id (SecretScanner#secretValues)
+ * @param {string} [options.repoRoot]
+ * @param {string} [options.toolVersion]
+ */
+function toMarkdown(results, options = {}) {
+    const findings = results.map(result => toReportFinding(result, options.secrets, options.secretValues));
+    const counts = countBySeverity(results);
+    const lines = [
+        '# Leak Lock Scan Report',
+        '',
+        `- **Generated:** ${new Date().toISOString()}`
+    ];
+    if (options.repoRoot) {
+        lines.push(`- **Repository:** ${markdownCode(options.repoRoot)}`);
+    }
+    if (options.toolVersion) {
+        lines.push(`- **Leak Lock version:** ${options.toolVersion}`);
+    }
+    lines.push(`- **Findings:** ${findings.length}`, '');
+
+    lines.push('## Summary', '', '| Severity | Count |', '| --- | --- |');
+    for (const severity of sortedSeverities(counts)) {
+        lines.push(`| ${markdownCell(severity.toUpperCase())} | ${counts[severity]} |`);
+    }
+    lines.push('');
+
+    const historyFindings = findings.filter(finding => finding.isGitHistory);
+    if (historyFindings.length > 0) {
+        lines.push(
+            '## ⚠️ Secrets in Git History',
+            '',
+            `${historyFindings.length} finding(s) exist in past commits. Removing them from the working tree is not enough: ` +
+            'rotate the credentials and rewrite history.',
+            '',
+            '| Severity | Rule | File | Line | Commit |',
+            '| --- | --- | --- | --- | --- |'
+        );
+        for (const finding of historyFindings) {
+            lines.push(`| ${markdownCell(finding.severity)} | ${markdownCell(finding.rule)} | ${markdownCode(finding.file)} | ${finding.line} | ${markdownCode(finding.commitId ? finding.commitId.slice(0, 12) : '')} |`);
+        }
+        lines.push('');
+    }
+
+    lines.push('## Findings by File', '');
+    const byFile = new Map();
+    for (const finding of findings) {
+        if (!byFile.has(finding.file)) {
+            byFile.set(finding.file, []);
+        }
+        byFile.get(finding.file).push(finding);
+    }
+    for (const [file, fileFindings] of [...byFile.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        lines.push(`### ${markdownCode(file)}`, '', '| Line | Severity | Rule | Secret | Notes |', '| --- | --- | --- | --- | --- |');
+        for (const finding of fileFindings.sort((a, b) => a.line - b.line)) {
+            const notes = [
+                finding.isGitHistory ? 'git history' : null,
+                finding.isDependency ? 'dependency' : null,
+                finding.isUntracked ? 'not committed' : null,
+                finding.suppressed ? `suppressed (${finding.suppressed})` : null
+            ].filter(Boolean).join(', ');
+            lines.push(`| ${finding.line} | ${markdownCell(finding.severity)} | ${markdownCell(finding.rule)} | ${markdownCode(finding.secret)} | ${markdownCell(notes)} |`);
+        }
+        lines.push('');
+    }
+    if (findings.length === 0) {
+        lines.push('No findings.', '');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Build a report in the given format.
+ * @param {'csv'|'json'|'markdown'} format
+ * @param {Array<Object>} results
+ * @param {Object} [options] - See toCsv / toJson / toMarkdown
+ * @returns {string}
+ */
+function buildReport(format, results, options = {}) {
+    switch (format) {
+        case 'csv':
+            return toCsv(results, options);
+        case 'json':
+            return toJson(results, options);
+        case 'markdown':
+            return toMarkdown(results, options);
+        default:
+            throw new Error(`Unsupported report format: ${format}`);
+    }
+}
+
+module.exports = {
+    SECRET_MODES,
+    SEVERITY_ORDER,
+    REPORT_FORMATS,
+    formatSecret,
+    resolveSecret,
+    buildReport
+};
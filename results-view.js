@@ -0,0 +1,130 @@
+// Sorting, filtering and free-text search of the results table. The panel's webview runs the source of
+// matchesResultsView and compareForView on the row descriptors built here, so those two must stay
+// self-contained; exports follow the view the user set up.
+const { SEVERITY_ORDER } = require('./report-export');
+
+const SORT_KEYS = ['default', 'file', 'line', 'severity', 'rule'];
+// Finding kinds offered as filter chips; `tracked` is a committed file of the working tree
+const RESULT_KINDS = ['history', 'dependency', 'untracked', 'tracked'];
+
+/**
+ * Normalize a results view sent by the webview. Empty severity and kind lists show everything.
+ * @param {Object} [view]
+ * @returns {{sort: string, direction: 'asc'|'desc', severities: string[], kinds: string[], search: string}}
+ */
+function normalizeResultsView(view = {}) {
+    return {
+        sort: SORT_KEYS.includes(view.sort) ? view.sort : 'default',
+        direction: view.direction === 'desc' ? 'desc' : 'asc',
+        severities: Array.isArray(view.severities) ? view.severities.filter(severity => typeof severity === 'string') : [],
+        kinds: Array.isArray(view.kinds) ? view.kinds.filter(kind => RESULT_KINDS.includes(kind)) : [],
+        search: typeof view.search === 'string' ? view.search.trim().slice(0, 200) : ''
+    };
+}
+
+/**
+ * Fields of a finding (or of the findings of a grouped row) that the view sorts and filters on.
+ * @param {Object|Array<Object>} results - One result, or the results shown in one row
+ * @returns {{file: string, line: number, severity: string, severityRank: number, rule: string,
+ *   kinds: string[], searchText: string}}
+ */
+function describeForView(results) {
+    const members = Array.isArray(results) ? results : [results];
+    const first = members[0];
+    const severities = members.map(result => result.severity);
+    const severity = severities.sort((a, b) => severityRank(a) - severityRank(b))[0];
+    const kinds = RESULT_KINDS.filter(kind => members.some(result => getResultKind(result, kind)));
+    const rule = [...new Set(members.map(result => result.rule || result.description || '').filter(Boolean))].join(', ');
+    const searchText = members
+        .map(result => [result.path || result.file, result.rule, result.description, result.folder].filter(Boolean).join(' '))
+        .join(' ')
+        .toLowerCase();
+    return {
+        file: first.path || first.file || '',
+        line: Number(first.line) || 0,
+        severity,
+        severityRank: severityRank(severity),
+        rule,
+        kinds,
+        searchText
+    };
+}
+
+/**
+ * Whether a described row passes the view's filters and search. Search terms must all occur.
+ * @param {Object} row - Result of describeForView
+ * @param {Object} view - Normalized results view
+ */
+function matchesResultsView(row, view) {
+    if (view.severities.length > 0 && !view.severities.includes(row.severity)) {
+        return false;
+    }
+    if (view.kinds.length > 0 && !row.kinds.some(kind => view.kinds.includes(kind))) {
+        return false;
+    }
+    const terms = view.search.toLowerCase().split(/\s+/).filter(Boolean);
+    return terms.every(term => row.searchText.includes(term));
+}
+
+/**
+ * Comparator of described rows for the view's sort key; ties keep scan order.
+ * @param {Object} view - Normalized results view
+ * @returns {function(Object, Object): number|null} Null for the default (scan) order
+ */
+function compareForView(view) {
+    const compare = {
+        file: (a, b) => a.file.localeCompare(b.file) || a.line - b.line,
+        line: (a, b) => a.line - b.line,
+        severity: (a, b) => a.severityRank - b.severityRank,
+        rule: (a, b) => a.rule.localeCompare(b.rule)
+    }[view.sort];
+    if (!compare) {
+        return null;
+    }
+    return view.direction === 'desc' ? (a, b) => compare(b, a) : compare;
+}
+
+/**
+ * Results matching a view, in its order.
+ * @param {Array<Object>} results
+ * @param {Object} view - Results view, normalized here
+ * @returns {Array<Object>}
+ */
+function applyResultsView(results, view) {
+    const normalized = normalizeResultsView(view);
+    const rows = results
+        .map(result => ({ result, row: describeForView(result) }))
+        .filter(({ row }) => matchesResultsView(row, normalized));
+    const compare = compareForView(normalized);
+    if (compare) {
+        // Array.prototype.sort is stable, so equal rows stay in scan order
+        rows.sort((a, b) => compare(a.row, b.row));
+    }
+    return rows.map(({ result }) => result);
+}
+
+function getResultKind(result, kind) {
+    switch (kind) {
+        case 'history': return Boolean(result.isGitHistory);
+        case 'dependency': return Boolean(result.isDependency);
+        case 'untracked': return Boolean(result.isUntracked);
+        case 'tracked': return !result.isGitHistory && !result.isUntracked;
+        default: return false;
+    }
+}
+
+// Position in SEVERITY_ORDER; unknown severities sort last
+function severityRank(severity) {
+    const index = SEVERITY_ORDER.indexOf(severity);
+    return index === -1 ? SEVERITY_ORDER.length : index;
+}
+
+module.exports = {
+    SORT_KEYS,
+    RESULT_KINDS,
+    normalizeResultsView,
+    describeForView,
+    matchesResultsView,
+    compareForView,
+    applyResultsView
+};
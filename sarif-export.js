@@ -0,0 +1,157 @@
+// SARIF 2.1.0 export of scan results.
+// Converts result objects produced by SecretScanner (scan-core.js) into a SARIF log that code scanning
+// platforms can ingest. Secret values are left out unless requested (masked or in full); results suppressed by
+// .leaklockignore are kept and marked with a SARIF suppression.
+const { pathToFileURL } = require('url');
+
+const { formatSecret, resolveSecret } = require('./report-export');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const TOOL_NAME = 'Leak Lock';
+const TOOL_INFORMATION_URI = 'https://github.com/nikolareljin/leak-lock';
+const FINGERPRINT_KEY = 'leakLock/v1';
+
+// Leak Lock severities mapped onto SARIF result levels
+const SARIF_LEVELS = {
+    high: 'error',
+    medium: 'warning',
+    warning: 'warning',
+    low: 'note',
+    info: 'note',
+    safe: 'note'
+};
+
+/**
+ * Stable SARIF rule id derived from a rule name, e.g. "AWS API Key" -> "aws-api-key".
+ * @param {string} ruleName
+ */
+function toRuleId(ruleName) {
+    const slug = String(ruleName || 'secret-detected').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'secret-detected';
+}
+
+/**
+ * Encode a repository-relative path as a relative URI reference.
+ * @param {string} filePath
+ */
+function toArtifactUri(filePath) {
+    return String(filePath || '').split(/[\\/]+/).filter(Boolean).map(encodeURIComponent).join('/');
+}
+
+function createRegion(result, secrets, secretValues) {
+    const region = { startLine: Math.max(parseInt(result.line, 10) || 1, 1) };
+    if (result.column) {
+        region.startColumn = result.column;
+    }
+    if (result.endLine) {
+        region.endLine = result.endLine;
+    }
+    if (result.endColumn) {
+        // Leak Lock end columns are inclusive, SARIF end columns are exclusive
+        region.endColumn = result.endColumn + 1;
+    }
+    const secret = secrets === 'include' ? resolveSecret(result, secretValues) : null;
+    if (secret) {
+        region.snippet = { text: secret };
+    }
+    return region;
+}
+
+/**
+ * Build a SARIF 2.1.0 log.
+ * @param {Array<Object>} results - Results produced by SecretScanner (scan-core.js)
+ * @param {Object} [options]
+ * @param {string} [options.toolVersion] - Leak Lock version
+ * @param {string} [options.repoRoot] - Absolute path of the scanned repository, used as the SRCROOT base
+ * @param {'redact'|'mask'|'include'} [options.secrets='redact'] - Leave secrets out, add a masked preview
+ *   as a result property, or include the value as the region snippet
+ * @param {Map<string, string>} [options.secretValues] - Full secret values by result id (SecretScanner#secretValues)
+ * @returns {Object} SARIF log
+ */
+function buildSarifLog(results, options = {}) {
+    const secrets = options.secrets || 'redact';
+    const rules = [];
+    const ruleIndexes = new Map();
+
+    const sarifResults = (results || []).map(result => {
+        const ruleName = result.rule || 'Secret detected';
+        const ruleId = toRuleId(ruleName);
+        if (!ruleIndexes.has(ruleId)) {
+            ruleIndexes.set(ruleId, rules.length);
+            rules.push({
+                id: ruleId,
+                name: ruleName,
+                shortDescription: { text: ruleName },
+                defaultConfiguration: { level: SARIF_LEVELS[result.originalSeverity] || SARIF_LEVELS[result.severity] || 'warning' }
+            });
+        }
+
+        const location = result.path || result.file;
+        const messageParts = [`${ruleName} detected in ${location}`];
+        if (result.isGitHistory) {
+            messageParts.push(result.commitId ? `(git history, commit ${result.commitId})` : '(git history)');
+        }
+
+        const sarifResult = {
+            ruleId,
+            ruleIndex: ruleIndexes.get(ruleId),
+            level: SARIF_LEVELS[result.severity] || 'warning',
+            message: { text: messageParts.join(' ') },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toArtifactUri(location), uriBaseId: 'SRCROOT' },
+                    region: createRegion(result, secrets, options.secretValues)
+                }
+            }],
+            partialFingerprints: result.fingerprint ? { [FINGERPRINT_KEY]: result.fingerprint } : undefined,
+            properties: {
+                severity: result.severity,
+                isGitHistory: Boolean(result.isGitHistory),
+                commitId: result.commitId || undefined,
+                isDependency: Boolean(result.isDependency),
+                isUntracked: Boolean(result.isUntracked),
+                maskedSecret: secrets === 'mask' ? formatSecret(resolveSecret(result, options.secretValues), 'mask') : undefined
+            }
+        };
+        if (result.suppressed) {
+            sarifResult.suppressions = [{
+                kind: 'external',
+                justification: `Suppressed by .leaklockignore entry ${result.suppressed.type}:${result.suppressed.value}`
+            }];
+        }
+        return sarifResult;
+    });
+
+    const run = {
+        tool: {
+            driver: {
+                name: TOOL_NAME,
+                informationUri: TOOL_INFORMATION_URI,
+                version: options.toolVersion || undefined,
+                rules
+            }
+        },
+        results: sarifResults,
+        columnKind: 'utf16CodeUnits'
+    };
+    if (options.repoRoot) {
+        let rootUri = pathToFileURL(options.repoRoot).href;
+        if (!rootUri.endsWith('/')) {
+            rootUri += '/';
+        }
+        run.originalUriBaseIds = { SRCROOT: { uri: rootUri } };
+    }
+
+    // JSON round trip drops the undefined optional properties
+    return JSON.parse(JSON.stringify({
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [run]
+    }));
+}
+
+module.exports = {
+    buildSarifLog,
+    toRuleId
+};
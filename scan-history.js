@@ -0,0 +1,73 @@
+// Scan history: compact records of completed scans and diffs between two of them.
+// Records are stored by the panel in workspace storage. They never contain anything derived from secret
+// values other than salted fingerprints and secret hashes, so remediation can be verified after the panel closes.
+const crypto = require('crypto');
+
+const MAX_HISTORY_ENTRIES = 50; // Oldest scans are dropped beyond this
+
+/**
+ * Build a history record from scan results.
+ * @param {Object} scan
+ * @param {string} scan.repoRoot - Scanned directory or repository root
+ * @param {string|null} scan.headCommit - HEAD commit at scan time
+ * @param {string} scan.engine - 'noseyparker' | 'native'
+ * @param {string|null} scan.engineVersion - Engine version string
+ * @param {Array<Object>} scan.results - Results produced by SecretScanner (scan-core.js)
+ * @returns {Object}
+ */
+function createScanRecord({ repoRoot, headCommit, engine, engineVersion, results }) {
+    return {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        repoRoot,
+        headCommit: headCommit || null,
+        engine,
+        engineVersion: engineVersion || null,
+        findings: (results || []).map(result => ({
+            fingerprint: result.fingerprint,
+            secretHash: result.secretHash,
+            rule: result.rule,
+            file: result.file,
+            line: result.line,
+            severity: result.severity,
+            description: result.description,
+            isGitHistory: Boolean(result.isGitHistory)
+        }))
+    };
+}
+
+/**
+ * Prepend a record to the history, keeping at most `limit` entries.
+ * @param {Array<Object>} history - Existing records, newest first
+ * @param {Object} record
+ * @param {number} [limit]
+ * @returns {Array<Object>} New history array
+ */
+function addScanRecord(history, record, limit = MAX_HISTORY_ENTRIES) {
+    return [record, ...(history || [])].slice(0, limit);
+}
+
+/**
+ * Compare two scans by fingerprint.
+ * @param {Object} baseScan - Earlier scan
+ * @param {Object} compareScan - Later scan
+ * @returns {{newFindings: Array, fixedFindings: Array, unchangedFindings: Array}}
+ *   `newFindings` only appear in the later scan, `fixedFindings` only in the earlier one.
+ */
+function diffScans(baseScan, compareScan) {
+    const baseByFingerprint = new Map(baseScan.findings.map(finding => [finding.fingerprint, finding]));
+    const compareFingerprints = new Set(compareScan.findings.map(finding => finding.fingerprint));
+
+    return {
+        newFindings: compareScan.findings.filter(finding => !baseByFingerprint.has(finding.fingerprint)),
+        fixedFindings: baseScan.findings.filter(finding => !compareFingerprints.has(finding.fingerprint)),
+        unchangedFindings: compareScan.findings.filter(finding => baseByFingerprint.has(finding.fingerprint))
+    };
+}
+
+module.exports = {
+    MAX_HISTORY_ENTRIES,
+    createScanRecord,
+    addScanRecord,
+    diffScans
+};
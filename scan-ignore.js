@@ -0,0 +1,149 @@
+// Paths a scan does not read at all: `exclude` globs, with `dependencyHandling: exclude` dependency
+// directories (config.js DEPENDENCY_PATTERNS plus the configured dependency paths) and, with
+// `leakLock.gitIgnored.skip`, git-ignored paths. Nosey Parker receives them as a generated ignore file
+// (`scan --ignore`), the built-in engine as a path filter. Findings at these paths that still come from git
+// history are dropped after the scan.
+const { matchesGlob, matchesAnyGlob, normalizePath } = require('./glob-match');
+const { DEPENDENCY_PATTERNS, CREDENTIAL_FILE_PATTERNS } = require('./config');
+
+const IGNORE_FILE_NAME = 'leaklock.ignore';
+// Never ignored, or Nosey Parker would not find the repository history below them
+const VCS_DIRECTORIES = ['.git', '.svn', '.hg'];
+
+/**
+ * Globs of dependency and build output directories.
+ * @param {Object} effective - Result of resolveProjectConfig()
+ * @returns {string[]}
+ */
+function getDependencyPatterns(effective) {
+    return [...DEPENDENCY_PATTERNS, ...effective.dependencyPaths];
+}
+
+/**
+ * Globs of the paths a scan skips.
+ * @param {Object} effective - Result of resolveProjectConfig()
+ * @returns {string[]}
+ */
+function getScanIgnorePatterns(effective) {
+    const patterns = [
+        ...effective.exclude,
+        ...(effective.dependencyHandling === 'exclude' ? getDependencyPatterns(effective) : [])
+    ];
+    return [...new Set(patterns.map(pattern => String(pattern).trim()).filter(Boolean))]
+        .filter(pattern => !VCS_DIRECTORIES.includes(pattern.replace(/^\/+|\/+$/g, '')));
+}
+
+/**
+ * Part of a repository-anchored glob that applies below a subdirectory of the repository.
+ * @param {string} glob - Glob with a slash, without leading `/`
+ * @param {string} prefix - Subdirectory relative to the repository root
+ * @returns {string|null} The rest of the glob, `**` when it matches the whole subdirectory, or null when it
+ *   cannot match below it
+ */
+function relativeToPrefix(glob, prefix) {
+    const segments = glob.split('/');
+    for (const part of normalizePath(prefix).split('/').filter(Boolean)) {
+        if (segments[0] === '**') {
+            return segments.join('/');
+        }
+        if (segments.length === 0 || (segments.length === 1 && segments[0] === '')) {
+            return '**';
+        }
+        // A single segment has no slash, so matchesGlob() compares it with this path segment only
+        if (!matchesGlob(part, segments[0])) {
+            return null;
+        }
+        segments.shift();
+    }
+    return segments.length === 0 || (segments.length === 1 && segments[0] === '') ? '**' : segments.join('/');
+}
+
+/**
+ * Contents of a Nosey Parker ignore file. Nosey Parker matches the rules against paths inside the container,
+ * so globs without a slash are written to match at any depth and repository-anchored globs are anchored to
+ * the scanned directory's mount point, with the part of the glob that applies below the scanned directory.
+ * @param {string[]} patterns
+ * @param {string[]} [literalPaths] - Paths relative to the scanned directory (directories with a trailing `/`)
+ *   written with glob characters escaped, e.g. git-ignored paths
+ * @param {Object} [options]
+ * @param {string} [options.root=''] - Mount point of the scanned directory in the container, e.g. `/scan`
+ * @param {string} [options.prefix=''] - Path of the scanned directory relative to the repository root
+ * @returns {string}
+ */
+function formatIgnoreFile(patterns, literalPaths = [], { root = '', prefix = '' } = {}) {
+    const lines = [];
+    for (const pattern of patterns) {
+        const directoryOnly = pattern.endsWith('/');
+        const glob = pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+        if (!pattern.replace(/\/+$/, '').includes('/')) {
+            // Same as glob-match.js: a pattern without a slash matches at any depth
+            lines.push(`**/${glob}${directoryOnly ? '/' : ''}`);
+            continue;
+        }
+        const relative = relativeToPrefix(glob, prefix);
+        if (relative !== null) {
+            lines.push(`${root}/${relative}${directoryOnly && relative !== '**' ? '/' : ''}`);
+        }
+    }
+    // Exact paths: anchored, so a root-level `.env` does not hide a `config/.env` elsewhere
+    const literals = literalPaths.map(literal => `${root}/${literal.replace(/[*?[\]\\]/g, '\\$&').replace(/ $/, '\\ ')}`);
+    return ['# Generated by Leak Lock for this scan', ...lines, ...literals, ''].join('\n');
+}
+
+/**
+ * Whether a path is in a set of repository-relative paths where directories end with `/`, as listed by
+ * `git ls-files --others --ignored --exclude-standard --directory`.
+ * @param {string} repoPath
+ * @param {Set<string>} paths
+ */
+function isListedPath(repoPath, paths) {
+    const normalized = normalizePath(repoPath);
+    if (paths.has(normalized)) {
+        return true;
+    }
+    const parts = normalized.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+        if (paths.has(`${parts.slice(0, i).join('/')}/`)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether a git-ignored file looks like it holds credentials (`.env`, private keys, ...).
+ * @param {string} repoPath
+ */
+function isCredentialFile(repoPath) {
+    return !repoPath.endsWith('/') && matchesAnyGlob(repoPath, CREDENTIAL_FILE_PATTERNS);
+}
+
+/**
+ * Predicate for the built-in engine's file listing.
+ * @param {string[]} patterns
+ * @param {string} [prefix] - Path of the scanned directory relative to the repository root
+ * @param {Set<string>} [literalPaths] - Further repository-relative paths to skip, see isListedPath()
+ * @returns {function(string, boolean): boolean} `(pathBelowScanRoot, isDirectory) => skip`
+ */
+function createPathFilter(patterns, prefix = '', literalPaths = new Set()) {
+    if (patterns.length === 0 && literalPaths.size === 0) {
+        return () => false;
+    }
+    const base = normalizePath(prefix).replace(/\/+$/, '');
+    return (relativePath, isDirectory = false) => {
+        const repoPath = base ? `${base}/${normalizePath(relativePath)}` : normalizePath(relativePath);
+        // A trailing slash lets directory globs such as `node_modules/` match the directory itself
+        const candidate = isDirectory ? `${repoPath}/` : repoPath;
+        return matchesAnyGlob(candidate, patterns) || literalPaths.has(candidate);
+    };
+}
+
+module.exports = {
+    IGNORE_FILE_NAME,
+    getDependencyPatterns,
+    getScanIgnorePatterns,
+    formatIgnoreFile,
+    isListedPath,
+    isCredentialFile,
+    createPathFilter
+};
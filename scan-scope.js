@@ -0,0 +1,199 @@
+// Scan scope: which part of a repository a scan covers (working tree and/or history, a branch or a
+// commit range) and which paths, as include/exclude globs. History scopes scan the repository's git
+// directory instead of the scanned directory; branch and range scopes are copied into a temporary
+// repository holding only their commits, which both engines scan. Path globs are applied to the results.
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const { matchesAnyGlob } = require('./glob-match');
+
+const execFileAsync = util.promisify(execFile);
+
+// Scope modes with their labels
+const SCOPE_MODES = {
+    full: 'Working tree + full history',
+    workingTree: 'Working tree only',
+    history: 'Full history only',
+    branch: 'Branch history',
+    range: 'Commit range'
+};
+
+/**
+ * Normalize a scope from settings or the UI. Globs may be given as arrays or comma/newline separated text.
+ * @param {Object} [scope]
+ * @param {'full'|'workingTree'|'history'|'branch'|'range'} [scope.mode='full']
+ * @param {string} [scope.ref] - Branch name (mode 'branch') or range such as `origin/main..HEAD` (mode 'range')
+ * @param {string[]|string} [scope.include] - Only report paths matching one of these globs
+ * @param {string[]|string} [scope.exclude] - Never report paths matching one of these globs
+ * @returns {{mode: string, ref: string|null, include: string[], exclude: string[]}}
+ * @throws {Error} When the mode is unknown or the branch/range is missing or malformed
+ */
+function normalizeScanScope(scope = {}) {
+    const mode = scope.mode || 'full';
+    if (!SCOPE_MODES[mode]) {
+        throw new Error(`Unknown scan scope: ${mode}`);
+    }
+    const ref = String(scope.ref || '').trim();
+    if (mode === 'branch' || mode === 'range') {
+        if (!ref) {
+            throw new Error(mode === 'branch' ? 'Enter the branch to scan' : 'Enter the commit range to scan, e.g. origin/main..HEAD');
+        }
+        // Refs are passed to git as arguments, so they must not look like options
+        if (ref.startsWith('-') || /\s/.test(ref)) {
+            throw new Error(`Invalid ${mode === 'branch' ? 'branch' : 'commit range'}: ${ref}`);
+        }
+        if (mode === 'range' && !ref.includes('..')) {
+            throw new Error(`A commit range needs two revisions, e.g. origin/main..HEAD: ${ref}`);
+        }
+    }
+    const toGlobs = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+        .map(glob => String(glob).trim())
+        .filter(Boolean);
+    return {
+        mode,
+        ref: mode === 'branch' || mode === 'range' ? ref : null,
+        include: toGlobs(scope.include),
+        exclude: toGlobs(scope.exclude)
+    };
+}
+
+/**
+ * Whether a scope covers everything (full history, no path globs).
+ * @param {Object} scope - Normalized scope
+ */
+function isFullScope(scope) {
+    return scope.mode === 'full' && scope.include.length === 0 && scope.exclude.length === 0;
+}
+
+/**
+ * One-line description for headers and reports, e.g. "Branch history: main · include src/**".
+ * @param {Object} scope - Normalized scope
+ * @returns {string}
+ */
+function describeScanScope(scope) {
+    const parts = [scope.ref ? `${SCOPE_MODES[scope.mode]}: ${scope.ref}` : SCOPE_MODES[scope.mode]];
+    if (scope.include.length > 0) {
+        parts.push(`include ${scope.include.join(', ')}`);
+    }
+    if (scope.exclude.length > 0) {
+        parts.push(`exclude ${scope.exclude.join(', ')}`);
+    }
+    return parts.join(' · ');
+}
+
+// Run git in `cwd`, writing `input` to its standard input
+async function runGit(cwd, args, input = '') {
+    const run = execFileAsync('git', ['-C', cwd, ...args], { maxBuffer: 256 * 1024 * 1024 });
+    // git may exit without reading its input, e.g. for an unknown ref; the exit status reports that
+    run.child.stdin.on('error', () => { });
+    run.child.stdin.end(input);
+    return (await run).stdout;
+}
+
+/**
+ * Whether a scope covers git history only, leaving the working tree out.
+ * @param {Object} scope - Normalized scope
+ */
+function isHistoryOnlyScope(scope) {
+    return scope.mode === 'history' || scope.mode === 'branch' || scope.mode === 'range';
+}
+
+/**
+ * Git directory of a repository, which history scopes scan so the working tree is not read.
+ * Linked worktrees resolve to the main repository's git directory, which holds the objects.
+ * @param {string} repoRoot
+ * @returns {Promise<string>} Absolute path
+ */
+async function getGitDirectory(repoRoot) {
+    return path.resolve(repoRoot, (await runGit(repoRoot, ['rev-parse', '--git-common-dir'])).trim());
+}
+
+/**
+ * Copy the commits of a branch or range scope into a temporary bare repository, so engines scan those
+ * commits only. Commits with a parent outside the scope become shallow roots whose whole tree counts as
+ * added: a secret committed before a range and still present in it is reported at the range's first commit.
+ * @param {string} repoRoot
+ * @param {Object} scope - Normalized scope
+ * @returns {Promise<string|null>} Repository path (remove it with removeScopeRepository), null for the other modes
+ * @throws {Error} When the branch or range does not resolve
+ */
+async function createScopeRepository(repoRoot, scope) {
+    if (scope.mode !== 'branch' && scope.mode !== 'range') {
+        return null;
+    }
+    let revList;
+    try {
+        revList = await runGit(repoRoot, ['rev-list', '--parents', scope.ref, '--']);
+    } catch (error) {
+        throw new Error(`Unknown ${scope.mode === 'branch' ? 'branch' : 'commit range'} ${scope.ref}: ${(error.stderr || error.message).trim().split('\n')[0]}`);
+    }
+    const parents = new Map(revList.split('\n').filter(Boolean).map(line => {
+        const [commit, ...commitParents] = line.trim().split(' ');
+        return [commit, commitParents];
+    }));
+    const commits = [...parents.keys()];
+    const shallow = new Set(commits.filter(commit => parents.get(commit).some(parent => !parents.has(parent))));
+    // Refs point at the commits no other commit of the copy reaches, shallow roots having no parents there
+    const reached = new Set(commits.filter(commit => !shallow.has(commit)).flatMap(commit => parents.get(commit)));
+    const tips = commits.filter(commit => !reached.has(commit));
+
+    const repository = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-scope-repo-'));
+    try {
+        await runGit(repository, ['init', '--bare', '-q']);
+        // Whole trees of every commit, including blobs first committed outside the scope
+        const objects = await runGit(repoRoot, ['rev-list', '--objects', '--no-walk=unsorted', '--stdin'], commits.join('\n'));
+        await runGit(repoRoot, ['pack-objects', '-q', path.join(repository, 'objects', 'pack', 'pack')], objects);
+        fs.writeFileSync(path.join(repository, 'shallow'), [...shallow].map(commit => `${commit}\n`).join(''));
+        await runGit(repository, ['update-ref', '--stdin'], tips.map((commit, index) => `create refs/heads/scope-${index + 1} ${commit}\n`).join(''));
+    } catch (error) {
+        removeScopeRepository(repository);
+        throw new Error(`Could not copy the commits of ${scope.ref}: ${(error.stderr || error.message).trim().split('\n')[0]}`);
+    }
+    return repository;
+}
+
+/**
+ * Remove a repository created by createScopeRepository.
+ * @param {string|null} repository
+ */
+function removeScopeRepository(repository) {
+    if (repository) {
+        fs.rmSync(repository, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Drop results outside a scope.
+ * @param {Array<Object>} results - Results with `path` and `isGitHistory`
+ * @param {Object} scope - Normalized scope
+ * @returns {Array<Object>}
+ */
+function filterResultsByScope(results, scope) {
+    return results.filter(result => {
+        if (scope.mode === 'workingTree' && result.isGitHistory) {
+            return false;
+        }
+        if (isHistoryOnlyScope(scope) && !result.isGitHistory) {
+            return false;
+        }
+        if (scope.include.length > 0 && !matchesAnyGlob(result.path, scope.include)) {
+            return false;
+        }
+        return !matchesAnyGlob(result.path, scope.exclude);
+    });
+}
+
+module.exports = {
+    SCOPE_MODES,
+    normalizeScanScope,
+    isFullScope,
+    describeScanScope,
+    isHistoryOnlyScope,
+    getGitDirectory,
+    createScopeRepository,
+    removeScopeRepository,
+    filterResultsByScope
+};
@@ -0,0 +1,83 @@
+// Persistent per-repository scan state.
+// Each scanned repository gets its own directory below the extension's global storage, holding the
+// Nosey Parker datastore (reused between scans so only new commits and blobs are scanned) and a small
+// state file with the built-in engine's history cache and the time of the last scan.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_ROOT_NAME = 'datastores';
+const STATE_FILE_NAME = 'state.json';
+const NOSEYPARKER_DATASTORE_NAME = 'noseyparker';
+
+/**
+ * Directory holding the persistent state of one repository.
+ * @param {string} storageRoot - Extension global storage path
+ * @param {string} repoPath - Scanned repository (or directory) path
+ * @returns {string}
+ */
+function getStoreDirectory(storageRoot, repoPath) {
+    const resolved = path.resolve(repoPath);
+    const hash = crypto.createHash('sha256').update(resolved).digest('hex').slice(0, 16);
+    const name = path.basename(resolved).replace(/[^A-Za-z0-9._-]/g, '_') || 'root';
+    return path.join(storageRoot, STORE_ROOT_NAME, `${name}-${hash}`);
+}
+
+/**
+ * Path of the Nosey Parker datastore inside a store directory.
+ * @param {string} storeDir
+ */
+function getNoseyParkerDatastore(storeDir) {
+    return path.join(storeDir, NOSEYPARKER_DATASTORE_NAME);
+}
+
+/**
+ * Read the saved state of a store; returns an empty object when nothing was saved yet.
+ * @param {string} storeDir
+ * @returns {Object}
+ */
+function readState(storeDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(storeDir, STATE_FILE_NAME), 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save the state of a store, creating the directory if needed.
+ * @param {string} storeDir
+ * @param {Object} state
+ */
+function writeState(storeDir, state) {
+    fs.mkdirSync(storeDir, { recursive: true });
+    const statePath = path.join(storeDir, STATE_FILE_NAME);
+    const tempPath = `${statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Delete a store so the next scan starts from scratch.
+ * @param {string} storeDir
+ */
+function removeStore(storeDir) {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+}
+
+/**
+ * Delete the stores of every repository.
+ * @param {string} storageRoot - Extension global storage path
+ */
+function removeAllStores(storageRoot) {
+    fs.rmSync(path.join(storageRoot, STORE_ROOT_NAME), { recursive: true, force: true });
+}
+
+module.exports = {
+    getStoreDirectory,
+    getNoseyParkerDatastore,
+    readState,
+    writeState,
+    removeStore,
+    removeAllStores
+};
@@ -0,0 +1,205 @@
+// Nosey Parker image used by every scan: a single reference from `leakLock.noseyParker.image` (config.js
+// DOCKER_IMAGE by default), ideally pinned by digest so everyone on a team scans with the same scanner.
+// Scans only pull the image when it is missing; "Update scanner" pulls the newest release and pins its digest.
+const { execFile } = require('child_process');
+const util = require('util');
+
+const { DOCKER_IMAGE } = require('./config');
+
+const execFileAsync = util.promisify(execFile);
+
+const INSPECT_TIMEOUT = 30000;
+const PULL_TIMEOUT = 300000;
+// Tag pulled by "Update scanner" when the configured reference does not name another one
+const RELEASE_TAG = 'latest';
+
+/**
+ * Configured image reference, or the default.
+ * @param {string} [reference] - `leakLock.noseyParker.image`
+ * @returns {string}
+ * @throws {Error} When the reference could be taken for a docker option or contains whitespace
+ */
+function getScannerImage(reference) {
+    const image = String(reference || '').trim() || DOCKER_IMAGE;
+    // Passed as a docker argument, where a leading `-` would be read as an option
+    if (image.startsWith('-') || /\s/.test(image)) {
+        throw new Error(`Invalid Nosey Parker image reference: ${image}`);
+    }
+    return image;
+}
+
+/**
+ * Split an image reference into repository, tag and digest.
+ * @param {string} reference - e.g. `ghcr.io/praetorian-inc/noseyparker:latest` or `...noseyparker@sha256:…`
+ * @returns {{repository: string, tag: string|null, digest: string|null}}
+ */
+function parseImageReference(reference) {
+    let rest = getScannerImage(reference);
+    let digest = null;
+    const at = rest.indexOf('@');
+    if (at !== -1) {
+        digest = rest.slice(at + 1);
+        rest = rest.slice(0, at);
+    }
+    // A colon after the last slash starts the tag; earlier ones belong to a registry port
+    const colon = rest.lastIndexOf(':');
+    const tag = colon > rest.lastIndexOf('/') ? rest.slice(colon + 1) : null;
+    return { repository: tag === null ? rest : rest.slice(0, colon), tag, digest };
+}
+
+/**
+ * Whether a reference names one exact image.
+ * @param {string} reference
+ */
+function isPinned(reference) {
+    return /^sha256:[0-9a-f]{64}$/.test(parseImageReference(reference).digest || '');
+}
+
+/**
+ * Reference pinned to a digest of the reference's repository.
+ * @param {string} reference
+ * @param {string} digest - `sha256:…`
+ */
+function pinReference(reference, digest) {
+    return `${parseImageReference(reference).repository}@${digest}`;
+}
+
+/**
+ * Short form of a digest for messages, e.g. `sha256:1a2b3c4d5e6f`.
+ * @param {string|null} digest
+ */
+function shortDigest(digest) {
+    return digest ? digest.slice(0, 'sha256:'.length + 12) : null;
+}
+
+/**
+ * Registry digest of a local image, or null when the image is not present.
+ * @param {string} reference
+ * @returns {Promise<string|null>}
+ */
+async function getLocalDigest(reference) {
+    try {
+        const { stdout } = await execFileAsync('docker', ['image', 'inspect', '--format', '{{json .RepoDigests}}', reference], { timeout: INSPECT_TIMEOUT });
+        const { repository } = parseImageReference(reference);
+        const repoDigest = (JSON.parse(stdout.trim()) || []).find(entry => entry.startsWith(`${repository}@`));
+        // Images built locally have no registry digest
+        return repoDigest ? repoDigest.slice(repository.length + 1) : '';
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Digests of the local images of the reference's repository.
+ * @param {string} reference
+ * @returns {Promise<string[]>}
+ */
+async function listLocalDigests(reference) {
+    try {
+        const { stdout } = await execFileAsync('docker', ['image', 'ls', '--digests', '--format', '{{.Digest}}', parseImageReference(reference).repository], { timeout: INSPECT_TIMEOUT });
+        return [...new Set(stdout.split('\n').map(line => line.trim()).filter(line => line.startsWith('sha256:')))];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Compare the local scanner image with the configured reference.
+ * @param {string} reference
+ * @returns {Promise<{image: string, status: 'pinned'|'unpinned'|'differs'|'missing', digest: string|null,
+ *   localDigests: string[]}>} `differs`: the pinned image is missing but other versions are present;
+ *   `digest` is the digest of the local image the reference resolves to
+ */
+async function checkScannerImage(reference) {
+    const image = getScannerImage(reference);
+    const digest = await getLocalDigest(image);
+    if (digest !== null) {
+        return { image, status: isPinned(image) ? 'pinned' : 'unpinned', digest: digest || null, localDigests: [] };
+    }
+    const localDigests = isPinned(image) ? await listLocalDigests(image) : [];
+    return { image, status: localDigests.length > 0 ? 'differs' : 'missing', digest: null, localDigests };
+}
+
+/**
+ * Human-readable problem of a check, or null when the local image is the pinned one.
+ * @param {Object} check - Result of checkScannerImage()
+ */
+function describeScannerCheck(check) {
+    switch (check.status) {
+        case 'unpinned':
+            return `Nosey Parker image ${check.image} is not pinned by digest (local image ${shortDigest(check.digest) || 'built locally'}), so scan results can differ between machines. Run "Leak Lock: Update Scanner" to pin it.`;
+        case 'differs':
+            return `The local Nosey Parker image (${check.localDigests.map(shortDigest).join(', ')}) differs from the pinned ${shortDigest(parseImageReference(check.image).digest)}.`;
+        case 'missing':
+            return `Nosey Parker image ${check.image} is not available locally.`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Pull an image.
+ * @param {string} reference
+ * @param {Object} [options]
+ * @param {function(import('child_process').ChildProcess): void} [options.onProcess] - Receives the pull
+ *   process, e.g. to stop it when a scan is cancelled
+ */
+function pullImage(reference, { onProcess = () => { } } = {}) {
+    const image = getScannerImage(reference);
+    return new Promise((resolve, reject) => {
+        const child = execFile('docker', ['pull', image], { timeout: PULL_TIMEOUT }, (error) => {
+            if (error) {
+                reject(new Error(`docker pull ${image} failed: ${error.message}`));
+            } else {
+                resolve();
+            }
+        });
+        onProcess(child);
+    });
+}
+
+/**
+ * Version line reported by the scanner image, e.g. `noseyparker 0.24.0`.
+ * @param {string} reference
+ * @returns {Promise<string|null>}
+ */
+async function getScannerVersion(reference) {
+    try {
+        const { stdout } = await execFileAsync('docker', ['run', '--rm', getScannerImage(reference), '--version'], { timeout: INSPECT_TIMEOUT });
+        return stdout.trim().split('\n')[0] || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Pull the newest release of the configured image: the reference's tag when it is not pinned, otherwise
+ * `latest`. The result is not applied; the caller decides whether to pin it.
+ * @param {string} reference - Configured reference
+ * @returns {Promise<{reference: string, digest: string, version: string|null, changed: boolean}>}
+ */
+async function updateScannerImage(reference) {
+    const current = getScannerImage(reference);
+    const { repository, tag } = parseImageReference(current);
+    const source = `${repository}:${tag && !isPinned(current) ? tag : RELEASE_TAG}`;
+    await pullImage(source);
+    const digest = await getLocalDigest(source);
+    if (!digest) {
+        throw new Error(`No registry digest for ${source}`);
+    }
+    const pinned = pinReference(current, digest);
+    return { reference: pinned, digest, version: await getScannerVersion(pinned), changed: pinned !== current };
+}
+
+module.exports = {
+    getScannerImage,
+    parseImageReference,
+    isPinned,
+    pinReference,
+    shortDigest,
+    checkScannerImage,
+    describeScannerCheck,
+    pullImage,
+    getScannerVersion,
+    updateScannerImage
+};
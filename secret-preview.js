@@ -0,0 +1,47 @@
+// Masked previews of secret values for display: a few leading and trailing characters, the length and
+// the entropy. The results webview only ever receives these; full values stay with the scanner
+// (see SecretScanner.getSecretValue in scan-core.js).
+const { shannonEntropy } = require('./native-scanner');
+
+const MASK_VISIBLE_PREFIX = 4;
+const MASK_VISIBLE_SUFFIX = 2;
+const MASK_MIN_LENGTH = 12; // Shorter secrets are masked completely
+const PREVIEW_MAX_MASK = 8; // The masked middle of a preview never grows longer than this
+
+/**
+ * Mask all but a few leading and trailing characters of a secret. The one masking routine of Leak Lock,
+ * used by previews and by exports with `secrets: 'mask'` (report-export.js).
+ * @param {string} secret - Full matched value; multi-line values (e.g. private keys) are masked as one line
+ * @param {Object} [options]
+ * @param {number} [options.maxMask=Infinity] - Limit for the number of `*` characters
+ * @returns {string}
+ */
+function maskSecret(secret, { maxMask = Infinity } = {}) {
+    const value = String(secret || '').replace(/\s*[\r\n]+\s*/g, ' ');
+    if (value.length < MASK_MIN_LENGTH) {
+        return '*'.repeat(Math.min(value.length, maxMask));
+    }
+    const hidden = value.length - MASK_VISIBLE_PREFIX - MASK_VISIBLE_SUFFIX;
+    return value.slice(0, MASK_VISIBLE_PREFIX) +
+        '*'.repeat(Math.min(hidden, maxMask)) +
+        value.slice(-MASK_VISIBLE_SUFFIX);
+}
+
+/**
+ * Masked preview of a secret.
+ * @param {string} secret - Full matched value
+ * @returns {{masked: string, length: number, entropy: number}} `entropy` in bits per character, one decimal
+ */
+function buildSecretPreview(secret) {
+    const value = String(secret || '');
+    return {
+        masked: maskSecret(value, { maxMask: PREVIEW_MAX_MASK }),
+        length: [...value].length,
+        entropy: Math.round(shannonEntropy(value) * 10) / 10
+    };
+}
+
+module.exports = {
+    maskSecret,
+    buildSecretPreview
+};
@@ -0,0 +1,161 @@
+// Finding suppressions stored in a `.leaklockignore` file at the repository root.
+// The file is meant to be committed so the whole team shares the same baseline. One entry per line:
+//
+//   # Test fixtures
+//   path:test/test-secrets.js
+//   fingerprint:3f9c0a4e1b2d7c6e5a81
+//   rule:Generic Password
+//   secret:<keyed hash of the secret value>
+//   salt:<64 hex characters>
+//
+// Blank lines and lines starting with `#` are ignored. Paths are gitignore-style globs relative to the repo root.
+// Fingerprints and secret hashes are keyed with the `salt:` entry, written with the first such entry, so
+// everyone sharing the file computes the same values.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { SALT_PATTERN, deriveLocalSalt } = require('./finding-fingerprint');
+const { matchesGlob, normalizePath } = require('./glob-match');
+
+const SUPPRESSION_FILE_NAME = '.leaklockignore';
+const SUPPRESSION_TYPES = ['fingerprint', 'rule', 'path', 'secret'];
+// Suppressions whose values are keyed with the salt
+const SALTED_TYPES = ['fingerprint', 'secret'];
+
+const FILE_HEADER = [
+    '# Leak Lock suppressions: findings matching any entry below are hidden from scan results.',
+    '# Entries: fingerprint:<id>, rule:<rule name>, path:<glob>, secret:<keyed hash of the secret>',
+    ''
+].join('\n');
+
+/**
+ * Parse the contents of a suppression file.
+ * Lines that are not `type:value` with a known type are skipped with a warning.
+ * @param {string} text
+ * @returns {Array<{type: string, value: string, line: number}>}
+ */
+function parseSuppressions(text) {
+    const entries = [];
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            return;
+        }
+        const separator = line.indexOf(':');
+        const type = separator > 0 ? line.slice(0, separator).trim().toLowerCase() : '';
+        const value = separator > 0 ? line.slice(separator + 1).trim() : '';
+        const known = SUPPRESSION_TYPES.includes(type) || (type === 'salt' && SALT_PATTERN.test(value.toLowerCase()));
+        if (!known || !value) {
+            console.warn(`${SUPPRESSION_FILE_NAME}:${index + 1}: ignoring invalid entry "${line}"`);
+            return;
+        }
+        entries.push({ type, value, line: index + 1 });
+    });
+    return entries;
+}
+
+/**
+ * Load the suppressions of a repository; returns an empty list when there is no suppression file.
+ * @param {string} repoRoot
+ */
+function loadSuppressions(repoRoot) {
+    const filePath = path.join(repoRoot, SUPPRESSION_FILE_NAME);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return parseSuppressions(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Salt of a repository's fingerprints and secret hashes (finding-fingerprint.js): the `salt:` entry of its
+ * suppression file, or else a local salt derived for the directory. Without a directory a random salt is used.
+ * @param {string|null} repoRoot
+ * @returns {string} Hex salt
+ */
+function getRepositorySalt(repoRoot) {
+    if (!repoRoot) {
+        return crypto.randomBytes(32).toString('hex');
+    }
+    let entry = null;
+    try {
+        entry = loadSuppressions(repoRoot).find(candidate => candidate.type === 'salt');
+    } catch (error) {
+        console.warn(`Could not read ${SUPPRESSION_FILE_NAME}:`, error.message);
+    }
+    return entry ? entry.value.toLowerCase() : deriveLocalSalt(repoRoot);
+}
+
+/**
+ * Find the suppression entry matching a finding.
+ * @param {Object} finding - Result with `fingerprint`, `rule`, `path` (repo-relative) and `secretHash`
+ * @param {Array<{type: string, value: string}>} entries
+ * @returns {Object|null} The first matching entry
+ */
+function findSuppression(finding, entries) {
+    for (const entry of entries) {
+        switch (entry.type) {
+            case 'fingerprint':
+                if (finding.fingerprint === entry.value) return entry;
+                break;
+            case 'rule':
+                if (finding.rule && finding.rule.toLowerCase() === entry.value.toLowerCase()) return entry;
+                break;
+            case 'path':
+                if (finding.path && matchesGlob(finding.path, entry.value)) return entry;
+                break;
+            case 'secret':
+                if (finding.secretHash === entry.value.toLowerCase()) return entry;
+                break;
+        }
+    }
+    return null;
+}
+
+/**
+ * Append an entry to the repository's suppression file, creating it when missing.
+ * Entries that are already present are not duplicated.
+ * @param {string} repoRoot
+ * @param {string} type - One of SUPPRESSION_TYPES
+ * @param {string} value
+ * @param {string} [comment] - Optional comment written above the entry
+ * @returns {string} Path of the suppression file
+ */
+function addSuppression(repoRoot, type, value, comment) {
+    if (!SUPPRESSION_TYPES.includes(type)) {
+        throw new Error(`Unknown suppression type: ${type}`);
+    }
+    const normalizedValue = type === 'path' ? normalizePath(value) : String(value).trim();
+    if (!normalizedValue || /[\r\n]/.test(normalizedValue)) {
+        throw new Error('Suppression value must be a single non-empty line');
+    }
+
+    const filePath = path.join(repoRoot, SUPPRESSION_FILE_NAME);
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : FILE_HEADER;
+    if (parseSuppressions(existing).some(entry => entry.type === type && entry.value === normalizedValue)) {
+        return filePath;
+    }
+
+    const lines = [];
+    if (SALTED_TYPES.includes(type) && !parseSuppressions(existing).some(entry => entry.type === 'salt')) {
+        // The salt the value was computed with, so teammates and CI compute the same values
+        lines.push('# Salt of the fingerprint and secret entries; keep it with them', `salt:${getRepositorySalt(repoRoot)}`, '');
+    }
+    if (comment) {
+        lines.push(`# ${comment.replace(/[\r\n]+/g, ' ')}`);
+    }
+    lines.push(`${type}:${normalizedValue}`);
+    const separator = existing.length === 0 || existing.endsWith('\n') ? '' : '\n';
+    fs.writeFileSync(filePath, `${existing}${separator}${lines.join('\n')}\n`);
+    return filePath;
+}
+
+module.exports = {
+    SUPPRESSION_FILE_NAME,
+    SUPPRESSION_TYPES,
+    parseSuppressions,
+    loadSuppressions,
+    getRepositorySalt,
+    findSuppression,
+    addSuppression
+};
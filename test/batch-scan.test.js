@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findGitRepositories, mapWithConcurrency, summarizeResults } = require('../batch-scan');
+
+suite('Batch Scan Test Suite', () => {
+
+	test('Finds repositories without descending into them', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-batch-'));
+		try {
+			for (const dir of ['api/.git', 'api/vendored/.git', 'group/web/.git', 'node_modules/dep/.git', '.cache/repo/.git', 'docs']) {
+				fs.mkdirSync(path.join(root, dir), { recursive: true });
+			}
+			fs.mkdirSync(path.join(root, 'worktree'));
+			fs.writeFileSync(path.join(root, 'worktree', '.git'), 'gitdir: ../api/.git/worktrees/x\n');
+
+			assert.deepStrictEqual(findGitRepositories(root).map(repo => path.relative(root, repo)),
+				['api', path.join('group', 'web'), 'worktree']);
+			assert.deepStrictEqual(findGitRepositories(root, { maxDepth: 1 }).map(repo => path.relative(root, repo)), ['api', 'worktree']);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('Bounds parallelism and stops after a failure', async () => {
+		let running = 0;
+		let peak = 0;
+		const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+			running++;
+			peak = Math.max(peak, running);
+			await new Promise(resolve => setTimeout(resolve, delay));
+			running--;
+			return index * 2;
+		});
+		assert.deepStrictEqual(results, [0, 2, 4, 6]);
+		assert.strictEqual(peak, 2);
+
+		const started = [];
+		await assert.rejects(mapWithConcurrency([1, 2, 3], 1, async (item) => {
+			started.push(item);
+			if (item === 2) {
+				throw new Error('boom');
+			}
+		}), /boom/);
+		assert.deepStrictEqual(started, [1, 2]);
+
+		assert.deepStrictEqual(summarizeResults([
+			{ severity: 'high', isGitHistory: true },
+			{ severity: 'warning' },
+			{ severity: 'low', suppressed: true }
+		]), { total: 2, high: 1, medium: 0, low: 0, other: 1, history: 1 });
+	});
+});
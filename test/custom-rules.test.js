@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const {
+	CUSTOM_RULESET_ID,
+	parseRuleFile,
+	compileRule,
+	loadCustomRules,
+	testRule,
+	serializeRuleFile,
+	saveCustomRule,
+	isCustomRulesPath
+} = require('../custom-rules');
+const { SecretScanner } = require('../scan-core');
+
+const RULE_FILE = `# Internal tokens
+rules:
+  - name: ACME Live Service Key
+    id: acme.live.1
+    pattern: |
+      (?x)
+      \\b
+      (acme_live_[A-Za-z0-9]{8})   # the key
+      \\b
+    examples:
+      - 'ACME_KEY=acme_live_a1b2c3d4'
+    negative_examples: []
+  - name: "Billing Token"
+    id: acme.billing.1
+    pattern: '(?i)billing_([a-f0-9]{6})'
+`;
+
+suite('Custom Rules Test Suite', () => {
+
+	test('Parses Nosey Parker rule files', () => {
+		const rules = parseRuleFile(RULE_FILE);
+		assert.deepStrictEqual(rules.map(rule => rule.id), ['acme.live.1', 'acme.billing.1']);
+		assert.strictEqual(rules[0].pattern, '(?x)\n\\b\n(acme_live_[A-Za-z0-9]{8})   # the key\n\\b\n');
+		assert.deepStrictEqual(rules[0].examples, ['ACME_KEY=acme_live_a1b2c3d4']);
+		assert.deepStrictEqual(rules[0].negative_examples, []);
+		assert.throws(() => parseRuleFile('name: not a rule file'), /rules/);
+		assert.throws(() => parseRuleFile('rules:\n  - name: a\n   id: b\n'), /^Error: Line 3: bad indentation/);
+	});
+
+	test('Translates Rust regex syntax', () => {
+		const [extended, caseless] = parseRuleFile(RULE_FILE).map(compileRule);
+		assert.strictEqual(extended.pattern.source, '\\b(acme_live_[A-Za-z0-9]{8})\\b');
+		assert.strictEqual(caseless.pattern.flags, 'gi');
+		assert.strictEqual(compileRule({ name: 'n', id: 'n', pattern: '\\A(?P<key>k_\\d+)\\z' }).pattern.source, '^(?<key>k_\\d+)$');
+		assert.throws(() => compileRule({ name: 'n', id: 'n', pattern: 'a(?i)b' }), /inline flags/);
+		assert.throws(() => compileRule({ name: 'n', id: 'bad id', pattern: 'a' }), /id/);
+	});
+
+	test('Tests a rule against sample text and its examples', () => {
+		const rule = { ...parseRuleFile(RULE_FILE)[0], negative_examples: ['acme_live_a1b2c3d4'] };
+		const result = testRule(rule, 'config:\n  key: acme_live_Z9y8X7w6\n');
+		assert.deepStrictEqual(result.matches, [{ secret: 'acme_live_Z9y8X7w6', line: 2, column: 8 }]);
+		assert.deepStrictEqual(result.failedExamples, []);
+		assert.deepStrictEqual(result.matchedNegativeExamples, ['acme_live_a1b2c3d4']);
+	});
+
+	test('Saves rules that load back unchanged', () => {
+		const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-rules-'));
+		try {
+			const rule = { name: "ACME's key", id: 'acme.live.1', pattern: '(?x)\n(acme_live_\\w+)  # key', examples: ['acme_live_x'] };
+			assert.deepStrictEqual(parseRuleFile(serializeRuleFile([rule])), [rule]);
+
+			const filePath = saveCustomRule(repoRoot, rule);
+			assert.strictEqual(path.basename(filePath), 'acme.live.1.yml');
+			const loaded = loadCustomRules(repoRoot);
+			assert.deepStrictEqual(loaded.errors, []);
+			assert.deepStrictEqual(loaded.rules.map(compiled => compiled.name), ["ACME's key"]);
+			assert.ok(loaded.hash);
+			assert.ok(isCustomRulesPath('.leaklock/rules/acme.live.1.yml'));
+
+			fs.writeFileSync(path.join(loaded.directory, 'other.yml'), serializeRuleFile([rule, { ...rule, id: 'acme.test.1' }]));
+			assert.match(loadCustomRules(repoRoot).errors[0].message, /Duplicate rule id/);
+			assert.throws(() => saveCustomRule(repoRoot, { ...rule, id: 'acme.test.1' }), /already defined in other\.yml/);
+		} finally {
+			fs.rmSync(repoRoot, { recursive: true, force: true });
+		}
+	});
+
+	test('Enables repository rules in the Nosey Parker ruleset', () => {
+		const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-rules-'));
+		const scanner = new SecretScanner();
+		let rulesArgs = null;
+		try {
+			saveCustomRule(repoRoot, parseRuleFile(RULE_FILE)[0]);
+			scanner.useCustomRules(repoRoot);
+			rulesArgs = scanner._getNoseyParkerRulesArgs();
+			assert.deepStrictEqual(rulesArgs.mount, ['-v', `${path.join(repoRoot, '.leaklock', 'rules')}:/rules:ro`, '-v', `${rulesArgs.directory}:/ruleset:ro`]);
+			assert.deepStrictEqual(rulesArgs.scan, ['--rules-path', '/rules', '--rules-path', '/ruleset', '--ruleset', 'default', '--ruleset', CUSTOM_RULESET_ID]);
+
+			// Rules loaded with --rules-path only run when an enabled ruleset includes their ids
+			const [ruleset] = yaml.load(fs.readFileSync(path.join(rulesArgs.directory, 'ruleset.yml'), 'utf8')).rulesets;
+			assert.strictEqual(ruleset.id, CUSTOM_RULESET_ID);
+			assert.deepStrictEqual(ruleset.include_rule_ids, ['acme.live.1']);
+		} finally {
+			fs.rmSync(repoRoot, { recursive: true, force: true });
+			if (rulesArgs?.directory) {
+				fs.rmSync(rulesArgs.directory, { recursive: true, force: true });
+			}
+		}
+		assert.deepStrictEqual(new SecretScanner()._getNoseyParkerRulesArgs(), { directory: null, mount: [], scan: [] });
+	});
+
+	test('Reports repository rules in Nosey Parker scans', async function () {
+		this.timeout(10 * 60 * 1000);
+		const scanner = new SecretScanner({ scanEngine: 'noseyparker' });
+		const engineChoice = await scanner.resolveEngine();
+		if (!engineChoice.engine) {
+			this.skip(); // Needs Docker
+		}
+		const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-rules-'));
+		try {
+			saveCustomRule(repoRoot, parseRuleFile(RULE_FILE)[0]);
+			fs.writeFileSync(path.join(repoRoot, 'settings.txt'), 'ACME_KEY=acme_live_Z9y8X7w6\n');
+			const scan = await scanner.scan(repoRoot, { engineChoice });
+			assert.deepStrictEqual(scan.results.map(result => [result.file, result.rule]), [['settings.txt', 'ACME Live Service Key']]);
+		} finally {
+			fs.rmSync(repoRoot, { recursive: true, force: true });
+		}
+	});
+});
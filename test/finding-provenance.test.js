@@ -0,0 +1,54 @@
+const assert = require('assert');
+
+const { normalizeTimestamp, getHistoryProvenance } = require('../finding-provenance');
+
+suite('Finding Provenance Test Suite', () => {
+
+	test('Reads commit provenance of history matches', () => {
+		const noseyParkerMatch = {
+			provenance: [
+				{ kind: 'file', path: '/scan/.git' },
+				{
+					kind: 'git_repo',
+					repo_path: '/scan/.git',
+					first_commit: {
+						blob_path: 'config/settings.py',
+						commit_metadata: {
+							commit_id: '3f2a9c1d5e7b8a0c4d6e8f0a1b2c3d4e5f6a7b8c',
+							committer_name: 'CI Bot',
+							committer_email: 'ci@example.com',
+							committer_timestamp: '2023-04-25 15:23:48.0 -07:00:00',
+							message: 'Add settings\n\nLonger description'
+						}
+					}
+				}
+			]
+		};
+		assert.deepStrictEqual(getHistoryProvenance(noseyParkerMatch), {
+			commitId: '3f2a9c1d5e7b8a0c4d6e8f0a1b2c3d4e5f6a7b8c',
+			author: 'CI Bot',
+			authorEmail: 'ci@example.com',
+			date: '2023-04-25T22:23:48.000Z',
+			message: 'Add settings',
+			blobPath: 'config/settings.py'
+		});
+
+		const nativeMatch = {
+			provenance: [{
+				kind: 'git_repo',
+				first_commit: {
+					blob_path: 'app.js',
+					commit_metadata: { commit_id: 'not a sha', author_name: 'Dev', author_timestamp: '2024-01-02T03:04:05+01:00', message: '' }
+				}
+			}]
+		};
+		const provenance = getHistoryProvenance(nativeMatch);
+		assert.strictEqual(provenance.commitId, null);
+		assert.strictEqual(provenance.date, '2024-01-02T02:04:05.000Z');
+		assert.strictEqual(provenance.message, null);
+
+		assert.strictEqual(getHistoryProvenance({ provenance: [{ kind: 'file', path: 'a.js' }] }), null);
+		assert.strictEqual(normalizeTimestamp(1700000000), '2023-11-14T22:13:20.000Z');
+		assert.strictEqual(normalizeTimestamp('yesterday-ish'), 'yesterday-ish');
+	});
+});
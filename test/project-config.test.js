@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+	PROJECT_CONFIG_FILE,
+	validateProjectConfig,
+	loadProjectConfig,
+	resolveProjectConfig,
+	isRuleDisabled,
+	getDefaultReplacement
+} = require('../project-config');
+
+suite('Project Config Test Suite', () => {
+
+	test('Validates against the contributed schema', () => {
+		assert.deepStrictEqual(validateProjectConfig({
+			exclude: ['fixtures/**'],
+			severityOverrides: { 'Generic Password': 'low' },
+			rewrite: { allowed: true, tool: 'git', forcePush: 'never' }
+		}), []);
+		assert.deepStrictEqual(validateProjectConfig({ rewrite: { tool: 'svn' }, excludes: [] }), [
+			'rewrite.tool must be one of "any", "bfg", "git"',
+			'Unknown setting excludes'
+		]);
+		assert.deepStrictEqual(validateProjectConfig({ exclude: [1] }), ['exclude[0] must be a string']);
+	});
+
+	test('Loads the valid sections of .leaklock.json', () => {
+		const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-config-'));
+		try {
+			assert.deepStrictEqual(loadProjectConfig(repoRoot), { path: null, config: null, errors: [] });
+
+			const filePath = path.join(repoRoot, PROJECT_CONFIG_FILE);
+			fs.writeFileSync(filePath, JSON.stringify({ exclude: ['docs/**'], dependencies: { handling: 'ignore' } }));
+			const loaded = loadProjectConfig(repoRoot);
+			assert.strictEqual(loaded.path, filePath);
+			assert.deepStrictEqual(loaded.config, { exclude: ['docs/**'] });
+			assert.deepStrictEqual(loaded.errors, ['dependencies.handling must be one of "warning", "exclude", "normal"']);
+
+			fs.writeFileSync(filePath, '{ "exclude": [');
+			assert.strictEqual(loadProjectConfig(repoRoot).config, null);
+			assert.match(loadProjectConfig(repoRoot).errors[0], /^Invalid JSON/);
+		} finally {
+			fs.rmSync(repoRoot, { recursive: true, force: true });
+		}
+	});
+
+	test('Merges the project file over the settings', () => {
+		const settings = { dependencyHandling: 'exclude', exclude: ['tmp/**'], severityOverrides: { A: 'low', B: 'low' } };
+		assert.deepStrictEqual(resolveProjectConfig(settings, null).rewrite, { allowed: true, tool: 'any', forcePush: 'prompt' });
+
+		const effective = resolveProjectConfig(settings, {
+			exclude: ['fixtures/**'],
+			rules: { disabled: ['Generic Password'] },
+			severityOverrides: { B: 'high' },
+			dependencies: { handling: 'normal', paths: ['third_party/**'] },
+			rewrite: { allowed: false }
+		});
+		assert.deepStrictEqual(effective.exclude, ['tmp/**', 'fixtures/**']);
+		assert.deepStrictEqual(effective.severityOverrides, { A: 'low', B: 'high' });
+		assert.strictEqual(effective.dependencyHandling, 'normal');
+		assert.deepStrictEqual(effective.dependencyPaths, ['third_party/**']);
+		assert.deepStrictEqual(effective.rewrite, { allowed: false, tool: 'any', forcePush: 'prompt' });
+		assert.ok(isRuleDisabled('Generic Password', effective));
+		assert.ok(!isRuleDisabled(null, effective));
+	});
+
+	test('Proposes replacements by rule', () => {
+		const effective = resolveProjectConfig({}, {
+			replacements: { default: 'REDACTED', byRule: { 'Slack Token': 'xoxb-REDACTED' } }
+		});
+		assert.strictEqual(getDefaultReplacement('Slack Token', effective), 'xoxb-REDACTED');
+		assert.strictEqual(getDefaultReplacement('AWS API Key', effective), '***REMOVED_API_KEY***');
+		assert.strictEqual(getDefaultReplacement('Credit Card Number', effective), 'REDACTED');
+		assert.strictEqual(getDefaultReplacement(null, resolveProjectConfig()), '*****');
+	});
+});
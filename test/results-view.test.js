@@ -0,0 +1,33 @@
+const assert = require('assert');
+
+const { normalizeResultsView, describeForView, applyResultsView } = require('../results-view');
+
+suite('Results View Test Suite', () => {
+
+	const results = [
+		{ id: 'a', path: 'src/app.js', line: 12, severity: 'medium', rule: 'Generic API Key', description: 'API key' },
+		{ id: 'b', path: 'src/app.js', line: 3, severity: 'high', rule: 'AWS API Key', description: 'AWS key', isGitHistory: true },
+		{ id: 'c', path: 'node_modules/x/index.js', line: 7, severity: 'warning', rule: 'AWS API Key', description: 'AWS key', isDependency: true },
+		{ id: 'd', path: 'notes.txt', line: 1, severity: 'low', rule: 'Password', description: 'Password', isUntracked: true }
+	];
+	const ids = (list) => list.map(result => result.id);
+
+	test('Normalizes views and describes rows', () => {
+		assert.deepStrictEqual(normalizeResultsView({ sort: 'bogus', kinds: ['history', 'nope'], search: '  aws ' }),
+			{ sort: 'default', direction: 'asc', severities: [], kinds: ['history'], search: 'aws' });
+		const row = describeForView([results[1], results[0]]);
+		assert.strictEqual(row.severity, 'high');
+		assert.deepStrictEqual(row.kinds, ['history', 'tracked']);
+		assert.strictEqual(row.rule, 'AWS API Key, Generic API Key');
+	});
+
+	test('Filters, searches and sorts results', () => {
+		assert.deepStrictEqual(ids(applyResultsView(results, {})), ['a', 'b', 'c', 'd']);
+		assert.deepStrictEqual(ids(applyResultsView(results, { sort: 'severity' })), ['b', 'a', 'c', 'd']);
+		assert.deepStrictEqual(ids(applyResultsView(results, { sort: 'file', direction: 'desc' })), ['a', 'b', 'd', 'c']);
+		assert.deepStrictEqual(ids(applyResultsView(results, { sort: 'line' })), ['d', 'b', 'c', 'a']);
+		assert.deepStrictEqual(ids(applyResultsView(results, { kinds: ['history', 'untracked'] })), ['b', 'd']);
+		assert.deepStrictEqual(ids(applyResultsView(results, { kinds: ['tracked'], severities: ['medium'] })), ['a']);
+		assert.deepStrictEqual(ids(applyResultsView(results, { search: 'AWS node_modules' })), ['c']);
+	});
+});
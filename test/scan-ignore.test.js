@@ -0,0 +1,56 @@
+const assert = require('assert');
+
+const { resolveProjectConfig } = require('../project-config');
+const {
+	getDependencyPatterns,
+	getScanIgnorePatterns,
+	formatIgnoreFile,
+	isListedPath,
+	isCredentialFile,
+	createPathFilter
+} = require('../scan-ignore');
+
+suite('Scan Ignore Test Suite', () => {
+
+	test('Ignores dependencies only when they are excluded', () => {
+		const settings = { exclude: ['docs/**'], dependencyPaths: ['third_party/'] };
+		assert.deepStrictEqual(getScanIgnorePatterns(resolveProjectConfig(settings)), ['docs/**']);
+
+		const excluded = getScanIgnorePatterns(resolveProjectConfig({ ...settings, dependencyHandling: 'exclude' }));
+		assert.ok(excluded.includes('node_modules/'));
+		assert.ok(excluded.includes('third_party/'));
+		assert.ok(!excluded.includes('.git/'), 'repository metadata stays readable');
+		assert.ok(getDependencyPatterns(resolveProjectConfig(settings)).includes('.git/'));
+	});
+
+	test('Keeps anchored globs anchored to the scanned directory', () => {
+		assert.strictEqual(formatIgnoreFile(['node_modules/', '/docs/examples/**', 'src/generated/', '**/fixtures/'], [], { root: '/scan' }),
+			'# Generated by Leak Lock for this scan\n**/node_modules/\n/scan/docs/examples/**\n/scan/src/generated/\n/scan/**/fixtures/\n');
+		// Scanning web/: globs below web/ lose the prefix, globs elsewhere in the repository are left out
+		assert.strictEqual(formatIgnoreFile(['web/dist/', 'api/dist/', '*/vendor/**', '/web/'], [], { root: '/scan', prefix: 'web' }),
+			'# Generated by Leak Lock for this scan\n/scan/dist/\n/scan/vendor/**\n/scan/**\n');
+		assert.strictEqual(formatIgnoreFile([], ['out/', 'logs/run[1].log', '.env'], { root: '/scan' }),
+			'# Generated by Leak Lock for this scan\n/scan/out/\n/scan/logs/run\\[1\\].log\n/scan/.env\n');
+	});
+
+	test('Matches git-ignored paths and credential files', () => {
+		const ignored = new Set(['generated/', 'debug.log']);
+		assert.ok(isListedPath('generated/app/bundle.js', ignored));
+		assert.ok(isListedPath('debug.log', ignored));
+		assert.ok(!isListedPath('generated.js', ignored));
+		assert.ok(createPathFilter([], '', ignored)('generated', true));
+		assert.ok(isCredentialFile('config/.env.local'));
+		assert.ok(isCredentialFile('keys/deploy.pem'));
+		assert.ok(!isCredentialFile('dist/bundle.js'));
+	});
+
+	test('Filters paths relative to the scanned directory', () => {
+		const isIgnored = createPathFilter(['node_modules/', 'web/secrets.json'], 'web');
+		assert.ok(isIgnored('node_modules', true));
+		assert.ok(isIgnored('lib/node_modules', true));
+		assert.ok(!isIgnored('node_modules', false), 'directory globs do not match files');
+		assert.ok(isIgnored('secrets.json', false));
+		assert.ok(!isIgnored('src', true));
+		assert.strictEqual(createPathFilter([])('node_modules', true), false);
+	});
+});
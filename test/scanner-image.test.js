@@ -0,0 +1,48 @@
+const assert = require('assert');
+
+const {
+	getScannerImage,
+	parseImageReference,
+	isPinned,
+	pinReference,
+	shortDigest,
+	describeScannerCheck
+} = require('../scanner-image');
+const { DOCKER_IMAGE } = require('../config');
+
+const DIGEST = `sha256:${'0123456789abcdef'.repeat(4)}`;
+
+suite('Scanner Image Test Suite', () => {
+
+	test('Parses image references', () => {
+		assert.strictEqual(getScannerImage(''), DOCKER_IMAGE);
+		assert.strictEqual(getScannerImage(' example/noseyparker:1 '), 'example/noseyparker:1');
+		assert.throws(() => getScannerImage('--privileged'), /Invalid Nosey Parker image reference/);
+		assert.throws(() => getScannerImage('noseyparker --privileged'), /Invalid Nosey Parker image reference/);
+		assert.deepStrictEqual(parseImageReference('ghcr.io/praetorian-inc/noseyparker:latest'),
+			{ repository: 'ghcr.io/praetorian-inc/noseyparker', tag: 'latest', digest: null });
+		assert.deepStrictEqual(parseImageReference(`registry.local:5000/noseyparker@${DIGEST}`),
+			{ repository: 'registry.local:5000/noseyparker', tag: null, digest: DIGEST });
+		assert.deepStrictEqual(parseImageReference(`noseyparker:0.24.0@${DIGEST}`),
+			{ repository: 'noseyparker', tag: '0.24.0', digest: DIGEST });
+	});
+
+	test('Pins references by digest', () => {
+		assert.ok(!isPinned(DOCKER_IMAGE));
+		assert.ok(!isPinned('ghcr.io/praetorian-inc/noseyparker@sha256:abc'));
+		const pinned = pinReference(DOCKER_IMAGE, DIGEST);
+		assert.strictEqual(pinned, `ghcr.io/praetorian-inc/noseyparker@${DIGEST}`);
+		assert.ok(isPinned(pinned));
+		assert.strictEqual(shortDigest(DIGEST), 'sha256:0123456789ab');
+		assert.strictEqual(shortDigest(null), null);
+	});
+
+	test('Describes images that are not the pinned one', () => {
+		const pinned = pinReference(DOCKER_IMAGE, DIGEST);
+		assert.strictEqual(describeScannerCheck({ image: pinned, status: 'pinned', digest: DIGEST, localDigests: [] }), null);
+		assert.match(describeScannerCheck({ image: DOCKER_IMAGE, status: 'unpinned', digest: DIGEST, localDigests: [] }),
+			/not pinned by digest \(local image sha256:0123456789ab\).*Update Scanner/);
+		assert.match(describeScannerCheck({ image: pinned, status: 'differs', digest: null, localDigests: [`sha256:${'f'.repeat(64)}`] }),
+			/\(sha256:ffffffffffff\) differs from the pinned sha256:0123456789ab/);
+	});
+});
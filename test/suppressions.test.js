@@ -0,0 +1,83 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const crypto = require('crypto');
+
+const suppressions = require('../suppressions');
+const { hashSecret, fingerprintFinding } = require('../finding-fingerprint');
+const { matchesGlob } = require('../glob-match');
+
+suite('Suppressions Test Suite', () => {
+
+	test('Globs follow gitignore conventions', () => {
+		assert.ok(matchesGlob('test/test-secrets.js', 'test/test-secrets.js'));
+		assert.ok(matchesGlob('a/b/node_modules/x.js', 'node_modules/'));
+		assert.ok(matchesGlob('deep/dir/config.env', '*.env'));
+		assert.ok(matchesGlob('src/a/b/c.js', 'src/**/*.js'));
+		assert.ok(!matchesGlob('other/test/test-secrets.js', '/test/test-secrets.js'));
+		assert.ok(!matchesGlob('src/main.js', '*.env'));
+	});
+
+	test('Parses entries and skips comments and invalid lines', () => {
+		const entries = suppressions.parseSuppressions('# comment\n\nrule:Generic Password\nbogus line\npath:fixtures/\n');
+		assert.deepStrictEqual(entries.map(e => `${e.type}:${e.value}`), ['rule:Generic Password', 'path:fixtures/']);
+	});
+
+	test('Matches findings by fingerprint, rule, path and secret hash', () => {
+		const finding = { fingerprint: 'abc', rule: 'Generic Password', path: 'fixtures/a.js', secretHash: 'deadbeef' };
+		assert.ok(suppressions.findSuppression(finding, [{ type: 'fingerprint', value: 'abc' }]));
+		assert.ok(suppressions.findSuppression(finding, [{ type: 'rule', value: 'generic password' }]));
+		assert.ok(suppressions.findSuppression(finding, [{ type: 'path', value: 'fixtures/' }]));
+		assert.ok(suppressions.findSuppression(finding, [{ type: 'secret', value: 'DEADBEEF' }]));
+		assert.strictEqual(suppressions.findSuppression(finding, [{ type: 'path', value: 'src/' }]), null);
+	});
+
+	test('Adds entries once', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-suppress-'));
+		try {
+			suppressions.addSuppression(root, 'path', './test/fixture.js', 'fixture');
+			suppressions.addSuppression(root, 'path', 'test/fixture.js');
+			const entries = suppressions.loadSuppressions(root);
+			assert.deepStrictEqual(entries.map(e => `${e.type}:${e.value}`), ['path:test/fixture.js']);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('Keys secret hashes with a salt that is committed with the first salted entry', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'leak-lock-suppress-'));
+		try {
+			const salt = suppressions.getRepositorySalt(root);
+			assert.match(salt, /^[0-9a-f]{64}$/);
+			assert.strictEqual(suppressions.getRepositorySalt(root), salt);
+			const otherRoot = path.join(root, 'other');
+			assert.notStrictEqual(suppressions.getRepositorySalt(otherRoot), salt);
+
+			// No plain digest that candidate secrets could be checked against
+			const secretHash = hashSecret('hunter2', salt);
+			assert.notStrictEqual(secretHash, crypto.createHash('sha256').update('hunter2').digest('hex'));
+			assert.notStrictEqual(secretHash, hashSecret('hunter2', suppressions.getRepositorySalt(otherRoot)));
+			assert.notStrictEqual(fingerprintFinding({ rule: 'r', file: 'f', secret: 's' }, salt),
+				fingerprintFinding({ rule: 'r', file: 'f', secret: 's' }, suppressions.getRepositorySalt(otherRoot)));
+
+			suppressions.addSuppression(root, 'path', 'fixtures/');
+			assert.ok(!suppressions.loadSuppressions(root).some(entry => entry.type === 'salt'));
+			suppressions.addSuppression(root, 'secret', secretHash);
+			suppressions.addSuppression(root, 'fingerprint', 'abc');
+			const entries = suppressions.loadSuppressions(root);
+			assert.deepStrictEqual(entries.map(entry => entry.type), ['path', 'salt', 'secret', 'fingerprint']);
+			assert.strictEqual(entries[1].value, salt);
+			assert.ok(suppressions.findSuppression({ secretHash }, entries));
+
+			// The committed salt applies wherever the repository is checked out
+			const clone = path.join(root, 'clone');
+			fs.mkdirSync(clone);
+			fs.copyFileSync(path.join(root, suppressions.SUPPRESSION_FILE_NAME), path.join(clone, suppressions.SUPPRESSION_FILE_NAME));
+			assert.strictEqual(suppressions.getRepositorySalt(clone), salt);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
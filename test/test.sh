@@ -132,7 +132,7 @@ if [ -f "extension.js" ]; then
     fi
     
     # Check for Docker image reference
-    if grep -q "ghcr.io/praetorian-inc/noseyparker" extension.js; then
+    if grep -q "noseyParker.image" extension.js; then
         print_test_result 0 "Nosey Parker Docker image reference found"
     else
         print_test_result 1 "Nosey Parker Docker image reference not found"
@@ -235,12 +235,13 @@ print_section "Testing Docker Integration"
 if command -v docker &> /dev/null && docker info &> /dev/null; then
     echo -e "${YELLOW}Testing Docker image availability...${NC}"
     
-    # Check if Nosey Parker image exists locally or can be pulled
-    if docker image inspect ghcr.io/praetorian-inc/noseyparker:latest &> /dev/null; then
+    # Check if the default Nosey Parker image (config.js DOCKER_IMAGE) exists locally or can be pulled
+    NOSEYPARKER_IMAGE="$(node -p "require('./config').DOCKER_IMAGE")"
+    if docker image inspect "$NOSEYPARKER_IMAGE" &> /dev/null; then
         print_test_result 0 "Nosey Parker Docker image is available locally"
     else
         echo -e "${YELLOW}Attempting to pull Nosey Parker image...${NC}"
-        if timeout 60 docker pull ghcr.io/praetorian-inc/noseyparker:latest &> /dev/null; then
+        if timeout 60 docker pull "$NOSEYPARKER_IMAGE" &> /dev/null; then
             print_test_result 0 "Successfully pulled Nosey Parker Docker image"
         else
             print_test_result 1 "Failed to pull Nosey Parker Docker image (timeout or network issue)"
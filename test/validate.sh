@@ -51,12 +51,14 @@ fi
 
 # Test 5: Test Docker image availability
 echo "🔍 Checking Nosey Parker Docker image..."
-if docker image inspect ghcr.io/praetorian-inc/noseyparker:latest > /dev/null 2>&1; then
+# Default image of the extension (config.js DOCKER_IMAGE)
+NOSEYPARKER_IMAGE="$(node -p "require('./config').DOCKER_IMAGE")"
+if docker image inspect "$NOSEYPARKER_IMAGE" > /dev/null 2>&1; then
     echo "✅ Nosey Parker image is available locally"
 else
     echo "⚠️  Nosey Parker image not found locally"
     echo "🔄 Attempting to pull image..."
-    if timeout 30 docker pull ghcr.io/praetorian-inc/noseyparker:latest > /dev/null 2>&1; then
+    if timeout 30 docker pull "$NOSEYPARKER_IMAGE" > /dev/null 2>&1; then
         echo "✅ Successfully pulled Nosey Parker image"
     else
         echo "⚠️  Could not pull image (network/timeout issue)"
@@ -74,7 +76,7 @@ if [ -f "test/test-secrets.js" ]; then
     
     echo "🔍 Running basic Nosey Parker scan..."
     # Test if we can run the scan command (without full execution)
-    if docker run --rm -v "$(pwd)/test-scan-dir:/scan" ghcr.io/praetorian-inc/noseyparker:latest --help > /dev/null 2>&1; then
+    if docker run --rm -v "$(pwd)/test-scan-dir:/scan" "$NOSEYPARKER_IMAGE" --help > /dev/null 2>&1; then
         echo "✅ Nosey Parker Docker command works"
     else
         echo "⚠️  Nosey Parker Docker command failed"